@@ -0,0 +1,316 @@
+/**
+ * Request Client
+ * Shared transport for pool API calls: timeouts, retry with backoff,
+ * in-flight de-duplication, proxy fallback and typed errors
+ */
+
+import { AppState } from '../state.js';
+import { Config } from '../config.js';
+import { Route, getHostKey, getRoute, getForcedRoute, recordRoute, recordRtt, shouldReprobe, reprobeDirect } from './routes.js';
+
+// =====================
+// Error Types
+// =====================
+
+// Error type identifiers (also available as `error.type`)
+export const ApiErrorType = {
+    TIMEOUT: 'timeout',
+    HTTP: 'http',
+    NETWORK: 'network',
+    PROXY: 'proxy'
+};
+
+/**
+ * Base error for failed API requests
+ */
+export class ApiError extends Error {
+    constructor(message, { type, url = '', status = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.url = url;
+        this.status = status;
+        this.cause = cause;
+    }
+
+    /** Whether retrying the request may succeed */
+    get retryable() {
+        if (this.type === ApiErrorType.HTTP) return this.status >= 500 || this.status === 429;
+        return true;
+    }
+}
+
+/**
+ * Request did not complete within its timeout
+ */
+export class TimeoutError extends ApiError {
+    constructor(url, timeout, cause = null) {
+        super(`Timeout - server not responding (${Math.round(timeout / 1000)}s)`, { type: ApiErrorType.TIMEOUT, url, cause });
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Server answered with a non-2xx status
+ */
+export class HttpError extends ApiError {
+    constructor(url, status) {
+        super(`HTTP ${status}`, { type: ApiErrorType.HTTP, url, status });
+        this.name = 'HttpError';
+    }
+}
+
+/**
+ * Direct request failed (network down, CORS or mixed content) and no proxy was available
+ */
+export class NetworkError extends ApiError {
+    constructor(url, cause = null) {
+        super('Network error - server unreachable or blocked by CORS', { type: ApiErrorType.NETWORK, url, cause });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Direct request failed and the proxy fallback failed as well
+ */
+export class ProxyError extends ApiError {
+    constructor(url, cause = null) {
+        super('Proxy unreachable - direct and proxied requests failed', { type: ApiErrorType.PROXY, url, cause });
+        this.name = 'ProxyError';
+    }
+}
+
+/**
+ * Get a short user-facing description of a request error
+ * @param {Error} error - Error thrown by request()
+ * @returns {string} Message
+ */
+export function describeApiError(error) {
+    if (!error) return 'Unknown error';
+    if (error instanceof HttpError) {
+        return error.status === 404 ? 'Endpoint not found (HTTP 404)' : `Server error (HTTP ${error.status})`;
+    }
+    return error.message || String(error);
+}
+
+// =====================
+// URL Building
+// =====================
+
+/**
+ * Check whether a proxy is configured
+ * @returns {boolean} True if Config.proxy can be used
+ */
+export function isProxyConfigured() {
+    return !!(Config.proxy && Config.proxy.base && Config.proxy.endpoint);
+}
+
+/**
+ * Build the proxied URL for a target URL
+ * @param {string} target - Full target URL
+ * @returns {string} Proxy URL
+ */
+export function buildProxyUrl(target) {
+    const proxyBase = Config.proxy.base.replace(/\/$/, '');
+    const endpoint = Config.proxy.endpoint;
+
+    // If endpoint contains a 'target=' param, use single-argument encoding
+    if (endpoint.includes('target=')) {
+        // allow endpoint to include the param prefix like '/getdata?target='
+        return `${proxyBase}${endpoint}${encodeURIComponent(target)}`;
+    }
+
+    // Otherwise assume the proxy expects ip/port/path as query params (legacy /api/proxy)
+    try {
+        const u = new URL(target);
+        const hostname = u.hostname;
+        const port = u.port || (u.protocol === 'https:' ? '443' : '80');
+        const pathname = u.pathname + (u.search || '');
+
+        // Ensure endpoint doesn't double '?'
+        const sep = endpoint.includes('?') ? '&' : '?';
+        return `${proxyBase}${endpoint}${sep}ip=${encodeURIComponent(hostname)}&port=${encodeURIComponent(port)}&path=${encodeURIComponent(pathname)}`;
+    } catch (e) {
+        // Fallback: send encoded full target to endpoint
+        return `${proxyBase}${endpoint}${encodeURIComponent(target)}`;
+    }
+}
+
+// =====================
+// Request
+// =====================
+
+// In-flight requests keyed by method + URL
+const inFlight = new Map();
+
+/**
+ * Get the timeout of an endpoint
+ * @param {string|null} endpoint - Endpoint name from Config.api.pool.endpoints
+ * @returns {number} Timeout in ms
+ */
+export function getEndpointTimeout(endpoint) {
+    return (endpoint && Config.timeouts.endpoints?.[endpoint]) || Config.timeouts.api;
+}
+
+/**
+ * Compute the backoff delay before a retry
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Object} policy - Backoff policy { baseDelay, factor, maxDelay, jitter }
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt, policy = Config.retry) {
+    const { baseDelay, factor, maxDelay, jitter } = policy;
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt));
+    return Math.round(delay * (1 - jitter + Math.random() * jitter));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run one fetch with a timeout
+ * @returns {Promise<Response>} Response
+ */
+async function fetchWithTimeout(url, options, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Fetch over one route and record its round-trip time
+ * @returns {Promise<Response>} Response
+ */
+async function fetchVia(route, target, options, timeout) {
+    const url = route === Route.PROXY ? buildProxyUrl(target) : target;
+    const started = performance.now();
+    const response = await fetchWithTimeout(url, options, timeout);
+    recordRtt(getHostKey(target), route, Math.round(performance.now() - started));
+    return response;
+}
+
+/**
+ * Single attempt over the only route a profile allows
+ * Nothing is learned from it: the profile decides the route.
+ * @returns {Promise<Response>} Response
+ */
+async function attemptForced(route, target, options, timeout) {
+    if (route === Route.PROXY && !isProxyConfigured()) {
+        throw new ProxyError(target, new Error('No proxy configured'));
+    }
+    try {
+        return await fetchVia(route, target, options, timeout);
+    } catch (err) {
+        if (err.name === 'AbortError') throw new TimeoutError(target, timeout, err);
+        throw route === Route.PROXY ? new ProxyError(target, err) : new NetworkError(target, err);
+    }
+}
+
+/**
+ * Single attempt over the learned route, falling back to the other one
+ * Hosts with no learned route go direct first, proxy on network/CORS failure.
+ * @returns {Promise<Response>} Response
+ */
+async function attempt(target, options, timeout) {
+    const hostKey = getHostKey(target);
+    const forced = getForcedRoute(hostKey);
+    if (forced) return attemptForced(forced, target, options, timeout);
+
+    const learned = getRoute(hostKey);
+    const proxyFirst = learned === Route.PROXY && isProxyConfigured();
+
+    if (proxyFirst && shouldReprobe(hostKey)) {
+        reprobeDirect(target);
+    }
+
+    const first = proxyFirst ? Route.PROXY : Route.DIRECT;
+    const second = proxyFirst ? Route.DIRECT : Route.PROXY;
+
+    try {
+        const response = await fetchVia(first, target, options, timeout);
+        if (learned !== first) recordRoute(hostKey, first);
+        return response;
+    } catch (err) {
+        if (err.name === 'AbortError') throw new TimeoutError(target, timeout, err);
+        if (second === Route.PROXY && !isProxyConfigured()) throw new NetworkError(target, err);
+
+        // Network or CORS error — try the other route
+        try {
+            const response = await fetchVia(second, target, options, timeout);
+            recordRoute(hostKey, second);
+            return response;
+        } catch (err2) {
+            if (err2.name === 'AbortError') throw new TimeoutError(target, timeout, err2);
+            // The direct request failed last when the proxy went first
+            throw second === Route.DIRECT ? new NetworkError(target, err2) : new ProxyError(target, err2);
+        }
+    }
+}
+
+/**
+ * Perform an API request
+ * @param {string} path - Request path (e.g. '/api/pool/stats')
+ * @param {Object} options - Request options
+ * @param {string|null} options.baseUrl - Base URL (defaults to the connected server)
+ * @param {string|null} options.endpoint - Endpoint name used for the timeout lookup
+ * @param {number} options.timeout - Timeout override in ms
+ * @param {number} options.retries - Retry count override
+ * @param {boolean} options.dedupe - Share a pending identical request (GET only)
+ * @param {boolean} options.raw - Resolve with the Response instead of parsed JSON (no status check)
+ * @param {Object} options.init - Extra fetch() init (method, headers, body)
+ * @returns {Promise<any>} Parsed JSON (or Response when raw)
+ * @throws {ApiError} TimeoutError, HttpError, NetworkError or ProxyError
+ */
+export function request(path, options = {}) {
+    const {
+        baseUrl = null,
+        endpoint = null,
+        timeout = getEndpointTimeout(endpoint),
+        retries = Config.retry.retries,
+        dedupe = true,
+        raw = false,
+        init = {}
+    } = options;
+
+    const base = baseUrl || AppState.connection.apiBaseUrl || '';
+    const target = base + path;
+    const method = (init.method || 'GET').toUpperCase();
+    const key = `${method} ${target}${raw ? ' raw' : ''}`;
+
+    if (dedupe && method === 'GET' && inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const run = (async () => {
+        let lastError = null;
+        for (let i = 0; i <= retries; i++) {
+            try {
+                const response = await attempt(target, { headers: { 'Accept': 'application/json' }, ...init }, timeout);
+                if (raw) return response;
+                if (!response.ok) throw new HttpError(target, response.status);
+                return await response.json();
+            } catch (err) {
+                lastError = err instanceof ApiError ? err : new ApiError(err.message, { type: ApiErrorType.NETWORK, url: target, cause: err });
+                if (i < retries && lastError.retryable) {
+                    await sleep(getBackoffDelay(i));
+                    continue;
+                }
+                throw lastError;
+            }
+        }
+        throw lastError;
+    })();
+
+    if (dedupe && method === 'GET') {
+        inFlight.set(key, run);
+        run.then(() => inFlight.delete(key), () => inFlight.delete(key));
+    }
+
+    return run;
+}
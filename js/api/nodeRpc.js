@@ -0,0 +1,176 @@
+/**
+ * Node RPC Module
+ * JSON-RPC calls to a Quai node (block headers, transactions)
+ */
+
+import { Config } from '../config.js';
+import { TimeoutError, HttpError, NetworkError, getBackoffDelay } from './client.js';
+
+/**
+ * Error returned by the node in a JSON-RPC response
+ */
+export class RpcError extends Error {
+    constructor(method, error) {
+        super(error?.message || `RPC error (${method})`);
+        this.name = 'RpcError';
+        this.method = method;
+        this.code = error?.code ?? null;
+    }
+}
+
+/**
+ * Node RPC URL was never entered
+ */
+export class RpcUrlMissingError extends Error {
+    constructor() {
+        super('No node RPC URL set - enter the URL of your Quai node');
+        this.name = 'RpcUrlMissingError';
+    }
+}
+
+/**
+ * Get the node RPC URL (user override or Config.rpc.url)
+ * @returns {string} RPC URL, empty if none was entered
+ */
+export function getRpcUrl() {
+    try {
+        return localStorage.getItem(Config.storage.rpcUrl) || Config.rpc.url;
+    } catch (e) {
+        return Config.rpc.url;
+    }
+}
+
+/**
+ * Save the node RPC URL (empty resets to Config.rpc.url)
+ * @param {string} url - RPC URL
+ */
+export function setRpcUrl(url) {
+    try {
+        if (url && url.trim()) {
+            localStorage.setItem(Config.storage.rpcUrl, url.trim());
+        } else {
+            localStorage.removeItem(Config.storage.rpcUrl);
+        }
+    } catch (e) {}
+}
+
+/**
+ * POST one JSON-RPC body straight to the node
+ * @returns {Promise<Object>} Parsed response
+ * @throws {ApiError} Transport error
+ */
+async function postRpc(url, body, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+    } catch (err) {
+        throw err.name === 'AbortError' ? new TimeoutError(url, timeout, err) : new NetworkError(url, err);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    if (!response.ok) throw new HttpError(url, response.status);
+    return response.json();
+}
+
+/**
+ * Call a JSON-RPC method
+ * Plain fetch to the node: no proxy fallback and no route learning, the
+ * node URL is the user's and the body is never sent to a third party.
+ * @param {string} method - RPC method (e.g. 'quai_getBlockByHash')
+ * @param {Array} params - Method params
+ * @param {Object} opts - Options { url, timeout, retries }
+ * @returns {Promise<any>} RPC result
+ * @throws {RpcUrlMissingError|ApiError|RpcError} Missing URL, transport or RPC error
+ */
+export async function rpcCall(method, params = [], opts = {}) {
+    const { url = getRpcUrl(), timeout = Config.rpc.timeout, retries = Config.rpc.retries } = opts;
+    if (!url) throw new RpcUrlMissingError();
+    const body = { jsonrpc: '2.0', method, params, id: Date.now() };
+
+    for (let attempt = 0; ; attempt++) {
+        let data;
+        try {
+            data = await postRpc(url, body, timeout);
+        } catch (err) {
+            if (attempt >= retries || !err.retryable) throw err;
+            await new Promise(resolve => setTimeout(resolve, getBackoffDelay(attempt)));
+            continue;
+        }
+        if (data && data.error) throw new RpcError(method, data.error);
+        return data ? data.result : null;
+    }
+}
+
+/**
+ * Fetch a block by hash, falling back to its number
+ * @param {string} hash - Block hash
+ * @param {number|null} height - Block number (fallback lookup)
+ * @returns {Promise<Object|null>} Block or null if the node doesn't know it
+ */
+export async function fetchBlock(hash, height = null) {
+    let block = null;
+    if (hash) {
+        block = await rpcCall('quai_getBlockByHash', [hash, false]);
+    }
+    if (!block && height) {
+        block = await rpcCall('quai_getBlockByNumber', ['0x' + Number(height).toString(16), false]);
+    }
+    return block || null;
+}
+
+/**
+ * Fetch a transaction by hash
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<Object|null>} Transaction or null
+ */
+export async function fetchTransaction(hash) {
+    if (!hash) return null;
+    return (await rpcCall('quai_getTransactionByHash', [hash])) || null;
+}
+
+/**
+ * Convert a hex or decimal quantity to a number
+ * @param {string|number} value - Quantity
+ * @returns {number|null} Number or null
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    try {
+        return Number(BigInt(value));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Fetch network difficulty per algorithm from the latest block
+ * The block reward is not derived here: the first entry of the transaction
+ * list is an ordinary transaction, not the coinbase, so reward stays null.
+ * @returns {Promise<Object|null>} { height, difficulty: { sha, scrypt, kawpow }, reward, fetchedAt }
+ */
+export async function fetchNetworkInfo() {
+    const block = await rpcCall('quai_getBlockByNumber', ['latest', false]);
+    if (!block) return null;
+
+    const wo = block.woHeader || block.header || block;
+    const header = block.header || {};
+    const difficulty = {
+        sha: toNumber((header.shaDiffAndCount || wo.shaDiffAndCount)?.difficulty),
+        scrypt: toNumber((header.scryptDiffAndCount || wo.scryptDiffAndCount)?.difficulty),
+        kawpow: toNumber(wo.difficulty ?? header.difficulty)
+    };
+
+    return {
+        height: toNumber(wo.number),
+        difficulty,
+        reward: null,
+        fetchedAt: Date.now()
+    };
+}
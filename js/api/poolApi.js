@@ -3,61 +3,13 @@
  * Handles all communication with the Stratum pool server
  */
 
-import { AppState } from '../state.js';
-import { Config } from '../config.js';
+import { AppState, setState } from '../state.js';
+import { Config, buildUrl } from '../config.js';
+import { request, HttpError } from './client.js';
 
-// Helper: build fetch URL, using proxy if configured
-function buildFetchUrl(path, baseOverride = null, forceProxy = false) {
-    const base = baseOverride || AppState.connection.apiBaseUrl || '';
-    const target = base + path;
-
-    if ((AppState.connection.useProxy && Config.proxy && Config.proxy.base && Config.proxy.endpoint) || forceProxy) {
-        const proxyBase = Config.proxy.base.replace(/\/$/, '');
-        const endpoint = Config.proxy.endpoint;
-
-        // If endpoint contains a 'target=' param, use single-argument encoding
-        if (endpoint.includes('target=')) {
-            // allow endpoint to include the param prefix like '/getdata?target='
-            return `${proxyBase}${endpoint}${encodeURIComponent(target)}`;
-        }
-
-        // Otherwise assume the proxy expects ip/port/path as query params (legacy /api/proxy)
-        try {
-            const u = new URL(target);
-            const hostname = u.hostname;
-            const port = u.port || (u.protocol === 'https:' ? '443' : '80');
-            const pathname = u.pathname + (u.search || '');
-
-            // Ensure endpoint doesn't double '?'
-            const sep = endpoint.includes('?') ? '&' : '?';
-            return `${proxyBase}${endpoint}${sep}ip=${encodeURIComponent(hostname)}&port=${encodeURIComponent(port)}&path=${encodeURIComponent(pathname)}`;
-        } catch (e) {
-            // Fallback: send encoded full target to endpoint
-            return `${proxyBase}${endpoint}${encodeURIComponent(target)}`;
-        }
-    }
-
-    return target;
-}
-
-// Try fetch directly to the target first; on network/CORS failure, fall back to proxy URL
-async function fetchWithProxyFallback(path, options = {}, baseOverride = null) {
-    const base = baseOverride || AppState.connection.apiBaseUrl || '';
-    const target = base + path;
-
-    try {
-        const res = await fetch(target, options);
-        return res;
-    } catch (err) {
-        // Network or CORS error — try proxy
-        try {
-            const proxyUrl = buildFetchUrl(path, baseOverride, true);
-            const res2 = await fetch(proxyUrl, options);
-            return res2;
-        } catch (err2) {
-            throw err2;
-        }
-    }
+// Endpoint path helper
+function endpointPath(name, params = {}) {
+    return buildUrl(Config.api.pool.endpoints[name], params);
 }
 
 /**
@@ -91,91 +43,57 @@ export function isValidIP(str) {
  * @returns {Promise<boolean>} True if connection successful
  */
 export async function testConnection(baseUrl = null) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
-    try {
-        const base = baseUrl || AppState.connection.apiBaseUrl;
-        const response = await fetchWithProxyFallback('/health', { method: 'GET', headers: { 'Accept': 'application/json' }, signal: controller.signal }, base);
-
-        clearTimeout(timeoutId);
-        return response.ok;
-    } catch (error) {
-        clearTimeout(timeoutId);
-        throw error;
-    }
+    const response = await request(endpointPath('health'), {
+        baseUrl,
+        endpoint: 'health',
+        raw: true,
+        retries: 0
+    });
+    return response.ok;
 }
 
 /**
  * Fetch pool statistics
  * Uses cache if data is less than 3 seconds old
  * @param {boolean} forceRefresh - Force refresh ignoring cache
+ * @param {string|null} baseUrl - Query another node instead of the connected one (not cached)
  * @returns {Promise<Object>} Pool stats object
  */
-export async function fetchPoolStats(forceRefresh = false) {
+export async function fetchPoolStats(forceRefresh = false, baseUrl = null) {
     const now = Date.now();
     
     // Return cached data if recent and not forcing refresh
-    if (!forceRefresh && AppState.cache.poolStats && 
+    if (!baseUrl && !forceRefresh && AppState.cache.poolStats && 
         (now - AppState.cache.lastStatsFetch) < Config.cache.poolStats) {
         return AppState.cache.poolStats;
     }
     
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
-    try {
-        const response = await fetchWithProxyFallback('/api/pool/stats', { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        const stats = await response.json();
-        AppState.cache.poolStats = stats;
-        AppState.cache.lastStatsFetch = now;
-        return stats;
-    } catch (error) {
-        clearTimeout(timeoutId);
-        throw error;
-    }
+    const stats = await request(endpointPath('stats'), { baseUrl, endpoint: 'stats' });
+    if (baseUrl) return stats;
+    setState('cache', { poolStats: stats, lastStatsFetch: now });
+    return stats;
 }
 
 /**
  * Fetch workers list
  * Uses cache if data is less than configured time
  * @param {boolean} forceRefresh - Force refresh ignoring cache
+ * @param {string|null} baseUrl - Query another node instead of the connected one (not cached)
  * @returns {Promise<Array>} Workers array
  */
-export async function fetchWorkers(forceRefresh = false) {
+export async function fetchWorkers(forceRefresh = false, baseUrl = null) {
     const now = Date.now();
     
     // Return cached data if recent and not forcing refresh
-    if (!forceRefresh && AppState.cache.workers.length > 0 && 
+    if (!baseUrl && !forceRefresh && AppState.cache.workers.length > 0 && 
         (now - AppState.cache.lastWorkersFetch) < Config.cache.workers) {
         return AppState.cache.workers;
     }
     
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
-    try {
-        const response = await fetchWithProxyFallback('/api/pool/workers', { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        const workers = await response.json();
-        AppState.cache.workers = workers || [];
-        AppState.cache.lastWorkersFetch = now;
-        return workers;
-    } catch (error) {
-        clearTimeout(timeoutId);
-        throw error;
-    }
+    const workers = await request(endpointPath('workers'), { baseUrl, endpoint: 'workers' });
+    if (baseUrl) return workers || [];
+    setState('cache', { workers: workers || [], lastWorkersFetch: now });
+    return workers;
 }
 
 /**
@@ -183,22 +101,7 @@ export async function fetchWorkers(forceRefresh = false) {
  * @returns {Promise<Object>} Blocks data
  */
 export async function fetchPoolBlocks() {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
-    try {
-        const response = await fetchWithProxyFallback('/api/blocks', { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        clearTimeout(timeoutId);
-        throw error;
-    }
+    return request(endpointPath('legacyBlocks'), { endpoint: 'legacyBlocks' });
 }
 
 /**
@@ -216,25 +119,42 @@ export async function fetchShareHistory(forceRefresh = false) {
         return AppState.cache.shareStats;
     }
     
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
     try {
-        const response = await fetchWithProxyFallback('/api/pool/shares', { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) return AppState.cache.shareStats || null;
-
-        const data = await response.json();
-        AppState.cache.shareStats = data;
-        AppState.cache.lastSharesFetch = now;
+        const data = await request(endpointPath('shares'), { endpoint: 'shares' });
+        setState('cache', { shareStats: data, lastSharesFetch: now });
         return data;
     } catch (error) {
-        clearTimeout(timeoutId);
         return AppState.cache.shareStats || null;
     }
 }
 
+/**
+ * Fetch pool-wide hashrate history
+ * Servers without the endpoint (HTTP 404/501) are remembered per connection
+ * in AppState.history.serverAvailable and not asked again.
+ * @param {string} period - Requested window ('24h', '7d', ...)
+ * @returns {Promise<Object|Array|null>} Raw history payload or null
+ */
+export async function fetchPoolHistory(period = '7d') {
+    if (AppState.history.serverAvailable === false) return null;
+    
+    try {
+        const data = await request(`${endpointPath('poolHistory')}?period=${encodeURIComponent(period)}`, {
+            endpoint: 'poolHistory',
+            retries: 1
+        });
+        setState('history', { serverAvailable: true });
+        return data;
+    } catch (error) {
+        if (error instanceof HttpError && (error.status === 404 || error.status === 501)) {
+            setState('history', { serverAvailable: false });
+        } else {
+            console.warn('Failed to fetch pool history:', error);
+        }
+        return null;
+    }
+}
+
 /**
  * Fetch miner-specific stats
  * Uses cache to avoid redundant requests
@@ -250,28 +170,27 @@ export async function fetchMinerStats(address) {
         return AppState.cache[cacheKey].data;
     }
     
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
     try {
-        const encodedAddress = encodeURIComponent(address);
-        const response = await fetchWithProxyFallback(`/api/miner/${encodedAddress}/stats`, { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) return null;
-
-        const data = await response.json();
+        const data = await request(endpointPath('minerStats', { address }), { endpoint: 'minerStats' });
         
         // Cache the result
-        AppState.cache[cacheKey] = { data, timestamp: now };
+        setState('cache', { [cacheKey]: { data, timestamp: now } });
         
         return data;
     } catch (error) {
-        clearTimeout(timeoutId);
         return null;
     }
 }
 
+/**
+ * Get cached miner stats without fetching
+ * @param {string} address - Miner address
+ * @returns {Object|null} Last fetched miner stats or null
+ */
+export function getCachedMinerStats(address) {
+    return AppState.cache[`minerStats_${address}`]?.data || null;
+}
+
 /**
  * Get miner address from connected workers
  * @returns {string|null} Miner address or null
@@ -314,23 +233,13 @@ export function getNodeWorkerNames() {
 }
 /**
  * Fetch pool blocks using /api/pool/blocks endpoint
+ * @param {string|null} baseUrl - Query another node instead of the connected one
  * @returns {Promise<Object>} Blocks data
  */
-export async function fetchPoolBlocksEndpoint() {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
+export async function fetchPoolBlocksEndpoint(baseUrl = null) {
     try {
-        const response = await fetchWithProxyFallback('/api/pool/blocks', { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        return await response.json();
+        return await request(endpointPath('blocks'), { baseUrl, endpoint: 'blocks' });
     } catch (error) {
-        clearTimeout(timeoutId);
         console.warn('Failed to fetch pool blocks from /api/pool/blocks:', error);
         throw error;
     }
@@ -342,21 +251,9 @@ export async function fetchPoolBlocksEndpoint() {
  * @returns {Promise<Array>} Workers array for the address
  */
 export async function fetchMinerWorkers(address) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
     try {
-        const encodedAddress = encodeURIComponent(address);
-        const response = await fetchWithProxyFallback(`/api/miner/${encodedAddress}/workers`, { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        return await response.json();
+        return await request(endpointPath('minerWorkers', { address }), { endpoint: 'minerWorkers' });
     } catch (error) {
-        clearTimeout(timeoutId);
         console.warn('Failed to fetch miner workers:', error);
         return [];
     }
@@ -371,23 +268,12 @@ export async function fetchAllMiners() {
     if (AppState.cache.miners && (now - (AppState.cache.lastMinersFetch || 0)) < Config.cache.miners) {
         return AppState.cache.miners;
     }
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), Config.timeouts.api);
-    
     try {
-        const response = await fetchWithProxyFallback('/api/miners', { signal: controller.signal });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        const data = await response.json();
-        AppState.cache.miners = data;
-        AppState.cache.lastMinersFetch = now;
+        const data = await request(endpointPath('miners'), { endpoint: 'miners' });
+        setState('cache', { miners: data, lastMinersFetch: now });
         return data;
     } catch (error) {
-        clearTimeout(timeoutId);
         console.warn('Failed to fetch miners list:', error);
         return AppState.cache.miners || [];
     }
-}
\ No newline at end of file
+}
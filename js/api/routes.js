@@ -0,0 +1,225 @@
+/**
+ * Route Memory
+ * Learns per host whether requests work direct or only via the proxy,
+ * remembers it across reloads and tracks round-trip times
+ */
+
+import { AppState, setState } from '../state.js';
+import { Config } from '../config.js';
+
+// Route identifiers
+export const Route = {
+    DIRECT: 'direct',
+    PROXY: 'proxy'
+};
+
+// Learned routes { [hostKey]: { route, learnedAt, lastProbe } }
+let routes = null;
+
+// Smoothed round-trip times { [hostKey]: { direct, proxy } }
+const rtts = {};
+
+// Hosts with a direct re-probe in progress
+const probing = new Set();
+
+function loadRoutes() {
+    if (routes) return routes;
+    try {
+        const raw = localStorage.getItem(Config.storage.routes);
+        const parsed = raw ? JSON.parse(raw) : {};
+        routes = parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        routes = {};
+    }
+    return routes;
+}
+
+function persistRoutes() {
+    try {
+        localStorage.setItem(Config.storage.routes, JSON.stringify(routes || {}));
+    } catch (e) {
+        console.warn('Failed to persist learned routes:', e);
+    }
+}
+
+/**
+ * Get the route key (host:port) of a URL
+ * @param {string} url - Full URL
+ * @returns {string} Host key
+ */
+export function getHostKey(url) {
+    try {
+        const u = new URL(url);
+        const port = u.port || (u.protocol === 'https:' ? '443' : '80');
+        return `${u.hostname.toLowerCase()}:${port}`;
+    } catch (e) {
+        return url;
+    }
+}
+
+function isConnectedHost(hostKey) {
+    return !!AppState.connection.apiBaseUrl && getHostKey(AppState.connection.apiBaseUrl) === hostKey;
+}
+
+/**
+ * Get the route a profile forces for a host
+ * Only the connected host has a profile preference.
+ * @param {string} hostKey - Host key
+ * @returns {string|null} Route.DIRECT, Route.PROXY or null when the route is learned ('auto')
+ */
+export function getForcedRoute(hostKey) {
+    if (!isConnectedHost(hostKey)) return null;
+    const preference = AppState.connection.proxyPreference;
+    return preference === Route.DIRECT || preference === Route.PROXY ? preference : null;
+}
+
+/**
+ * Get the preferred route for a host
+ * Profiles that force a route win over what was learned.
+ * @param {string} hostKey - Host key
+ * @returns {string|null} Route.DIRECT, Route.PROXY or null when unknown
+ */
+export function getRoute(hostKey) {
+    const forced = getForcedRoute(hostKey);
+    if (forced) return forced;
+    const entry = loadRoutes()[hostKey];
+    return entry ? entry.route : null;
+}
+
+/**
+ * Remember the working route of a host
+ * @param {string} hostKey - Host key
+ * @param {string} route - Route.DIRECT or Route.PROXY
+ */
+export function recordRoute(hostKey, route) {
+    const all = loadRoutes();
+    const previous = all[hostKey];
+    const now = Date.now();
+    if (!previous || previous.route !== route) {
+        all[hostKey] = { route, learnedAt: now, lastProbe: now };
+        persistRoutes();
+    }
+
+    if (isConnectedHost(hostKey)) {
+        setState('connection', { useProxy: route === Route.PROXY });
+        try {
+            localStorage.setItem(Config.storage.useProxy, String(route === Route.PROXY));
+        } catch (e) {}
+    }
+    emitRouteChange(hostKey);
+}
+
+/**
+ * Record a measured round-trip time
+ * @param {string} hostKey - Host key
+ * @param {string} route - Route used
+ * @param {number} ms - Round-trip time in ms
+ */
+export function recordRtt(hostKey, route, ms) {
+    const entry = rtts[hostKey] || (rtts[hostKey] = { direct: null, proxy: null });
+    const previous = entry[route];
+    // Exponential moving average keeps the indicator from jumping around
+    entry[route] = previous === null ? ms : Math.round(previous * 0.7 + ms * 0.3);
+    emitRouteChange(hostKey);
+}
+
+/**
+ * Get route and round-trip info of a host
+ * @param {string} hostKey - Host key
+ * @returns {Object} { route, rtt: { direct, proxy } }
+ */
+export function getRouteInfo(hostKey) {
+    return {
+        route: getRoute(hostKey),
+        rtt: { ...(rtts[hostKey] || { direct: null, proxy: null }) }
+    };
+}
+
+/**
+ * Forget the learned route of a host (or every host)
+ * @param {string|null} hostKey - Host key or null for all
+ */
+export function clearRoutes(hostKey = null) {
+    loadRoutes();
+    if (hostKey) {
+        delete routes[hostKey];
+    } else {
+        routes = {};
+    }
+    persistRoutes();
+}
+
+/**
+ * Get every learned route (for backups)
+ * @returns {Object} { [hostKey]: { route, learnedAt, lastProbe } }
+ */
+export function getLearnedRoutes() {
+    return { ...loadRoutes() };
+}
+
+/**
+ * Add learned routes from a backup; routes learned here are kept
+ * @param {Object} imported - { [hostKey]: { route, learnedAt, lastProbe } }
+ * @returns {number} Number of routes added
+ */
+export function mergeRoutes(imported) {
+    const all = loadRoutes();
+    let added = 0;
+    Object.entries(imported || {}).forEach(([hostKey, entry]) => {
+        if (all[hostKey] || !entry || !Object.values(Route).includes(entry.route)) return;
+        all[hostKey] = { route: entry.route, learnedAt: Number(entry.learnedAt) || 0, lastProbe: Number(entry.lastProbe) || 0 };
+        added++;
+    });
+    if (added > 0) persistRoutes();
+    return added;
+}
+
+/**
+ * Whether a proxied host is due for a direct re-probe
+ * @param {string} hostKey - Host key
+ * @returns {boolean} True if the direct route should be tried again
+ */
+export function shouldReprobe(hostKey) {
+    const entry = loadRoutes()[hostKey];
+    if (!entry || entry.route !== Route.PROXY || probing.has(hostKey)) return false;
+    if (isConnectedHost(hostKey) && AppState.connection.proxyPreference !== 'auto') return false;
+    return Date.now() - (entry.lastProbe || 0) >= Config.routing.reprobeInterval;
+}
+
+/**
+ * Probe the direct route of a host in the background
+ * Switches the host back to direct when /health answers.
+ * @param {string} target - Any URL on the host
+ */
+export async function reprobeDirect(target) {
+    const hostKey = getHostKey(target);
+    const entry = loadRoutes()[hostKey];
+    if (entry) {
+        entry.lastProbe = Date.now();
+        persistRoutes();
+    }
+    probing.add(hostKey);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), Config.routing.probeTimeout);
+    try {
+        const origin = new URL(target).origin;
+        const started = performance.now();
+        const res = await fetch(origin + Config.api.pool.endpoints.health, { method: 'GET', signal: controller.signal });
+        if (res.ok) {
+            recordRtt(hostKey, Route.DIRECT, Math.round(performance.now() - started));
+            recordRoute(hostKey, Route.DIRECT);
+        }
+    } catch (e) {
+        // Still blocked — keep using the proxy
+    } finally {
+        clearTimeout(timeoutId);
+        probing.delete(hostKey);
+    }
+}
+
+function emitRouteChange(hostKey) {
+    try {
+        document.dispatchEvent(new CustomEvent('api:route', { detail: { host: hostKey, ...getRouteInfo(hostKey) } }));
+    } catch (e) {}
+}
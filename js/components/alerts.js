@@ -0,0 +1,540 @@
+/**
+ * Alerts Component
+ * User-configured alert rules on pool metrics, evaluated on every stats
+ * update with a hold time and hysteresis, plus the alert history panel
+ */
+
+import { AppState } from '../state.js';
+import { Config } from '../config.js';
+import { formatHashrate, parseHashrate, formatElapsedTime } from '../utils/formatters.js';
+import { getProfileStorageKey } from '../utils/storage.js';
+import { showNotification, showWarning, NotificationType } from '../utils/notifications.js';
+import { getBlockTime } from './blocks.js';
+import { notifySystem, NotificationTopic } from './systemNotifications.js';
+import { sendWebhookEvent, WebhookEvent } from './webhooks.js';
+
+// Event dispatched on document for every alert fired or resolved (detail: history entry)
+export const ALERT_EVENT = 'alerts:alert';
+
+// Rule types: how a value is measured and which side of the threshold alerts
+export const RULE_TYPES = {
+    hashrate_below: {
+        label: 'Pool hashrate below',
+        direction: 'below',
+        placeholder: 'e.g. 500 GH/s',
+        measure: (stats) => Number(stats.hashrate) || 0,
+        parse: (text) => parseHashrate(text),
+        format: (value) => formatHashrate(value)
+    },
+    stale_ratio_above: {
+        label: 'Stale share ratio above',
+        direction: 'above',
+        placeholder: '% e.g. 5',
+        measure: () => getStaleRatio(),
+        parse: (text) => parsePositive(text),
+        format: (value) => `${value.toFixed(1)}%`
+    },
+    no_block_hours: {
+        label: 'No block for',
+        direction: 'above',
+        placeholder: 'hours e.g. 12',
+        measure: (_stats, now) => getHoursSinceBlock(now),
+        parse: (text) => parsePositive(text),
+        format: (value) => `${value.toFixed(1)}h`
+    },
+    workers_drop: {
+        label: 'Worker count dropped by',
+        direction: 'above',
+        placeholder: '% of the last hour peak e.g. 20',
+        measure: (stats) => getWorkerDrop(Number(stats.workersConnected) || 0),
+        parse: (text) => parsePositive(text),
+        format: (value) => `${Math.round(value)}%`
+    }
+};
+
+// Rule evaluation state of the loaded profile { [ruleId]: { status, since, value } }
+// Persisted per profile so a firing rule doesn't fire again after a reload
+let ruleStates = {};
+let statesProfile;
+
+// Recent metric samples for windowed rules
+let shareSamples = [];
+let workerSamples = [];
+
+/**
+ * Parse a positive number
+ * @param {string} text - Input text
+ * @returns {number|null} Number or null
+ */
+function parsePositive(text) {
+    const value = parseFloat(String(text || '').replace('%', ''));
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Get the stale share ratio over Config.alerts.shareWindow
+ * @returns {number|null} Percent, or null without new shares in the window
+ */
+function getStaleRatio() {
+    if (shareSamples.length < 2) return null;
+    const first = shareSamples[0];
+    const last = shareSamples[shareSamples.length - 1];
+    const stale = last.stale - first.stale;
+    const total = (last.valid - first.valid) + stale + (last.invalid - first.invalid);
+    if (total <= 0 || stale < 0) return null;
+    return stale / total * 100;
+}
+
+/**
+ * Get hours since the pool's last known block
+ * @param {number} now - Current timestamp
+ * @returns {number|null} Hours, or null when no block time is known
+ */
+function getHoursSinceBlock(now) {
+    const times = (AppState.cache.blocks || []).map(getBlockTime).filter(Boolean);
+    if (times.length === 0) return null;
+    return (now - Math.max(...times)) / 3600000;
+}
+
+/**
+ * Get the drop of the worker count from its peak over Config.alerts.workerWindow
+ * @param {number} current - Connected workers
+ * @returns {number|null} Percent below the peak, or null without a peak
+ */
+function getWorkerDrop(current) {
+    const peak = Math.max(0, ...workerSamples.map(s => s.count));
+    if (peak === 0) return null;
+    return Math.max(0, (peak - current) / peak * 100);
+}
+
+/**
+ * Load alert rules of the active profile
+ * @returns {Array} Rules { id, type, threshold, forMinutes, enabled }
+ */
+export function loadAlertRules() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(getProfileStorageKey(Config.storage.alertRules)) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(rule => rule && RULE_TYPES[rule.type]) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveAlertRules(rules) {
+    try {
+        localStorage.setItem(getProfileStorageKey(Config.storage.alertRules), JSON.stringify(rules));
+    } catch (e) {
+        console.warn('Failed to save alert rules:', e);
+    }
+}
+
+function loadRuleStates() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(getProfileStorageKey(Config.storage.alertStates)) || '{}');
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveRuleStates() {
+    try {
+        localStorage.setItem(getProfileStorageKey(Config.storage.alertStates, statesProfile), JSON.stringify(ruleStates));
+    } catch (e) {
+        console.warn('Failed to save alert states:', e);
+    }
+}
+
+/**
+ * Load alert history of the active profile
+ * @returns {Array} Entries { t, ruleId, type, event, message } (newest first)
+ */
+export function loadAlertHistory() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(getProfileStorageKey(Config.storage.alertHistory)) || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveAlertHistory(history) {
+    try {
+        localStorage.setItem(getProfileStorageKey(Config.storage.alertHistory), JSON.stringify(history.slice(0, Config.alerts.historyLimit)));
+    } catch (e) {
+        console.warn('Failed to save alert history:', e);
+    }
+}
+
+/**
+ * Describe a rule
+ * @param {Object} rule - Rule
+ * @returns {string} e.g. "Pool hashrate below 500 GH/s for 10 min"
+ */
+export function describeRule(rule) {
+    const type = RULE_TYPES[rule.type];
+    return `${type.label} ${type.format(rule.threshold)}${rule.forMinutes > 0 ? ` for ${rule.forMinutes} min` : ''}`;
+}
+
+/**
+ * Whether a value breaches a rule
+ * @param {Object} rule - Rule
+ * @param {number} value - Measured value
+ * @returns {boolean} True if the alert condition holds
+ */
+function isBreached(rule, value) {
+    return RULE_TYPES[rule.type].direction === 'below' ? value < rule.threshold : value > rule.threshold;
+}
+
+/**
+ * Whether a value is far enough back from the threshold to resolve a firing rule
+ * @param {Object} rule - Rule
+ * @param {number} value - Measured value
+ * @returns {boolean} True if recovered past the hysteresis band
+ */
+function isRecovered(rule, value) {
+    const margin = rule.threshold * Config.alerts.hysteresis;
+    return RULE_TYPES[rule.type].direction === 'below'
+        ? value >= rule.threshold + margin
+        : value <= rule.threshold - margin;
+}
+
+/**
+ * Record an alert and notify
+ * @param {Object} rule - Rule
+ * @param {string} event - 'fired' or 'resolved'
+ * @param {number} value - Measured value
+ * @param {number} now - Current timestamp
+ */
+function recordAlert(rule, event, value, now) {
+    const type = RULE_TYPES[rule.type];
+    const message = event === 'fired'
+        ? `${describeRule(rule)} (now ${type.format(value)})`
+        : `Resolved: ${describeRule(rule)} (now ${type.format(value)})`;
+    const entry = { t: now, ruleId: rule.id, type: rule.type, event, message };
+
+    saveAlertHistory([entry, ...loadAlertHistory()]);
+    if (event === 'fired') {
+        showNotification(`🔔 ${message}`, NotificationType.WARNING, 0);
+    } else {
+        showNotification(message, NotificationType.SUCCESS);
+    }
+    notifySystem(NotificationTopic.ALERTS, 'Quai Mining Dashboard', message, `alert:${rule.id}`);
+    sendWebhookEvent(event === 'fired' ? WebhookEvent.ALERT_FIRED : WebhookEvent.ALERT_RESOLVED, message, {
+        rule: describeRule(rule),
+        type: rule.type,
+        threshold: rule.threshold,
+        value
+    });
+    document.dispatchEvent(new CustomEvent(ALERT_EVENT, { detail: entry }));
+}
+
+/**
+ * Get share counters from pool stats
+ * @param {Object} stats - Pool stats
+ * @returns {Object} { valid, stale, invalid }
+ */
+function getShareCounters(stats) {
+    return {
+        valid: Number(stats.sharesValid) || 0,
+        stale: Number(stats.sharesStale) || 0,
+        invalid: Number(stats.sharesInvalid) || 0
+    };
+}
+
+/**
+ * Keep metric samples of the windowed rules
+ * @param {Object} stats - Pool stats
+ * @param {number} now - Current timestamp
+ */
+function sampleMetrics(stats, now) {
+    const shares = getShareCounters(stats);
+    const last = shareSamples[shareSamples.length - 1];
+    // Counters going backwards mean a pool restart: start over
+    if (last && (shares.valid < last.valid || shares.stale < last.stale)) shareSamples = [];
+    shareSamples.push({ t: now, ...shares });
+    shareSamples = shareSamples.filter(s => now - s.t <= Config.alerts.shareWindow);
+
+    workerSamples.push({ t: now, count: Number(stats.workersConnected) || 0 });
+    workerSamples = workerSamples.filter(s => now - s.t <= Config.alerts.workerWindow);
+}
+
+/**
+ * Evaluate every enabled rule against fresh pool stats
+ * A rule fires once its condition held for forMinutes and resolves only
+ * after its value moved Config.alerts.hysteresis back past the threshold.
+ * @param {Object} stats - Pool stats
+ * @param {number} now - Current timestamp
+ */
+export function evaluateAlerts(stats, now = Date.now()) {
+    if (!stats) return;
+    if (statesProfile !== AppState.connection.profileId) {
+        statesProfile = AppState.connection.profileId;
+        ruleStates = loadRuleStates();
+        shareSamples = [];
+        workerSamples = [];
+    }
+    sampleMetrics(stats, now);
+
+    const rules = loadAlertRules();
+    let changed = false;
+    rules.forEach(rule => {
+        const state = ruleStates[rule.id] || (ruleStates[rule.id] = { status: 'ok', since: now, value: null });
+        if (!rule.enabled) {
+            if (state.status !== 'ok') changed = true;
+            ruleStates[rule.id] = { status: 'ok', since: now, value: null };
+            return;
+        }
+
+        const value = RULE_TYPES[rule.type].measure(stats, now);
+        if (value === null || !Number.isFinite(value)) return;
+        state.value = value;
+
+        if (state.status === 'firing') {
+            if (isRecovered(rule, value)) {
+                ruleStates[rule.id] = { status: 'ok', since: now, value };
+                recordAlert(rule, 'resolved', value, now);
+                changed = true;
+            }
+            return;
+        }
+
+        if (!isBreached(rule, value)) {
+            if (state.status === 'pending') changed = true;
+            ruleStates[rule.id] = { status: 'ok', since: now, value };
+            return;
+        }
+        if (state.status === 'ok') {
+            ruleStates[rule.id] = { status: 'pending', since: now, value };
+            changed = true;
+        }
+        if (now - ruleStates[rule.id].since >= (rule.forMinutes || 0) * 60000) {
+            ruleStates[rule.id] = { status: 'firing', since: now, value };
+            recordAlert(rule, 'fired', value, now);
+            changed = true;
+        }
+    });
+
+    // Drop states of deleted rules
+    Object.keys(ruleStates).forEach(id => {
+        if (rules.some(rule => rule.id === id)) return;
+        delete ruleStates[id];
+        changed = true;
+    });
+
+    if (changed) {
+        saveRuleStates();
+        renderAlerts();
+    }
+}
+
+/**
+ * Get the evaluation status of a rule
+ * @param {string} ruleId - Rule id
+ * @returns {string} 'ok', 'pending' or 'firing'
+ */
+export function getRuleStatus(ruleId) {
+    return statesProfile === AppState.connection.profileId ? (ruleStates[ruleId]?.status || 'ok') : 'ok';
+}
+
+/**
+ * Add a rule from the form in the alerts panel
+ */
+export function addAlertRuleFromForm() {
+    const typeSelect = document.getElementById('alertRuleType');
+    const thresholdInput = document.getElementById('alertRuleThreshold');
+    const minutesInput = document.getElementById('alertRuleMinutes');
+    const type = RULE_TYPES[typeSelect?.value];
+    if (!type) return;
+
+    const threshold = type.parse(thresholdInput?.value);
+    if (threshold === null || threshold <= 0) {
+        showWarning(`Enter a threshold (${type.placeholder})`);
+        return;
+    }
+    const forMinutes = Math.max(0, Math.round(Number(minutesInput?.value) || 0));
+
+    const rules = loadAlertRules();
+    rules.push({
+        id: `r_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        type: typeSelect.value,
+        threshold,
+        forMinutes,
+        enabled: true
+    });
+    saveAlertRules(rules);
+    thresholdInput.value = '';
+    renderAlerts();
+}
+
+/**
+ * Enable or disable a rule
+ * @param {string} ruleId - Rule id
+ * @param {boolean} enabled - New state
+ */
+export function setAlertRuleEnabled(ruleId, enabled) {
+    const rules = loadAlertRules();
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) return;
+    rule.enabled = !!enabled;
+    saveAlertRules(rules);
+    if (!rule.enabled) dropRuleState(ruleId);
+    renderAlerts();
+}
+
+/**
+ * Delete a rule
+ * @param {string} ruleId - Rule id
+ */
+export function deleteAlertRule(ruleId) {
+    saveAlertRules(loadAlertRules().filter(r => r.id !== ruleId));
+    dropRuleState(ruleId);
+    renderAlerts();
+}
+
+function dropRuleState(ruleId) {
+    if (statesProfile !== AppState.connection.profileId || !ruleStates[ruleId]) return;
+    delete ruleStates[ruleId];
+    saveRuleStates();
+}
+
+/**
+ * Clear the alert history of the active profile
+ */
+export function clearAlertHistory() {
+    saveAlertHistory([]);
+    renderAlerts();
+}
+
+/**
+ * Sync the alert type form with the selected type
+ */
+export function updateAlertRuleForm() {
+    const type = RULE_TYPES[document.getElementById('alertRuleType')?.value];
+    const thresholdInput = document.getElementById('alertRuleThreshold');
+    if (type && thresholdInput) thresholdInput.placeholder = type.placeholder;
+}
+
+/**
+ * Render the alerts button badge, rule list and history
+ */
+export function renderAlerts() {
+    const rules = loadAlertRules();
+    const firing = rules.filter(rule => getRuleStatus(rule.id) === 'firing').length;
+
+    const button = document.getElementById('alertsBtn');
+    if (button) {
+        button.textContent = firing > 0 ? `🔔 Alerts (${firing})` : '🔔 Alerts';
+        button.classList.toggle('alerts-firing', firing > 0);
+    }
+
+    const list = document.getElementById('alertRulesList');
+    if (list) {
+        list.innerHTML = '';
+        if (rules.length === 0) {
+            list.innerHTML = '<div class="search-result-item no-results">No alert rules</div>';
+        }
+        rules.forEach(rule => {
+            const status = rule.enabled ? getRuleStatus(rule.id) : 'off';
+            const item = document.createElement('div');
+            item.className = 'search-result-item alert-rule';
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = !!rule.enabled;
+            toggle.title = rule.enabled ? 'Disable rule' : 'Enable rule';
+            toggle.onchange = () => setAlertRuleEnabled(rule.id, toggle.checked);
+
+            const label = document.createElement('span');
+            label.className = 'alert-rule-label';
+            label.textContent = describeRule(rule);
+
+            const badge = document.createElement('span');
+            badge.className = `alert-status ${status}`;
+            badge.textContent = status;
+            const value = ruleStates[rule.id]?.value;
+            if (value !== null && value !== undefined && status !== 'off') {
+                badge.title = `Now ${RULE_TYPES[rule.type].format(value)}`;
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'modal-close-btn';
+            remove.title = 'Delete rule';
+            remove.innerHTML = '&times;';
+            remove.onclick = () => deleteAlertRule(rule.id);
+
+            item.append(toggle, label, badge, remove);
+            list.appendChild(item);
+        });
+    }
+
+    const historyList = document.getElementById('alertHistoryList');
+    if (historyList) {
+        const history = loadAlertHistory();
+        historyList.innerHTML = '';
+        if (history.length === 0) {
+            historyList.innerHTML = '<div class="search-result-item no-results">No alerts yet</div>';
+        }
+        history.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `search-result-item alert-history-item ${entry.event}`;
+            const time = document.createElement('span');
+            time.className = 'alert-history-time';
+            time.textContent = formatElapsedTime(Date.now() - entry.t);
+            time.title = new Date(entry.t).toLocaleString();
+            const message = document.createElement('span');
+            message.textContent = entry.message;
+            item.append(time, message);
+            historyList.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Open the alerts panel
+ */
+export function openAlertsModal() {
+    const modal = document.getElementById('alertsModal');
+    if (!modal) return;
+    renderAlerts();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Close the alerts panel
+ */
+export function closeAlertsModal() {
+    const modal = document.getElementById('alertsModal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Initialize alert global functions
+ */
+export function initAlertsGlobals() {
+    window.openAlertsModal = openAlertsModal;
+    window.closeAlertsModal = closeAlertsModal;
+    window.addAlertRuleFromForm = addAlertRuleFromForm;
+    window.clearAlertHistory = clearAlertHistory;
+    window.updateAlertRuleForm = updateAlertRuleForm;
+
+    const typeSelect = document.getElementById('alertRuleType');
+    if (typeSelect) {
+        typeSelect.innerHTML = '';
+        Object.entries(RULE_TYPES).forEach(([value, type]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = type.label;
+            typeSelect.appendChild(option);
+        });
+        updateAlertRuleForm();
+    }
+
+    document.addEventListener('click', (e) => {
+        if (e.target === document.getElementById('alertsModal')) closeAlertsModal();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeAlertsModal();
+    });
+    renderAlerts();
+}
@@ -0,0 +1,302 @@
+/**
+ * Backup Component
+ * Backup file with chart and per-address history, connection profiles,
+ * saved hosts, proxy preference and theme, and an import flow that
+ * validates a file and merges it into the data of this browser
+ */
+
+import { Config } from '../config.js';
+import { dumpSeries, mergeSeries } from '../utils/timeseries.js';
+import { loadProfiles, getProfile, findProfileByHost, upsertProfile, pruneHistory } from '../utils/storage.js';
+import { getLearnedRoutes, mergeRoutes } from '../api/routes.js';
+import { downloadFile } from '../utils/export.js';
+import { showSuccess, showError, showWarning } from '../utils/notifications.js';
+
+const BACKUP_TYPE = 'quai-dashboard-backup';
+const BACKUP_VERSION = 1;
+
+// Plain settings carried by a backup (names in Config.storage); only restored where unset here
+const BACKUP_SETTINGS = ['serverHost', 'serverIp', 'serverPort', 'useProxy', 'theme', 'activeProfile'];
+
+// Callback invoked after a backup was restored
+let onBackupRestored = null;
+
+// Validated backup waiting for confirmation
+let pendingBackup = null;
+
+/**
+ * Build a backup of this browser's dashboard data
+ * @returns {Promise<Object>} Backup payload
+ */
+export async function buildBackup() {
+    const settings = {};
+    BACKUP_SETTINGS.forEach(name => {
+        const value = localStorage.getItem(Config.storage[name]);
+        if (value !== null && value !== '') settings[name] = value;
+    });
+
+    return {
+        type: BACKUP_TYPE,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        profiles: loadProfiles(),
+        settings,
+        routes: getLearnedRoutes(),
+        history: await dumpSeries()
+    };
+}
+
+/**
+ * Validate a backup file
+ * Profile exports (exportProfiles) are accepted as profile-only backups.
+ * @param {string} text - File content
+ * @returns {Object} Backup { profiles, settings, routes, history }
+ * @throws {Error} When the file is not a usable backup
+ */
+export function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('File is not valid JSON');
+    }
+    if (!data || typeof data !== 'object') throw new Error('File is not a dashboard backup');
+    if (data.type !== BACKUP_TYPE && data.type !== 'quai-dashboard-profiles') {
+        throw new Error('File is not a dashboard backup');
+    }
+    if (!(data.version >= 1 && data.version <= BACKUP_VERSION)) {
+        throw new Error(`Unsupported backup version ${data.version}`);
+    }
+
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const profiles = Array.isArray(data.profiles) ? data.profiles : [];
+    if (profiles.some(p => !isObject(p) || !p.id || typeof p.host !== 'string' || !p.host.trim())) {
+        throw new Error('Backup contains invalid profiles');
+    }
+    if (data.settings !== undefined && !isObject(data.settings)) throw new Error('Backup contains invalid settings');
+    if (data.routes !== undefined && !isObject(data.routes)) throw new Error('Backup contains invalid routes');
+    if (data.history !== undefined && (!isObject(data.history) || Object.values(data.history).some(v => !Array.isArray(v)))) {
+        throw new Error('Backup contains invalid history');
+    }
+
+    const settings = {};
+    BACKUP_SETTINGS.forEach(name => {
+        if (typeof data.settings?.[name] === 'string') settings[name] = data.settings[name];
+    });
+    return {
+        exportedAt: data.exportedAt || null,
+        profiles,
+        settings,
+        routes: data.routes || {},
+        history: data.history || {}
+    };
+}
+
+/**
+ * Map backup profile ids to profiles of this browser, adding missing profiles
+ * A profile with the same id and host, or else the same host and port, is reused.
+ * @param {Array} profiles - Backup profiles
+ * @returns {Object} { ids: Map(backupId -> localId), added }
+ */
+function mergeProfiles(profiles) {
+    const ids = new Map();
+    let added = 0;
+    profiles.forEach(profile => {
+        const sameHost = p => p && p.host.toLowerCase() === profile.host.trim().toLowerCase()
+            && String(p.port || '') === String(profile.port || '').trim();
+        const byId = getProfile(profile.id);
+        const existing = sameHost(byId) ? byId : findProfileByHost(profile.host.trim(), String(profile.port || '').trim());
+        if (existing) {
+            ids.set(profile.id, existing.id);
+            return;
+        }
+        // Keep the backup id unless another host already uses it
+        const saved = upsertProfile({ ...profile, id: byId ? null : profile.id });
+        ids.set(profile.id, saved.id);
+        added++;
+    });
+    return { ids, added };
+}
+
+/**
+ * Rename the profile part of stored series keys
+ * @param {Object} history - Dumped series
+ * @param {Map} ids - Backup profile id -> local profile id
+ * @returns {Object} Series with local keys
+ */
+function remapHistory(history, ids) {
+    const remapped = {};
+    Object.entries(history).forEach(([key, points]) => {
+        const sep = key.indexOf('|');
+        const profileId = sep >= 0 ? key.slice(0, sep) : '';
+        const local = ids.get(profileId);
+        const target = local ? `${local}${key.slice(sep)}` : key;
+        remapped[target] = (remapped[target] || []).concat(points);
+    });
+    return remapped;
+}
+
+/**
+ * Merge a validated backup into this browser
+ * Existing profiles, settings and learned routes are kept; history is
+ * merged sample by sample (see mergeSeries).
+ * @param {Object} backup - Result of parseBackup()
+ * @returns {Promise<Object>} { profilesAdded, settingsRestored, routesAdded, samplesMerged }
+ */
+export async function restoreBackup(backup) {
+    const { ids, added } = mergeProfiles(backup.profiles);
+
+    let settingsRestored = 0;
+    Object.entries(backup.settings).forEach(([name, value]) => {
+        const key = Config.storage[name];
+        const current = localStorage.getItem(key);
+        if (current !== null && current !== '') return;
+        localStorage.setItem(key, name === 'activeProfile' ? (ids.get(value) || value) : value);
+        settingsRestored++;
+    });
+
+    const routesAdded = mergeRoutes(backup.routes);
+    const samplesMerged = await mergeSeries(remapHistory(backup.history, ids));
+    await pruneHistory(true);
+
+    return { profilesAdded: added, settingsRestored, routesAdded, samplesMerged };
+}
+
+/**
+ * Show what a validated backup contains before it is restored
+ * @param {HTMLElement} preview - Preview container
+ * @param {Object} backup - Result of parseBackup()
+ */
+function renderBackupPreview(preview, backup) {
+    const series = Object.keys(backup.history);
+    const samples = series.reduce((sum, key) => sum + backup.history[key].length, 0);
+    const addresses = new Set(series.map(key => key.split('|')[1]).filter(scope => scope?.startsWith('addr:')));
+    const newProfiles = backup.profiles.filter(p => !findProfileByHost(p.host.trim(), String(p.port || '').trim())).length;
+    const settings = Object.keys(backup.settings);
+
+    preview.innerHTML = '';
+    const title = document.createElement('p');
+    title.textContent = `Backup from ${backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'an unknown date'}`;
+    preview.appendChild(title);
+
+    const list = document.createElement('ul');
+    [
+        `${backup.profiles.length} profile${backup.profiles.length !== 1 ? 's' : ''} (${newProfiles} new)`,
+        `${samples.toLocaleString()} history samples in ${series.length} series (${addresses.size} address${addresses.size !== 1 ? 'es' : ''})`,
+        `${Object.keys(backup.routes).length} learned proxy routes`,
+        settings.length ? `Settings: ${settings.join(', ')}` : 'No settings'
+    ].forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+    preview.appendChild(list);
+}
+
+/**
+ * Download a backup file
+ * @returns {Promise<void>}
+ */
+export async function downloadBackup() {
+    try {
+        const backup = await buildBackup();
+        downloadFile(
+            JSON.stringify(backup),
+            `quai-dashboard-backup-${new Date().toISOString().slice(0,10)}.json`,
+            'application/json'
+        );
+    } catch (e) {
+        showError('Failed to create backup', e);
+    }
+}
+
+/**
+ * Validate the chosen backup file and show what it contains
+ * @param {HTMLInputElement} input - File input
+ * @returns {Promise<void>}
+ */
+export async function selectBackupFile(input) {
+    const file = input?.files?.[0];
+    const preview = document.getElementById('backupPreview');
+    const restoreBtn = document.getElementById('backupRestoreBtn');
+    pendingBackup = null;
+    if (restoreBtn) restoreBtn.disabled = true;
+    if (!file || !preview) return;
+
+    try {
+        pendingBackup = parseBackup(await file.text());
+        renderBackupPreview(preview, pendingBackup);
+        if (restoreBtn) restoreBtn.disabled = false;
+    } catch (e) {
+        preview.innerHTML = '';
+        const error = document.createElement('p');
+        error.className = 'backup-error';
+        error.textContent = e.message;
+        preview.appendChild(error);
+    }
+}
+
+/**
+ * Merge the validated backup into this browser
+ * @returns {Promise<void>}
+ */
+export async function restorePendingBackup() {
+    if (!pendingBackup) {
+        showWarning('Choose a backup file first');
+        return;
+    }
+    try {
+        const result = await restoreBackup(pendingBackup);
+        showSuccess(`Backup merged: ${result.profilesAdded} profiles, ${result.samplesMerged.toLocaleString()} history samples, ${result.routesAdded} routes, ${result.settingsRestored} settings`);
+        closeBackupModal();
+        if (onBackupRestored) onBackupRestored(result);
+    } catch (e) {
+        showError('Failed to restore backup', e);
+    }
+}
+
+/**
+ * Open the backup modal
+ */
+export function openBackupModal() {
+    const modal = document.getElementById('backupModal');
+    if (!modal) return;
+    const input = document.getElementById('backupFile');
+    if (input) input.value = '';
+    const preview = document.getElementById('backupPreview');
+    if (preview) preview.innerHTML = '';
+    const restoreBtn = document.getElementById('backupRestoreBtn');
+    if (restoreBtn) restoreBtn.disabled = true;
+    pendingBackup = null;
+    modal.style.display = 'flex';
+}
+
+/**
+ * Close the backup modal
+ */
+export function closeBackupModal() {
+    const modal = document.getElementById('backupModal');
+    if (modal) modal.style.display = 'none';
+    pendingBackup = null;
+}
+
+/**
+ * Initialize backup globals
+ * @param {Function} onRestored - Callback receiving the restore result
+ */
+export function initBackup(onRestored) {
+    onBackupRestored = onRestored;
+
+    window.openBackupModal = openBackupModal;
+    window.closeBackupModal = closeBackupModal;
+    window.downloadBackup = downloadBackup;
+    window.selectBackupFile = selectBackupFile;
+    window.restorePendingBackup = restorePendingBackup;
+
+    document.addEventListener('click', (e) => {
+        if (e.target === document.getElementById('backupModal')) closeBackupModal();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeBackupModal();
+    });
+}
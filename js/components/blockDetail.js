@@ -0,0 +1,312 @@
+/**
+ * Block Detail Component
+ * Drill-down panel for a block: pool data plus header, uncles and
+ * coinbase transaction fetched from a Quai node over JSON-RPC
+ */
+
+import { coinbaseTxCache } from '../state.js';
+import { formatNumber, formatDifficulty } from '../utils/formatters.js';
+import { describeApiError } from '../api/client.js';
+import { fetchBlock, fetchTransaction, getRpcUrl, setRpcUrl } from '../api/nodeRpc.js';
+
+// Node blocks already fetched { [hash]: block }
+const blockCache = new Map();
+
+// Block currently shown in the panel
+let currentBlock = null;
+
+// Region names by location index
+const REGION_NAMES = ['Cyprus', 'Paxos', 'Hydra'];
+
+/**
+ * Convert a hex or decimal quantity to a BigInt
+ * @param {string|number} value - Quantity
+ * @returns {bigint|null} Value or null
+ */
+function toBigInt(value) {
+    if (value === null || value === undefined || value === '') return null;
+    try {
+        return BigInt(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Format a wei quantity as QUAI
+ * @param {string|number} value - Amount in wei (hex or decimal)
+ * @returns {string} Formatted amount
+ */
+function formatWei(value) {
+    const wei = toBigInt(value);
+    if (wei === null) return '-';
+    const whole = wei / 10n ** 18n;
+    const frac = (wei % 10n ** 18n).toString().padStart(18, '0').slice(0, 4);
+    return `${formatNumber(Number(whole))}.${frac} QUAI`;
+}
+
+/**
+ * Describe a block location (zone/region)
+ * @param {string|Array} location - Location bytes ('0x0001' or [0, 1])
+ * @returns {string} e.g. "Cyprus-2 (region 0, zone 1)"
+ */
+function describeLocation(location) {
+    let bytes = [];
+    if (Array.isArray(location)) {
+        bytes = location.map(Number);
+    } else if (typeof location === 'string' && location.startsWith('0x')) {
+        const hex = location.slice(2);
+        for (let i = 0; i < hex.length; i += 2) bytes.push(parseInt(hex.slice(i, i + 2), 16));
+    }
+    if (bytes.length === 0) return '-';
+    const [region, zone] = bytes;
+    const name = REGION_NAMES[region] || `Region ${region}`;
+    return zone === undefined
+        ? `${name} (region ${region})`
+        : `${name}-${zone + 1} (region ${region}, zone ${zone})`;
+}
+
+/**
+ * Describe the prime/region/zone block numbers of a header
+ * @param {Object} header - Node header
+ * @returns {string} e.g. "Prime #1 · Region #2 · Zone #3"
+ */
+function describeNumbers(header) {
+    const numbers = header?.number;
+    if (!Array.isArray(numbers)) return '-';
+    const labels = ['Prime', 'Region', 'Zone'];
+    return numbers
+        .map((n, i) => `${labels[i] || `L${i}`} #${formatNumber(Number(toBigInt(n)))}`)
+        .join(' · ');
+}
+
+/**
+ * Append a label/value row to a detail list
+ * @param {HTMLElement} list - Container
+ * @param {string} label - Label
+ * @param {string} value - Value text
+ * @param {boolean} mono - Monospace value
+ */
+function addRow(list, label, value, mono = false) {
+    const row = document.createElement('div');
+    row.className = 'block-detail-row';
+    const l = document.createElement('span');
+    l.className = 'block-detail-label';
+    l.textContent = label;
+    const v = document.createElement(mono ? 'code' : 'span');
+    v.className = 'block-detail-value';
+    v.textContent = value ?? '-';
+    if (mono) v.title = value;
+    row.appendChild(l);
+    row.appendChild(v);
+    list.appendChild(row);
+}
+
+/**
+ * Render the pool-side summary of a block
+ * @param {Object} block - Normalized pool block
+ */
+function renderPoolSummary(block) {
+    const list = document.getElementById('blockDetailPool');
+    if (!list) return;
+    list.innerHTML = '';
+
+    addRow(list, 'Hash', block.hash || block.blockHash || '-', true);
+    addRow(list, 'Found by', block.miner || block.worker || '-', true);
+
+    let ts = null;
+    if (block.timestamp) ts = block.timestamp > 1e12 ? block.timestamp : block.timestamp * 1000;
+    else if (block.foundAt) ts = Date.parse(block.foundAt) || null;
+    addRow(list, 'Found at', ts ? new Date(ts).toLocaleString() : '-');
+
+    const depth = block.confirmations !== null && block.confirmations !== undefined
+        ? ` · ${formatNumber(block.confirmations)} confirmations`
+        : '';
+    addRow(list, 'Status', `${block.status || '-'}${depth}`);
+
+    // Reward breakdown (whichever fields the pool reports)
+    const rewardFields = [
+        ['reward', 'Reward'],
+        ['blockReward', 'Block reward'],
+        ['minerReward', 'Miner reward'],
+        ['fee', 'Pool fee'],
+        ['poolFee', 'Pool fee'],
+        ['txFees', 'Transaction fees'],
+        ['uncleReward', 'Uncle reward']
+    ];
+    rewardFields.forEach(([key, label]) => {
+        const value = block[key];
+        if (value === undefined || value === null || value === '') return;
+        const num = parseFloat(value);
+        addRow(list, label, Number.isNaN(num) ? String(value) : `${num.toFixed(4)} QUAI`);
+    });
+}
+
+/**
+ * Render node header, uncles and coinbase transaction
+ * @param {Object} nodeBlock - Block from quai_getBlockByHash
+ * @param {Object|null} coinbase - Coinbase cache entry { hash, tx }
+ */
+function renderNodeDetails(nodeBlock, coinbase) {
+    const list = document.getElementById('blockDetailNode');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const wo = nodeBlock.woHeader || nodeBlock.header || nodeBlock;
+    const header = nodeBlock.header || {};
+
+    addRow(list, 'Location', describeLocation(wo.location ?? header.location));
+    addRow(list, 'Block numbers', describeNumbers(header));
+    const difficulty = toBigInt(wo.difficulty ?? header.difficulty);
+    addRow(list, 'Difficulty', difficulty === null ? '-' : formatDifficulty(Number(difficulty)));
+    addRow(list, 'Coinbase', wo.primaryCoinbase || wo.coinbase || header.primaryCoinbase || '-', true);
+    addRow(list, 'Parent hash', wo.parentHash || (Array.isArray(header.parentHash) ? header.parentHash.at(-1) : header.parentHash) || '-', true);
+    const txs = nodeBlock.transactions || [];
+    addRow(list, 'Transactions', formatNumber(txs.length));
+
+    // Uncles / workshares
+    const uncles = nodeBlock.uncles || nodeBlock.workshares || [];
+    addRow(list, 'Uncles', formatNumber(uncles.length));
+    uncles.slice(0, 10).forEach((uncle, i) => {
+        const hash = typeof uncle === 'string' ? uncle : (uncle.hash || uncle.headerHash || '-');
+        addRow(list, `  #${i + 1}`, hash, true);
+    });
+
+    // Coinbase transaction
+    if (coinbase && coinbase.tx) {
+        addRow(list, 'Coinbase tx', coinbase.hash, true);
+        addRow(list, 'Coinbase to', coinbase.tx.to || '-', true);
+        addRow(list, 'Coinbase value', formatWei(coinbase.tx.value));
+    } else if (coinbase && coinbase.hash) {
+        addRow(list, 'Coinbase tx', coinbase.hash, true);
+    }
+}
+
+/**
+ * Show node RPC status text
+ * @param {string} text - Status
+ * @param {boolean} isError - Error styling
+ */
+function setNodeStatus(text, isError = false) {
+    const el = document.getElementById('blockDetailStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('error', isError);
+}
+
+/**
+ * Get (and cache) the coinbase transaction of a node block
+ * @param {string} blockHash - Block hash
+ * @param {Object} nodeBlock - Node block
+ * @returns {Promise<Object|null>} Cache entry { hash, tx, fetchedAt }
+ */
+async function getCoinbaseTx(blockHash, nodeBlock) {
+    if (coinbaseTxCache.has(blockHash)) return coinbaseTxCache.get(blockHash);
+
+    const first = (nodeBlock.transactions || [])[0];
+    const txHash = typeof first === 'string' ? first : first?.hash;
+    if (!txHash) return null;
+
+    const tx = typeof first === 'object' && first.value !== undefined ? first : await fetchTransaction(txHash);
+    const entry = { hash: txHash, tx, fetchedAt: Date.now() };
+    coinbaseTxCache.set(blockHash, entry);
+    return entry;
+}
+
+/**
+ * Fetch node data for the current block and render it
+ */
+async function loadNodeDetails() {
+    const block = currentBlock;
+    if (!block) return;
+    const hash = block.hash || block.blockHash;
+
+    const list = document.getElementById('blockDetailNode');
+    if (list) list.innerHTML = '';
+    if (!getRpcUrl()) {
+        setNodeStatus('Enter the RPC URL of your Quai node to load node data');
+        return;
+    }
+    setNodeStatus(`Loading from ${getRpcUrl()}...`);
+
+    try {
+        let nodeBlock = blockCache.get(hash);
+        if (!nodeBlock) {
+            nodeBlock = await fetchBlock(hash, block.height);
+            if (nodeBlock) blockCache.set(hash, nodeBlock);
+        }
+        if (block !== currentBlock) return;
+        if (!nodeBlock) {
+            setNodeStatus('Block not found on this node (other zone or pruned)', true);
+            return;
+        }
+
+        let coinbase = null;
+        try {
+            coinbase = await getCoinbaseTx(hash, nodeBlock);
+        } catch (e) {
+            console.warn('Failed to fetch coinbase transaction:', e);
+        }
+        if (block !== currentBlock) return;
+
+        setNodeStatus(`Node: ${getRpcUrl()}`);
+        renderNodeDetails(nodeBlock, coinbase);
+    } catch (error) {
+        if (block !== currentBlock) return;
+        setNodeStatus(`Node RPC unavailable: ${describeApiError(error)}`, true);
+    }
+}
+
+/**
+ * Open block detail panel
+ * @param {Object} block - Normalized pool block
+ */
+export function openBlockDetail(block) {
+    const modal = document.getElementById('blockDetailModal');
+    if (!modal || !block) return;
+
+    currentBlock = block;
+    document.getElementById('blockDetailTitle').textContent = `🧱 Block #${block.height || '?'}`;
+    const rpcInput = document.getElementById('blockDetailRpcUrl');
+    if (rpcInput) rpcInput.value = getRpcUrl();
+
+    renderPoolSummary(block);
+    modal.style.display = 'flex';
+    loadNodeDetails();
+}
+
+/**
+ * Close block detail panel
+ */
+export function closeBlockDetail() {
+    const modal = document.getElementById('blockDetailModal');
+    if (modal) modal.style.display = 'none';
+    currentBlock = null;
+}
+
+/**
+ * Save the RPC URL from the panel and reload node details
+ */
+export function saveBlockDetailRpcUrl() {
+    const input = document.getElementById('blockDetailRpcUrl');
+    setRpcUrl(input ? input.value : '');
+    if (input) input.value = getRpcUrl();
+    blockCache.clear();
+    loadNodeDetails();
+}
+
+/**
+ * Initialize block detail global functions
+ */
+export function initBlockDetailGlobals() {
+    window.openBlockDetail = openBlockDetail;
+    window.closeBlockDetail = closeBlockDetail;
+    window.saveBlockDetailRpcUrl = saveBlockDetailRpcUrl;
+
+    document.addEventListener('click', (e) => {
+        if (e.target === document.getElementById('blockDetailModal')) closeBlockDetail();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeBlockDetail();
+    });
+}
@@ -3,38 +3,239 @@
  * Handles blocks table display and updates
  */
 
-import { AppState } from '../state.js';
+import { AppState, setState, subscribe, createSelector, selectBlocks, selectPoolStats } from '../state.js';
+import { Config } from '../config.js';
 import { formatNumber } from '../utils/formatters.js';
+import { getProfileStorageKey } from '../utils/storage.js';
+import { showNotification, NotificationType } from '../utils/notifications.js';
+import { openBlockDetail } from './blockDetail.js';
+import { updateEarningsProjection } from './earnings.js';
+import { getScopeAddresses, matchesScope } from './watchlist.js';
+import { syncRoute } from '../router.js';
+
+// Block lifecycle states
+export const BlockStatus = {
+    PENDING: 'pending',
+    MATURED: 'matured',
+    ORPHANED: 'orphaned',
+    UNCLE: 'uncle',
+    // Server reported neither a status nor confirmations
+    UNKNOWN: 'unknown'
+};
+
+// Status aliases used by pool servers
+const STATUS_ALIASES = {
+    pending: BlockStatus.PENDING,
+    immature: BlockStatus.PENDING,
+    unconfirmed: BlockStatus.PENDING,
+    new: BlockStatus.PENDING,
+    matured: BlockStatus.MATURED,
+    mature: BlockStatus.MATURED,
+    confirmed: BlockStatus.MATURED,
+    orphan: BlockStatus.ORPHANED,
+    orphaned: BlockStatus.ORPHANED,
+    uncle: BlockStatus.UNCLE,
+    uncled: BlockStatus.UNCLE
+};
 
 /**
- * Update blocks table
- * @param {Array} blocksData - Blocks array
+ * Get the best known chain height
+ * @param {Object} data - Blocks payload
+ * @returns {number|null} Chain height or null
  */
-export function updateBlocks(blocksData) {
-    const tbody = document.getElementById('blocksTableBody');
+function getChainHeight(data) {
+    const candidates = [
+        data && !Array.isArray(data) ? (data.currentHeight ?? data.chainHeight ?? data.height) : null,
+        AppState.cache.poolStats?.height,
+        AppState.cache.poolStats?.blockHeight,
+        ...Object.values(AppState.cache.jobs || {}).map(job => job.height)
+    ].map(Number).filter(h => Number.isFinite(h) && h > 0);
+    return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+/**
+ * Normalize a blocks payload into a list of blocks with lifecycle status
+ * Accepts a plain array, { blocks }, or status buckets
+ * ({ matured, pending|immature, orphaned, uncles }).
+ * @param {Object|Array} data - Blocks payload from /api/pool/blocks
+ * @returns {Array} Blocks with `status` and `confirmations` (newest first)
+ */
+export function normalizeBlocks(data) {
+    if (!data) return [];
     
-    if (!tbody) return;
+    const tagged = [];
+    if (Array.isArray(data)) {
+        data.forEach(b => tagged.push([b, null]));
+    } else {
+        (data.blocks || []).forEach(b => tagged.push([b, null]));
+        (data.pending || data.immature || []).forEach(b => tagged.push([b, BlockStatus.PENDING]));
+        (data.matured || []).forEach(b => tagged.push([b, BlockStatus.MATURED]));
+        (data.orphaned || data.orphans || []).forEach(b => tagged.push([b, BlockStatus.ORPHANED]));
+        (data.uncles || data.uncled || []).forEach(b => tagged.push([b, BlockStatus.UNCLE]));
+    }
     
-    // Check if blocks or filter changed to prevent flickering
-    const blocksHash = JSON.stringify({
-        blocks: blocksData?.map(b => b.hash || b.blockHash) || [],
-        filter: AppState.ui.currentBlockAddressFilter
+    const chainHeight = getChainHeight(data);
+    const seen = new Set();
+    const blocks = [];
+    tagged.forEach(([block, bucket]) => {
+        if (!block) return;
+        const key = block.hash || block.blockHash || `${block.height}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        
+        let confirmations = Number(block.confirmations ?? block.depth);
+        if (!Number.isFinite(confirmations) && chainHeight && block.height) {
+            confirmations = Math.max(0, chainHeight - Number(block.height) + 1);
+        }
+        if (!Number.isFinite(confirmations)) confirmations = null;
+        
+        const explicit = STATUS_ALIASES[String(block.status || block.state || '').toLowerCase()];
+        let status = explicit || bucket;
+        if (!status) {
+            if (block.orphaned || block.orphan) status = BlockStatus.ORPHANED;
+            else if (block.uncle || block.isUncle) status = BlockStatus.UNCLE;
+            else if (block.matured === true) status = BlockStatus.MATURED;
+            else if (confirmations !== null && confirmations >= Config.blocks.maturityDepth) status = BlockStatus.MATURED;
+            else if (confirmations !== null || block.matured === false) status = BlockStatus.PENDING;
+            else status = BlockStatus.UNKNOWN;
+        }
+        
+        blocks.push({ ...block, status, confirmations });
     });
-    if (blocksHash === AppState.hashes.blocks) return;
-    AppState.hashes.blocks = blocksHash;
     
-    // Filter blocks by address if filter is set
-    let displayBlocks = blocksData || [];
+    return blocks.sort((a, b) => (Number(b.height) || 0) - (Number(a.height) || 0));
+}
+
+/**
+ * Compare block statuses with the last seen ones and warn about new orphans
+ * Last seen statuses are kept per connection profile.
+ * @param {Array} blocks - Normalized blocks
+ * @returns {Array} Blocks that became orphaned since the last check
+ */
+export function trackBlockLifecycle(blocks) {
+    const key = getProfileStorageKey(Config.storage.blockStatus);
+    let previous = {};
+    try {
+        previous = JSON.parse(localStorage.getItem(key) || '{}') || {};
+    } catch (e) {
+        previous = {};
+    }
+    
+    const orphaned = [];
+    const current = {};
+    blocks.forEach(block => {
+        const hash = block.hash || block.blockHash;
+        if (!hash) return;
+        current[hash] = block.status;
+        const before = previous[hash];
+        if (before && before !== BlockStatus.ORPHANED && block.status === BlockStatus.ORPHANED) {
+            orphaned.push(block);
+        }
+    });
+    
+    try {
+        localStorage.setItem(key, JSON.stringify(current));
+    } catch (e) {}
+    
+    orphaned.forEach(block => {
+        showNotification(`Block #${block.height || '?'} was orphaned (${(block.hash || '').substring(0, 10)}...)`, NotificationType.WARNING, 0);
+    });
+    return orphaned;
+}
+
+/**
+ * Get the miner address of a block (without the worker suffix)
+ * @param {Object} block - Normalized block
+ * @returns {string} Address ('' if unknown)
+ */
+export function getBlockMinerAddress(block) {
+    const minerRaw = block.miner || block.worker || '';
+    return minerRaw.includes('.') ? minerRaw.split('.')[0] : minerRaw;
+}
+
+/**
+ * Filter blocks to the current scope
+ * @param {Array} blocks - Normalized blocks
+ * @returns {Array} Blocks of pinned addresses in "My Miners" mode, else all
+ */
+export function scopeBlocks(blocks) {
+    if (!getScopeAddresses()) return blocks || [];
+    return (blocks || []).filter(block => matchesScope(getBlockMinerAddress(block)));
+}
+
+/**
+ * Get the time a block was found
+ * @param {Object} block - Normalized block
+ * @returns {number|null} Timestamp in milliseconds or null
+ */
+export function getBlockTime(block) {
+    if (block.timestamp) {
+        return block.timestamp > 1e12 ? block.timestamp : block.timestamp * 1000;
+    }
+    if (block.foundAt) {
+        const parsed = Date.parse(block.foundAt);
+        if (!Number.isNaN(parsed)) return parsed;
+    }
+    return null;
+}
+
+/**
+ * Apply the scope, status filter and address filter of the blocks table
+ * @param {Array} blocks - Normalized blocks
+ * @returns {Array} Blocks the table lists
+ */
+export function getDisplayedBlocks(blocks) {
+    let displayBlocks = scopeBlocks(blocks || []);
+    if (AppState.ui.blockStatusFilter !== 'all') {
+        displayBlocks = displayBlocks.filter(block => block.status === AppState.ui.blockStatusFilter);
+    }
     if (AppState.ui.currentBlockAddressFilter) {
         displayBlocks = displayBlocks.filter(block => {
-            const minerRaw = block.miner || block.worker || '';
-            const minerAddress = minerRaw.includes('.') ? minerRaw.split('.')[0] : minerRaw;
-            return minerAddress.toLowerCase() === AppState.ui.currentBlockAddressFilter.toLowerCase();
+            return getBlockMinerAddress(block).toLowerCase() === AppState.ui.currentBlockAddressFilter.toLowerCase();
         });
     }
+    return displayBlocks;
+}
+
+// What the blocks table shows: block identities and states plus the filters
+const selectBlocksView = createSelector(
+    selectBlocks,
+    (state) => state.ui.blockStatusFilter,
+    (state) => state.ui.currentBlockAddressFilter,
+    (blocks, status, filter) => JSON.stringify({
+        blocks: (blocks || []).map(b => [b.hash || b.blockHash, b.status, b.confirmations]),
+        status,
+        filter
+    })
+);
+
+/**
+ * Update cached blocks (the table re-renders if what it shows changed)
+ * @param {Array} blocksData - Blocks array
+ */
+export function updateBlocks(blocksData) {
+    setState('cache', { blocks: blocksData || [] });
+}
+
+/**
+ * Render blocks table
+ * Runs on store changes; call directly when the watchlist scope changes.
+ */
+export function renderBlocksTable() {
+    const tbody = document.getElementById('blocksTableBody');
+    
+    if (!tbody) return;
+    
+    const blocksData = AppState.cache.blocks;
+    
+    // "My Miners" mode only lists blocks of pinned addresses
+    renderBlockStatusFilters(scopeBlocks(blocksData || []));
+    
+    // Filter blocks by status and address if set
+    const displayBlocks = getDisplayedBlocks(blocksData);
     
     if (!displayBlocks || displayBlocks.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">No blocks found yet</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #999;">No blocks found yet</td></tr>';
         return;
     }
     
@@ -42,6 +243,9 @@ export function updateBlocks(blocksData) {
     tbody.innerHTML = '';
     displayBlocks.forEach((block) => {
         const row = document.createElement('tr');
+        row.className = 'block-row';
+        row.title = 'Show block details';
+        row.onclick = () => openBlockDetail(block);
         
         // HEIGHT
         const heightCell = document.createElement('td');
@@ -65,7 +269,8 @@ export function updateBlocks(blocksData) {
         copyBtn.innerHTML = '📋';
         copyBtn.style.cssText = 'background: none; border: none; cursor: pointer; font-size: 12px; padding: 2px;';
         copyBtn.title = 'Copy full hash';
-        copyBtn.onclick = () => {
+        copyBtn.onclick = (e) => {
+            e.stopPropagation();
             navigator.clipboard.writeText(fullHash);
             copyBtn.innerHTML = '✓';
             setTimeout(() => copyBtn.innerHTML = '📋', 1500);
@@ -104,13 +309,7 @@ export function updateBlocks(blocksData) {
         
         // TIME (if available)
         const timeCell = document.createElement('td');
-        let ts = null;
-        if (block.timestamp) {
-            ts = block.timestamp > 1e12 ? block.timestamp : block.timestamp * 1000;
-        } else if (block.foundAt) {
-            const parsed = Date.parse(block.foundAt);
-            if (!Number.isNaN(parsed)) ts = parsed;
-        }
+        const ts = getBlockTime(block);
         if (ts) {
             const date = new Date(ts);
             timeCell.textContent = date.toLocaleString();
@@ -121,20 +320,64 @@ export function updateBlocks(blocksData) {
         }
         row.appendChild(timeCell);
         
+        // STATUS (badge + confirmation depth)
+        const statusCell = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `block-status ${block.status || BlockStatus.UNKNOWN}`;
+        badge.textContent = block.status || BlockStatus.UNKNOWN;
+        statusCell.appendChild(badge);
+        if (block.confirmations !== null && block.confirmations !== undefined) {
+            const depth = document.createElement('span');
+            depth.className = 'block-confirmations';
+            depth.textContent = block.status === BlockStatus.PENDING
+                ? `${formatNumber(block.confirmations)}/${Config.blocks.maturityDepth}`
+                : `${formatNumber(block.confirmations)} conf`;
+            depth.title = `${block.confirmations} confirmations`;
+            statusCell.appendChild(depth);
+        }
+        row.appendChild(statusCell);
+        
         tbody.appendChild(row);
     });
 }
 
 /**
- * Update quick stats based on period
- * @param {Array} blocksData - Blocks array
+ * Render block status filter buttons with counts
+ * @param {Array} blocks - Normalized blocks
  */
-export function updateQuickStats(blocksData) {
-    // Cache blocks data
-    if (blocksData && blocksData.length > 0) {
-        AppState.cache.blocks = blocksData;
-    }
+function renderBlockStatusFilters(blocks) {
+    const container = document.getElementById('blockStatusFilters');
+    if (!container) return;
+    
+    const counts = { all: blocks.length };
+    Object.values(BlockStatus).forEach(status => {
+        counts[status] = blocks.filter(b => b.status === status).length;
+    });
     
+    container.innerHTML = '';
+    ['all', ...Object.values(BlockStatus)].forEach(status => {
+        const btn = document.createElement('button');
+        btn.className = `block-filter-btn ${status}`;
+        btn.classList.toggle('active', AppState.ui.blockStatusFilter === status);
+        btn.textContent = `${status === 'all' ? 'All' : status.charAt(0).toUpperCase() + status.slice(1)} (${counts[status]})`;
+        btn.onclick = () => setBlockStatusFilter(status);
+        container.appendChild(btn);
+    });
+}
+
+/**
+ * Filter blocks table by lifecycle status
+ * @param {string} status - 'all' or a BlockStatus value
+ */
+export function setBlockStatusFilter(status) {
+    setState('ui', { blockStatusFilter: status || 'all' });
+}
+
+/**
+ * Update quick stats and the earnings projection for the selected period
+ * Runs on store changes; call directly when the watchlist scope changes.
+ */
+export function updateQuickStats() {
     const now = Date.now();
     let periodMs, periodLabel;
     
@@ -156,8 +399,9 @@ export function updateQuickStats(blocksData) {
             periodLabel = '1 hour';
     }
     
-    // Filter blocks by timestamp within period
-    const blocksInPeriod = AppState.cache.blocks.filter(block => {
+    // Filter blocks by timestamp within period (orphans earn nothing)
+    const blocksInPeriod = scopeBlocks(AppState.cache.blocks).filter(block => {
+        if (block.status === BlockStatus.ORPHANED) return false;
         let blockTime = null;
         if (block.timestamp) {
             blockTime = block.timestamp > 1e12 ? block.timestamp : block.timestamp * 1000;
@@ -191,6 +435,9 @@ export function updateQuickStats(blocksData) {
     if (earningsPeriodEl) earningsPeriodEl.textContent = periodLabel;
     if (blocksPeriodEl) blocksPeriodEl.textContent = periodLabel;
     if (avgRewardPeriodEl) avgRewardPeriodEl.textContent = periodLabel;
+
+    // Projection from current hashrate vs. blocks actually found
+    updateEarningsProjection(blockCount, periodMs);
 }
 
 /**
@@ -198,14 +445,29 @@ export function updateQuickStats(blocksData) {
  * @param {string} period - New period
  */
 export function setStatsPeriod(period) {
-    AppState.ui.currentStatsPeriod = period;
+    setState('ui', { currentStatsPeriod: period });
     
     // Update button states
     const periodLabels = { '1h': '1 Hour', '24h': '24 Hours', '7d': '7 Days' };
     document.querySelectorAll('.period-btn').forEach(btn => {
         btn.classList.toggle('active', btn.textContent === periodLabels[period]);
     });
-    
-    // Recalculate with cached data
-    updateQuickStats(AppState.cache.blocks);
+    syncRoute();
+}
+
+// Inputs of the quick stats and the earnings projection
+const selectQuickStatsInputs = createSelector(
+    selectBlocks,
+    selectPoolStats,
+    (state) => state.cache.network,
+    (state) => state.ui.currentStatsPeriod,
+    (...inputs) => inputs
+);
+
+/**
+ * Re-render the blocks table and quick stats when their store slices change
+ */
+export function initBlocks() {
+    subscribe(selectBlocksView, () => renderBlocksTable());
+    subscribe(selectQuickStatsInputs, () => updateQuickStats());
 }
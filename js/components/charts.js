@@ -3,48 +3,95 @@
  * Handles chart initialization, updates, and history visualization
  */
 
-import { AppState, Constants } from '../state.js';
+import { AppState, setState } from '../state.js';
+import { Config } from '../config.js';
 import { formatHashrate, formatLabel, formatNumber } from '../utils/formatters.js';
+import { queryRange } from '../utils/timeseries.js';
+import { historySeries, mergeHistory } from '../utils/storage.js';
+import { fetchPoolHistory } from '../api/poolApi.js';
+import { getScopeAddresses } from './watchlist.js';
+import { syncRoute } from '../router.js';
 
 /**
  * Get period window in milliseconds
- * @param {string} period - '1h', '24h', or '7d'
+ * @param {string} period - '1h', '24h', '7d', '30d' or '90d'
  * @returns {number} Milliseconds
  */
 export function getPeriodWindowMs(period) {
-    switch (period) {
-        case '24h': return 24 * 60 * 60 * 1000;
-        case '7d': return 7 * 24 * 60 * 60 * 1000;
-        default: return 60 * 60 * 1000; // 1h
-    }
+    return (Config.history.periods[period] || Config.history.periods['1h']).windowMs;
 }
 
 /**
- * Downsample data points for chart display
- * @param {Array} points - Data points
+ * Get the stored resolution read for a period
  * @param {string} period - Time period
- * @returns {Array} Downsampled points
+ * @returns {string} Resolution name from Config.history.resolutions
  */
-export function downsample(points, period) {
-    if (!points || points.length === 0) return [];
-    
-    const windowMs = getPeriodWindowMs(period);
-    const cutoff = Date.now() - windowMs;
-    const filtered = points.filter(p => p.t >= cutoff);
+export function getPeriodResolution(period) {
+    return (Config.history.periods[period] || Config.history.periods['1h']).resolution;
+}
+
+/**
+ * Aggregate points into equal time buckets for chart display
+ * Each bucket keeps the weighted average and the min/max of its points,
+ * so short spikes and drops stay visible at any zoom level.
+ * @param {Array} points - Points { t, v, min, max, n }
+ * @param {number} start - Window start timestamp
+ * @param {number} windowMs - Window length
+ * @param {number} maxPoints - Number of buckets
+ * @returns {Array} Buckets { t, v, min, max } (null values for empty buckets)
+ */
+export function aggregatePoints(points, start, windowMs, maxPoints = Config.limits.chartMaxPoints) {
+    const bucketMs = windowMs / maxPoints;
+    const buckets = Array.from({ length: maxPoints }, (_, i) => ({
+        t: Math.round(start + i * bucketMs), sum: 0, n: 0, min: Infinity, max: -Infinity
+    }));
     
-    if (filtered.length <= 30) return filtered;
+    (points || []).forEach(p => {
+        const idx = Math.min(maxPoints - 1, Math.floor((p.t - start) / bucketMs));
+        if (idx < 0) return;
+        const bucket = buckets[idx];
+        const n = p.n || 1;
+        bucket.sum += p.v * n;
+        bucket.n += n;
+        bucket.min = Math.min(bucket.min, p.min ?? p.v);
+        bucket.max = Math.max(bucket.max, p.max ?? p.v);
+    });
     
-    // Downsample to ~30 points
-    const step = Math.ceil(filtered.length / 30);
-    const result = [];
-    for (let i = 0; i < filtered.length; i += step) {
-        result.push(filtered[i]);
-    }
-    return result;
+    return buckets.map(b => b.n > 0
+        ? { t: b.t, v: b.sum / b.n, min: b.min, max: b.max }
+        : { t: b.t, v: null, min: null, max: null });
+}
+
+/**
+ * Convert a server timestamp (seconds, milliseconds or date string) to ms
+ * @param {number|string} ts - Timestamp
+ * @returns {number} Milliseconds (NaN if unparseable)
+ */
+function toMs(ts) {
+    if (typeof ts === 'number') return ts > 1e12 ? ts : ts * 1000;
+    if (typeof ts === 'string' && /^\d+$/.test(ts)) return toMs(Number(ts));
+    return new Date(ts).getTime();
+}
+
+/**
+ * Normalize one per-algorithm point list ({ t, v } objects or [t, v] pairs)
+ * @param {Array} points - Server points
+ * @returns {Array} Points { t, v }
+ */
+function normalizeSeries(points) {
+    if (!Array.isArray(points)) return [];
+    return points.map(point => {
+        if (Array.isArray(point)) return { t: toMs(point[0]), v: Number(point[1]) || 0 };
+        const ts = point.timestamp ?? point.t ?? point.time;
+        return { t: toMs(ts), v: Number(point.v ?? point.hashrate ?? point.value) || 0 };
+    }).filter(p => Number.isFinite(p.t));
 }
 
 /**
  * Normalize server history data to our format
+ * Accepts a list of samples with per-algorithm fields, per-algorithm point
+ * lists ({ sha256: [...], scrypt: [...], kawpow: [...] }) and either shape
+ * wrapped in `history`, `data` or `points`.
  * @param {Object} data - Server history data
  * @returns {Object} Normalized history
  */
@@ -57,7 +104,8 @@ export function normalizeServerHistory(data) {
     if (Array.isArray(data)) {
         data.forEach(point => {
             const ts = point.timestamp || point.t || point.time;
-            const time = typeof ts === 'number' ? (ts > 1e12 ? ts : ts * 1000) : new Date(ts).getTime();
+            const time = toMs(ts);
+            if (!Number.isFinite(time)) return;
             
             if (point.sha256 !== undefined || point.sha !== undefined) {
                 result.sha.push({ t: time, v: point.sha256 || point.sha || 0 });
@@ -76,22 +124,70 @@ export function normalizeServerHistory(data) {
                 result.kawpow.push({ t: time, v: point.hashrate });
             }
         });
-    } else if (data.history && Array.isArray(data.history)) {
-        return normalizeServerHistory(data.history);
+    } else if (typeof data === 'object') {
+        const wrapped = data.history ?? data.data ?? data.points;
+        if (wrapped) return normalizeServerHistory(wrapped);
+        
+        // Per-algorithm point lists
+        result.sha = normalizeSeries(data.sha256 ?? data.sha);
+        result.scrypt = normalizeSeries(data.scrypt);
+        result.kawpow = normalizeSeries(data.kawpow ?? data.progpow);
     }
     
+    ['sha', 'scrypt', 'kawpow'].forEach(key => result[key].sort((a, b) => a.t - b.t));
     return result;
 }
 
+// Server history requests { [apiBaseUrl]: Map<period, requestedAt> }
+const loadedServerHistory = new Map();
+
+// Re-request a period after this long (local samples cover the gap in between)
+const SERVER_HISTORY_TTL = 60 * 60 * 1000;
+
+/**
+ * Load pool-wide history from the server and merge it into local history
+ * Each period is requested at most once an hour per server; missing endpoints are skipped silently.
+ * @param {string} period - Requested window
+ * @returns {Promise<boolean>} True if server samples were merged
+ */
+export async function loadPoolHistory(period = AppState.ui.currentChartPeriod) {
+    const base = AppState.connection.apiBaseUrl;
+    if (!base) return false;
+    
+    // Always ask for at least a week so short periods are covered by one request
+    const requested = getPeriodWindowMs(period) > getPeriodWindowMs('7d') ? period : '7d';
+    const loaded = loadedServerHistory.get(base) || new Map();
+    if (Date.now() - (loaded.get(requested) || 0) < SERVER_HISTORY_TTL) return false;
+    loaded.set(requested, Date.now());
+    loadedServerHistory.set(base, loaded);
+    
+    const data = await fetchPoolHistory(requested);
+    if (!data || base !== AppState.connection.apiBaseUrl) return false;
+    
+    const merged = await mergeHistory('pool', normalizeServerHistory(data));
+    if (merged > 0 && AppState.cache.poolStats) {
+        updateCharts(AppState.cache.poolStats);
+    }
+    return merged > 0;
+}
+
 /**
  * Build algorithm series data for charts
  * @param {string} period - Time period
- * @param {string|null} filterAddress - Address to filter by
- * @returns {Object} Chart series data
+ * @param {string|Array<string>|null} filterAddress - Address (or addresses, summed) to filter by
+ * @returns {Promise<Object>} Chart series data
  */
-export function buildAlgorithmSeries(period, filterAddress = null) {
+export async function buildAlgorithmSeries(period, filterAddress = null) {
+    if (Array.isArray(filterAddress)) {
+        return filterAddress.length > 0
+            ? sumAlgorithmSeries(await Promise.all(filterAddress.map(address => buildAlgorithmSeries(period, address))))
+            : buildAlgorithmSeries(period, null);
+    }
+    
     const windowMs = getPeriodWindowMs(period);
-    const cutoff = Date.now() - windowMs;
+    const now = Date.now();
+    const cutoff = now - windowMs;
+    const resolution = getPeriodResolution(period);
     
     let shaPoints, scryptPoints, kawpowPoints;
     
@@ -109,132 +205,139 @@ export function buildAlgorithmSeries(period, filterAddress = null) {
         if ((!shaPoints || shaPoints.length === 0) && 
             (!scryptPoints || scryptPoints.length === 0) && 
             (!kawpowPoints || kawpowPoints.length === 0)) {
-            const addrHist = AppState.history.address[filterAddress] || { sha: [], scrypt: [], kawpow: [] };
-            shaPoints = (addrHist.sha || []).filter(p => p.t >= cutoff);
-            scryptPoints = (addrHist.scrypt || []).filter(p => p.t >= cutoff);
-            kawpowPoints = (addrHist.kawpow || []).filter(p => p.t >= cutoff);
+            const scope = `addr:${filterAddress}`;
+            [shaPoints, scryptPoints, kawpowPoints] = await Promise.all(
+                ['sha', 'scrypt', 'kawpow'].map(algo => queryRange(historySeries(scope, algo), cutoff, now, resolution))
+            );
         }
     } else {
         // Pool-wide history
-        shaPoints = AppState.history.chart.sha.filter(p => p.t >= cutoff);
-        scryptPoints = AppState.history.chart.scrypt.filter(p => p.t >= cutoff);
-        kawpowPoints = AppState.history.chart.kawpow.filter(p => p.t >= cutoff);
+        [shaPoints, scryptPoints, kawpowPoints] = await Promise.all(
+            ['sha', 'scrypt', 'kawpow'].map(algo => queryRange(historySeries('pool', algo), cutoff, now, resolution))
+        );
     }
     
-    // Downsample for display
-    shaPoints = downsample(shaPoints, period);
-    scryptPoints = downsample(scryptPoints, period);
-    kawpowPoints = downsample(kawpowPoints, period);
-    
-    // Build unified timeline
-    const allTimestamps = new Set([
-        ...shaPoints.map(p => p.t),
-        ...scryptPoints.map(p => p.t),
-        ...kawpowPoints.map(p => p.t)
-    ]);
-    
-    const timeline = Array.from(allTimestamps).sort((a, b) => a - b);
-    
-    // If no data, create dummy timeline
-    if (timeline.length === 0) {
-        const now = Date.now();
-        const step = windowMs / 10;
-        for (let t = now - windowMs; t <= now; t += step) {
-            timeline.push(t);
-        }
-    }
-    
-    // Map values to timeline
-    const shaMap = new Map(shaPoints.map(p => [p.t, p.v]));
-    const scryptMap = new Map(scryptPoints.map(p => [p.t, p.v]));
-    const kawpowMap = new Map(kawpowPoints.map(p => [p.t, p.v]));
+    // Aggregate into fixed buckets across the window (shared timeline)
+    const sha = aggregatePoints(shaPoints, cutoff, windowMs);
+    const scrypt = aggregatePoints(scryptPoints, cutoff, windowMs);
+    const kawpow = aggregatePoints(kawpowPoints, cutoff, windowMs);
     
+    const range = buckets => ({ min: buckets.map(b => b.min), max: buckets.map(b => b.max) });
     return {
-        labels: timeline.map(t => formatLabel(t, period)),
-        sha: timeline.map(t => shaMap.get(t) || 0),
-        scrypt: timeline.map(t => scryptMap.get(t) || 0),
-        kawpow: timeline.map(t => kawpowMap.get(t) || 0)
+        labels: sha.map(b => formatLabel(b.t, period)),
+        resolution,
+        sha: sha.map(b => b.v),
+        scrypt: scrypt.map(b => b.v),
+        kawpow: kawpow.map(b => b.v),
+        range: { sha: range(sha), scrypt: range(scrypt), kawpow: range(kawpow) }
     };
 }
 
+/**
+ * Sum per-address chart series on their shared timeline
+ * Buckets empty for every address stay gaps; min/max bands add up per address.
+ * @param {Array<Object>} parts - Results of buildAlgorithmSeries()
+ * @returns {Object} Chart series data
+ */
+function sumAlgorithmSeries(parts) {
+    const sum = arrays => arrays[0].map((_, i) => {
+        const values = arrays.map(arr => arr[i]).filter(v => v !== null && v !== undefined);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) : null;
+    });
+    const result = { labels: parts[0].labels, resolution: parts[0].resolution, range: {} };
+    ['sha', 'scrypt', 'kawpow'].forEach(algo => {
+        result[algo] = sum(parts.map(p => p[algo]));
+        result.range[algo] = {
+            min: sum(parts.map(p => p.range[algo].min)),
+            max: sum(parts.map(p => p.range[algo].max))
+        };
+    });
+    return result;
+}
+
 /**
  * Update performance chart
  * @param {Object} stats - Pool stats
  */
 export function updateCharts(stats) {
-    updateAlgorithmChart();
+    updateAlgorithmChart().catch(e => console.warn('Failed to update algorithm chart:', e));
     updateSharesChart(stats);
 }
 
+// Sequence number of the latest algorithm chart render (drops out-of-order results)
+let algorithmRenderSeq = 0;
+
 /**
  * Update algorithm hashrate line chart
  */
-function updateAlgorithmChart() {
+async function updateAlgorithmChart() {
     const algoCtx = document.getElementById('algorithmsChart');
     if (!algoCtx) return;
     
-    const series = buildAlgorithmSeries(
+    const seq = ++algorithmRenderSeq;
+    const series = await buildAlgorithmSeries(
         AppState.ui.currentChartPeriod, 
-        AppState.ui.currentPerformanceFilter
+        AppState.ui.currentPerformanceFilter || getScopeAddresses()
     );
+    if (seq !== algorithmRenderSeq) return;
     
-    const algorithmData = {
-        labels: series.labels,
-        datasets: [
-            {
-                label: 'SHA-256',
-                data: series.sha,
-                borderColor: '#ff253a',
-                backgroundColor: 'rgba(255, 37, 58, 0.1)',
-                borderWidth: 2,
-                tension: 0.4,
-                fill: true,
-                pointRadius: 2,
-                pointBackgroundColor: '#ff253a',
-                pointBorderColor: 'rgba(15, 5, 10, 0.8)',
-                pointBorderWidth: 1
-            },
-            {
-                label: 'Scrypt',
-                data: series.scrypt,
-                borderColor: '#ff6b81',
-                backgroundColor: 'rgba(255, 107, 129, 0.1)',
-                borderWidth: 2,
-                tension: 0.4,
-                fill: true,
-                pointRadius: 2,
-                pointBackgroundColor: '#ff6b81',
-                pointBorderColor: 'rgba(15, 5, 10, 0.8)',
-                pointBorderWidth: 1
-            },
-            {
-                label: 'KawPoW',
-                data: series.kawpow,
-                borderColor: '#ff94b2',
-                backgroundColor: 'rgba(255, 148, 178, 0.1)',
-                borderWidth: 2,
-                tension: 0.4,
-                fill: true,
-                pointRadius: 2,
-                pointBackgroundColor: '#ff94b2',
-                pointBorderColor: 'rgba(15, 5, 10, 0.8)',
-                pointBorderWidth: 1
-            }
-        ]
-    };
+    const algorithms = [
+        { key: 'sha', label: 'SHA-256', color: '#ff253a', rgb: '255, 37, 58' },
+        { key: 'scrypt', label: 'Scrypt', color: '#ff6b81', rgb: '255, 107, 129' },
+        { key: 'kawpow', label: 'KawPoW', color: '#ff94b2', rgb: '255, 148, 178' }
+    ];
+    
+    // Average lines first, then a min/max band per algorithm (max fills down to min)
+    const datasets = algorithms.map(algo => ({
+        label: algo.label,
+        data: series[algo.key],
+        borderColor: algo.color,
+        backgroundColor: `rgba(${algo.rgb}, 0.1)`,
+        borderWidth: 2,
+        tension: 0.4,
+        fill: true,
+        pointRadius: 2,
+        pointBackgroundColor: algo.color,
+        pointBorderColor: 'rgba(15, 5, 10, 0.8)',
+        pointBorderWidth: 1
+    }));
+    algorithms.forEach(algo => {
+        datasets.push({
+            label: `${algo.label} max`,
+            band: true,
+            data: series.range[algo.key].max,
+            borderWidth: 0,
+            pointRadius: 0,
+            tension: 0.4,
+            backgroundColor: `rgba(${algo.rgb}, 0.15)`,
+            fill: '+1'
+        }, {
+            label: `${algo.label} min`,
+            band: true,
+            data: series.range[algo.key].min,
+            borderWidth: 0,
+            pointRadius: 0,
+            tension: 0.4,
+            fill: false
+        });
+    });
+    
+    const algorithmData = { labels: series.labels, datasets };
     
     if (AppState.ui.charts.algorithms) {
-        AppState.ui.charts.algorithms.data.labels = algorithmData.labels;
-        AppState.ui.charts.algorithms.data.datasets[0].data = algorithmData.datasets[0].data;
-        AppState.ui.charts.algorithms.data.datasets[1].data = algorithmData.datasets[1].data;
-        AppState.ui.charts.algorithms.data.datasets[2].data = algorithmData.datasets[2].data;
-        AppState.ui.charts.algorithms.update('none');
+        const chart = AppState.ui.charts.algorithms;
+        chart.data.labels = algorithmData.labels;
+        datasets.forEach((dataset, i) => {
+            chart.data.datasets[i].data = dataset.data;
+        });
+        chart.update('none');
     } else {
-        AppState.ui.charts.algorithms = new Chart(algoCtx, {
+        const chart = new Chart(algoCtx, {
             type: 'line',
             data: algorithmData,
             options: getChartOptions()
         });
+        setState('ui', { charts: { ...AppState.ui.charts, algorithms: chart } });
     }
 }
 
@@ -290,7 +393,7 @@ function updateSharesChart(stats) {
         AppState.ui.charts.shares.data.datasets[0].data = sharesData.datasets[0].data;
         AppState.ui.charts.shares.update({duration: 600, easing: 'easeOutQuart'});
     } else {
-        AppState.ui.charts.shares = new Chart(sharesCtx, {
+        const chart = new Chart(sharesCtx, {
             type: 'doughnut',
             data: sharesData,
             options: Object.assign({}, getDoughnutOptions(), {
@@ -298,6 +401,7 @@ function updateSharesChart(stats) {
                 animation: { animateRotate: true, duration: 700, easing: 'easeOutQuart' }
             })
         });
+        setState('ui', { charts: { ...AppState.ui.charts, shares: chart } });
 
         // Create custom controls for toggling focus
         createSharesControls(stats);
@@ -363,6 +467,8 @@ function getChartOptions() {
         maintainAspectRatio: false,
         animation: { duration: 0 },
         interaction: { mode: 'index', intersect: false },
+        // Empty buckets are gaps, not zero hashrate
+        spanGaps: false,
         plugins: {
             legend: {
                 display: false,
@@ -385,9 +491,19 @@ function getChartOptions() {
                 bodyFont: { size: 11 },
                 padding: 10,
                 displayColors: true,
+                // Bands are described in the label of their average line
+                filter: function(item) {
+                    return !item.dataset.band;
+                },
                 callbacks: {
                     label: function(context) {
-                        return context.dataset.label + ': ' + formatHashrate(context.raw);
+                        const datasets = context.chart.data.datasets;
+                        const max = datasets.find(d => d.label === `${context.dataset.label} max`)?.data[context.dataIndex];
+                        const min = datasets.find(d => d.label === `${context.dataset.label} min`)?.data[context.dataIndex];
+                        const text = context.dataset.label + ': ' + formatHashrate(context.raw);
+                        return (min !== null && max !== null && min !== undefined && max !== min)
+                            ? `${text} (${formatHashrate(min)} – ${formatHashrate(max)})`
+                            : text;
                     }
                 }
             }
@@ -463,19 +579,17 @@ function getDoughnutOptions() {
  */
 export function updateChartPeriod(event, period) {
     if (event) event.preventDefault();
-    AppState.ui.currentChartPeriod = period;
+    setState('ui', { currentChartPeriod: period });
     
-    // Update button states
-    document.querySelectorAll('.chart-control-btn').forEach(btn => {
-        btn.classList.remove('active');
+    // Update button states (also when restored from a link, without a click event)
+    document.querySelectorAll('.chart-period-controls .chart-control-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.period === period);
     });
-    
-    if (event && event.target) {
-        event.target.classList.add('active');
-    }
+    syncRoute();
     
     // Trigger chart update
     if (AppState.connection.isConnected && AppState.cache.poolStats) {
         updateCharts(AppState.cache.poolStats);
+        loadPoolHistory(period);
     }
 }
@@ -3,8 +3,9 @@
  * API diagnostic tool for debugging
  */
 
-import { AppState, Constants } from '../state.js';
+import { AppState } from '../state.js';
 import { testWebSocket } from './websocket.js';
+import { downloadFile } from '../utils/export.js';
 
 // Store last diagnostic results for download
 let lastDiagnosticResults = null;
@@ -317,15 +318,7 @@ END OF REPORT
 ========================================
 `;
 
-    const blob = new Blob([report], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `api-diagnostic-${new Date().toISOString().slice(0,10)}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadFile(report, `api-diagnostic-${new Date().toISOString().slice(0,10)}.txt`, 'text/plain');
 }
 
 /**
@@ -0,0 +1,201 @@
+/**
+ * Earnings Component
+ * Projects expected blocks and QUAI from current hashrate, network
+ * difficulty and block reward, and compares them with blocks found
+ */
+
+import { AppState, setState } from '../state.js';
+import { Config } from '../config.js';
+import { formatHashrate, formatDifficulty } from '../utils/formatters.js';
+import { sumByAlgorithm } from '../utils/storage.js';
+import { projectEarnings } from '../utils/earnings.js';
+import { fetchNetworkInfo, getRpcUrl } from '../api/nodeRpc.js';
+import { scopeWorkers } from './watchlist.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALGO_LABELS = { sha: 'SHA-256', scrypt: 'Scrypt', kawpow: 'KawPoW' };
+
+// Stratum job keys per algorithm
+const JOB_KEYS = { sha: ['sha', 'sha256', 'sha-256'], scrypt: ['scrypt'], kawpow: ['kawpow', 'progpow'] };
+
+/**
+ * Refresh network difficulty from the node
+ * Throttled to Config.earnings.networkRefresh.
+ * @param {boolean} force - Ignore the throttle
+ * @returns {Promise<boolean>} True if new data was loaded
+ */
+export async function refreshNetworkInfo(force = false) {
+    if (!getRpcUrl()) return false;
+    const now = Date.now();
+    if (!force && now - AppState.cache.lastNetworkFetch < Config.earnings.networkRefresh) return false;
+    setState('cache', { lastNetworkFetch: now });
+
+    try {
+        const info = await fetchNetworkInfo();
+        if (!info) return false;
+        setState('cache', { network: info });
+        return true;
+    } catch (e) {
+        console.warn('Failed to fetch network info from node:', e);
+        return false;
+    }
+}
+
+/**
+ * Get network difficulty per algorithm (node first, stratum job fallback)
+ * @returns {Object} { sha, scrypt, kawpow } in expected hashes per block
+ */
+export function getNetworkDifficulty() {
+    const node = AppState.cache.network?.difficulty || {};
+    const result = {};
+    Object.keys(ALGO_LABELS).forEach(algo => {
+        if (node[algo] > 0) {
+            result[algo] = node[algo];
+            return;
+        }
+        const key = JOB_KEYS[algo].find(k => AppState.cache.jobs[k]?.networkDifficulty > 0);
+        result[algo] = key
+            ? AppState.cache.jobs[key].networkDifficulty * Config.earnings.jobDifficultyScale[algo]
+            : null;
+    });
+    return result;
+}
+
+/**
+ * Get the block reward (average reward the pool reported for found blocks)
+ * @returns {number|null} Reward in QUAI, null while unknown
+ */
+export function getBlockReward() {
+    const rewards = (AppState.cache.blocks || [])
+        .map(block => parseFloat(block.reward))
+        .filter(reward => reward > 0);
+    return rewards.length ? rewards.reduce((a, b) => a + b, 0) / rewards.length : null;
+}
+
+/**
+ * Get cached workers of one address
+ * @param {string} address - Miner address
+ * @returns {Array} Workers
+ */
+function getAddressWorkers(address) {
+    const target = (address || '').toLowerCase();
+    return (AppState.cache.workers || []).filter(w => {
+        const addr = (w.address || (w.name || '').split('.')[0] || '').toLowerCase();
+        return addr === target;
+    });
+}
+
+/**
+ * Describe expected vs. actual blocks
+ * @param {Object} projection - Result of projectEarnings()
+ * @param {number} actual - Blocks actually found
+ * @returns {string} e.g. "Actual 3 · 95% range 0–5 · luck 150%"
+ */
+function describeVariance(projection, actual) {
+    const luck = projection.blocks > 0 ? `${Math.round(actual / projection.blocks * 100)}%` : '-';
+    const range = `${Math.round(Config.earnings.confidence * 100)}% range ${projection.low}–${projection.high}`;
+    return `Actual ${actual} · ${range} · luck ${luck}`;
+}
+
+/**
+ * Classify actual blocks against the variance band
+ * @returns {string} 'above', 'below' or 'within'
+ */
+function varianceClass(projection, actual) {
+    if (actual > projection.high) return 'above';
+    if (actual < projection.low) return 'below';
+    return 'within';
+}
+
+/**
+ * Update pool-wide (or "My Miners") projection in the quick stats
+ * @param {number} actualBlocks - Blocks found in the period (orphans excluded)
+ * @param {number} periodMs - Stats period in ms
+ */
+export function updateEarningsProjection(actualBlocks, periodMs) {
+    const inputs = {
+        hashrates: sumByAlgorithm(scopeWorkers(AppState.cache.workers)),
+        difficulty: getNetworkDifficulty(),
+        reward: getBlockReward()
+    };
+    const projection = projectEarnings({ ...inputs, periodMs });
+    const daily = projectEarnings({ ...inputs, periodMs: DAY_MS });
+    const hasData = Object.keys(projection.algorithms).length > 0;
+
+    const blocksDayEl = document.getElementById('projectedBlocksDay');
+    const quaiDayEl = document.getElementById('projectedQuaiDay');
+    const varianceEl = document.getElementById('projectionVariance');
+
+    if (blocksDayEl) blocksDayEl.textContent = hasData ? daily.blocks.toFixed(2) : '-';
+    if (quaiDayEl) {
+        quaiDayEl.textContent = !hasData ? '-' : daily.quai !== null ? `${daily.quai.toFixed(4)} QUAI` : 'Reward unknown';
+        quaiDayEl.title = hasData && daily.quai === null ? 'No found block with a reported reward yet' : '';
+    }
+    if (varianceEl) {
+        if (hasData) {
+            varianceEl.textContent = `Expected ${projection.blocks.toFixed(2)} · ${describeVariance(projection, actualBlocks)}`;
+            varianceEl.className = `projection-variance ${varianceClass(projection, actualBlocks)}`;
+        } else {
+            varianceEl.textContent = projection.missing.length
+                ? `No network difficulty for ${projection.missing.map(a => ALGO_LABELS[a]).join(', ')}`
+                : 'No hashrate';
+            varianceEl.className = 'projection-variance';
+        }
+    }
+}
+
+/**
+ * Render an address projection in the miner modal
+ * @param {string} address - Miner address
+ * @param {number} actualBlocks - Blocks found by the address in the last 24 hours
+ * @param {Array|null} workers - Workers of the address (defaults to cached workers)
+ */
+export function renderMinerProjection(address, actualBlocks, workers = null) {
+    const container = document.getElementById('modalMinerProjection');
+    if (!container) return;
+
+    const projection = projectEarnings({
+        hashrates: sumByAlgorithm(workers || getAddressWorkers(address)),
+        difficulty: getNetworkDifficulty(),
+        reward: getBlockReward(),
+        periodMs: DAY_MS
+    });
+
+    container.innerHTML = '';
+    const algos = Object.entries(projection.algorithms);
+    if (algos.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'miner-worker-item';
+        empty.style.cssText = 'color: #9ca3af; text-align: center;';
+        empty.textContent = projection.missing.length ? 'Waiting for network difficulty...' : 'No active hashrate';
+        container.appendChild(empty);
+        return;
+    }
+
+    algos.forEach(([algo, entry]) => {
+        const row = document.createElement('div');
+        row.className = 'miner-worker-item projection-row';
+        row.innerHTML = `
+            <span>${ALGO_LABELS[algo]}</span>
+            <span>${formatHashrate(entry.hashrate)}</span>
+            <span title="Network difficulty">${formatDifficulty(entry.difficulty)}</span>
+            <span>${entry.blocks.toFixed(3)} blocks/day</span>
+        `;
+        container.appendChild(row);
+    });
+
+    const total = document.createElement('div');
+    total.className = 'miner-worker-item projection-row projection-total';
+    total.innerHTML = `
+        <span>Total</span>
+        <span>${projection.blocks.toFixed(3)} blocks/day</span>
+        <span title="${projection.quai !== null ? '' : 'No found block with a reported reward yet'}">${projection.quai !== null ? `${projection.quai.toFixed(4)} QUAI/day` : 'Reward unknown'}</span>
+    `;
+    container.appendChild(total);
+
+    const variance = document.createElement('div');
+    variance.className = `projection-variance ${varianceClass(projection, actualBlocks)}`;
+    variance.textContent = `Last 24h: ${describeVariance(projection, actualBlocks)}`;
+    container.appendChild(variance);
+}
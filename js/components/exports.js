@@ -0,0 +1,260 @@
+/**
+ * Exports Component
+ * CSV and JSON exports of the workers, miners and blocks tables and of
+ * hashrate history, limited to a chosen time range
+ */
+
+import { AppState } from '../state.js';
+import { Config } from '../config.js';
+import { queryRange } from '../utils/timeseries.js';
+import { historySeries } from '../utils/storage.js';
+import { toCsv, downloadFile } from '../utils/export.js';
+import { showWarning } from '../utils/notifications.js';
+import { getFilteredWorkerRows, getMinerRows } from './workers.js';
+import { getDisplayedBlocks, getBlockMinerAddress, getBlockTime } from './blocks.js';
+import { getScopeAddresses } from './watchlist.js';
+
+// Dataset shown in the export modal
+let currentDataset = null;
+
+/**
+ * Format a timestamp for export
+ * @param {number|null} ts - Timestamp in milliseconds
+ * @returns {string|null} ISO string or null
+ */
+function toIso(ts) {
+    return ts ? new Date(ts).toISOString() : null;
+}
+
+/**
+ * Get the finest stored resolution still kept for a whole window
+ * @param {number} windowMs - Window length (Infinity = everything)
+ * @returns {string} Resolution name from Config.history.resolutions
+ */
+function getExportResolution(windowMs) {
+    const day = 24 * 60 * 60 * 1000;
+    const resolutions = Object.entries(Config.history.resolutions)
+        .sort(([, a], [, b]) => a.bucket - b.bucket);
+    const match = resolutions.find(([, r]) => r.retentionDays * day >= windowMs);
+    return (match || resolutions[resolutions.length - 1])[0];
+}
+
+/**
+ * Export workers (table filters apply; offline workers need a last seen inside the range)
+ * @param {number} from - Range start
+ * @returns {Array} Rows
+ */
+function getWorkerExportRows(from) {
+    return getFilteredWorkerRows()
+        .filter(row => !row.offline || (row.lastSeen || 0) >= from)
+        .map(row => ({
+            address: row.address,
+            worker: row.name,
+            algorithm: row.algorithm,
+            hashrate: row.hashrate,
+            status: row.offline ? 'offline' : 'online',
+            lastSeen: toIso(row.lastSeen)
+        }));
+}
+
+/**
+ * Export miners (miners never seen are only in the "all" range)
+ * @param {number} from - Range start
+ * @returns {Array} Rows
+ */
+function getMinerExportRows(from) {
+    return getMinerRows()
+        .filter(row => row.online || (row.lastSeen !== null ? row.lastSeen >= from : from === 0))
+        .map(row => ({
+            address: row.address,
+            hashrate: row.hashrate,
+            workers: row.workers,
+            status: row.online ? 'online' : 'idle',
+            lastSeen: toIso(row.lastSeen)
+        }));
+}
+
+/**
+ * Export blocks (table filters apply; blocks without a time are only in the "all" range)
+ * @param {number} from - Range start
+ * @returns {Array} Rows
+ */
+function getBlockExportRows(from) {
+    return getDisplayedBlocks(AppState.cache.blocks)
+        .filter(block => {
+            const ts = getBlockTime(block);
+            return ts !== null ? ts >= from : from === 0;
+        })
+        .map(block => {
+            const minerRaw = block.miner || block.worker || '';
+            return {
+                height: block.height ?? null,
+                hash: block.hash || block.blockHash || null,
+                miner: getBlockMinerAddress(block) || null,
+                worker: minerRaw.includes('.') ? minerRaw.split('.').slice(1).join('.') : null,
+                foundAt: toIso(getBlockTime(block)),
+                status: block.status || null,
+                confirmations: block.confirmations ?? null,
+                reward: block.reward ?? null
+            };
+        });
+}
+
+/**
+ * Export hashrate history of what the chart shows (pool, filtered address or pinned addresses)
+ * @param {number} from - Range start
+ * @param {number} to - Range end
+ * @returns {Promise<Array>} Rows in long format (one per scope, algorithm and sample)
+ */
+async function getHistoryExportRows(from, to) {
+    const filter = AppState.ui.currentPerformanceFilter;
+    const addresses = filter ? [filter] : getScopeAddresses();
+    const scopes = addresses ? addresses.map(address => [address, `addr:${address}`]) : [['pool', 'pool']];
+    const resolution = getExportResolution(to - from);
+
+    const parts = await Promise.all(scopes.flatMap(([label, scope]) => ['sha', 'scrypt', 'kawpow'].map(async algo => {
+        const points = await queryRange(historySeries(scope, algo), from, to, resolution);
+        return points.map(p => ({
+            time: toIso(p.t),
+            scope: label,
+            algorithm: algo,
+            hashrate: p.v,
+            min: p.min,
+            max: p.max,
+            samples: p.n,
+            resolution
+        }));
+    })));
+    return parts.flat().sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// Export datasets: modal title, CSV columns and row builder (from, to)
+const DATASETS = {
+    workers: {
+        title: 'Workers',
+        columns: ['address', 'worker', 'algorithm', 'hashrate', 'status', 'lastSeen'],
+        rows: from => getWorkerExportRows(from)
+    },
+    miners: {
+        title: 'Miners',
+        columns: ['address', 'hashrate', 'workers', 'status', 'lastSeen'],
+        rows: from => getMinerExportRows(from)
+    },
+    blocks: {
+        title: 'Blocks',
+        columns: ['height', 'hash', 'miner', 'worker', 'foundAt', 'status', 'confirmations', 'reward'],
+        rows: from => getBlockExportRows(from)
+    },
+    history: {
+        title: 'Hashrate History',
+        columns: ['time', 'scope', 'algorithm', 'hashrate', 'min', 'max', 'samples', 'resolution'],
+        rows: (from, to) => getHistoryExportRows(from, to)
+    }
+};
+
+/**
+ * Get the start of an export range
+ * @param {string} range - Key of Config.history.periods or 'all'
+ * @param {number} now - Range end
+ * @returns {number} Range start (0 for 'all')
+ */
+function getRangeStart(range, now) {
+    const period = Config.history.periods[range];
+    return period ? now - period.windowMs : 0;
+}
+
+/**
+ * Build the rows of a dataset for a range
+ * @param {string} dataset - 'workers', 'miners', 'blocks' or 'history'
+ * @param {string} range - Key of Config.history.periods or 'all'
+ * @returns {Promise<Object>} { rows, from, to }
+ */
+export async function buildExport(dataset, range) {
+    const definition = DATASETS[dataset];
+    if (!definition) throw new Error(`Unknown export dataset: ${dataset}`);
+    const to = Date.now();
+    const from = getRangeStart(range, to);
+    return { rows: await definition.rows(from, to), from, to };
+}
+
+/**
+ * Export the dataset of the modal in a format
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<void>}
+ */
+export async function exportData(format) {
+    const dataset = currentDataset;
+    const definition = DATASETS[dataset];
+    if (!definition) return;
+
+    const range = document.getElementById('exportRange')?.value || 'all';
+    const { rows, from, to } = await buildExport(dataset, range);
+    if (rows.length === 0) {
+        showWarning(`No ${definition.title.toLowerCase()} in this range`);
+        return;
+    }
+
+    const filename = `quai-${dataset}-${range}-${new Date(to).toISOString().slice(0,10)}.${format}`;
+    if (format === 'csv') {
+        downloadFile(toCsv(rows, definition.columns), filename, 'text/csv');
+    } else {
+        const payload = {
+            type: 'quai-dashboard-export',
+            version: 1,
+            dataset,
+            exportedAt: new Date(to).toISOString(),
+            server: AppState.connection.apiBaseUrl || null,
+            range: { name: range, from: from ? new Date(from).toISOString() : null, to: new Date(to).toISOString() },
+            rows
+        };
+        downloadFile(JSON.stringify(payload, null, 2), filename, 'application/json');
+    }
+    closeExportModal();
+}
+
+/**
+ * Open the export modal for a dataset
+ * @param {string} dataset - 'workers', 'miners', 'blocks' or 'history'
+ */
+export function openExportModal(dataset) {
+    const modal = document.getElementById('exportModal');
+    const definition = DATASETS[dataset];
+    if (!modal || !definition) return;
+
+    currentDataset = dataset;
+    const title = document.getElementById('exportModalTitle');
+    if (title) title.textContent = `⤓ Export ${definition.title}`;
+    const range = document.getElementById('exportRange');
+    if (range) range.value = dataset === 'history' ? AppState.ui.currentChartPeriod : 'all';
+    modal.style.display = 'flex';
+}
+
+/**
+ * Close the export modal
+ */
+export function closeExportModal() {
+    const modal = document.getElementById('exportModal');
+    if (modal) modal.style.display = 'none';
+    currentDataset = null;
+}
+
+/**
+ * Initialize export global functions
+ */
+export function initExportGlobals() {
+    window.openExportModal = openExportModal;
+    window.closeExportModal = closeExportModal;
+    window.exportData = (format) => {
+        exportData(format).catch(e => {
+            console.error('Export failed:', e);
+            showWarning('Export failed');
+        });
+    };
+
+    document.addEventListener('click', (e) => {
+        if (e.target === document.getElementById('exportModal')) closeExportModal();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeExportModal();
+    });
+}
@@ -0,0 +1,284 @@
+/**
+ * Fleet Component
+ * Polls every configured pool node and shows combined statistics
+ */
+
+import { AppState, setState } from '../state.js';
+import { Config } from '../config.js';
+import { formatHashrate, formatNumber, formatElapsedTime } from '../utils/formatters.js';
+import { fetchPoolStats, fetchWorkers, fetchPoolBlocksEndpoint } from '../api/poolApi.js';
+import { loadProfiles } from '../utils/storage.js';
+
+// Fleet polling interval reference
+let fleetInterval = null;
+
+// Node group shown (key of Config.fleet.groups; null for profiles and Config.fleet.nodes)
+let fleetGroup = null;
+
+/**
+ * Build the base URL of a connection profile
+ * @param {Object} profile - Connection profile
+ * @returns {string} Base URL
+ */
+function profileBaseUrl(profile) {
+    const protocol = profile.protocol === 'http' || profile.protocol === 'https'
+        ? profile.protocol
+        : (window.location.protocol === 'https:' ? 'https' : 'http');
+    return profile.port ? `${protocol}://${profile.host}:${profile.port}` : `${protocol}://${profile.host}`;
+}
+
+/**
+ * Get every node of the fleet (saved profiles first, then configured nodes)
+ * A named group lists only its own nodes.
+ * @param {string|null} group - Key of Config.fleet.groups (defaults to the shown group)
+ * @returns {Array<Object>} Nodes { name, baseUrl }
+ */
+export function getFleetNodes(group = fleetGroup) {
+    const nodes = [];
+    const seen = new Set();
+    const add = (name, baseUrl) => {
+        const key = baseUrl.replace(/\/$/, '').toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+        nodes.push({ name, baseUrl: baseUrl.replace(/\/$/, '') });
+    };
+
+    const named = group ? Config.fleet?.groups?.[group] : null;
+    if (named) {
+        named.nodes.forEach(node => add(node.name, node.baseUrl));
+        return nodes;
+    }
+
+    loadProfiles().forEach(profile => add(profile.label || profile.host, profileBaseUrl(profile)));
+    (Config.fleet?.nodes || []).forEach(node => add(node.name, node.baseUrl));
+    return nodes;
+}
+
+/**
+ * Poll a single node
+ * @param {Object} node - Node { name, baseUrl }
+ * @returns {Promise<Object>} Node summary
+ */
+async function pollNode(node) {
+    const started = Date.now();
+    const [statsRes, workersRes, blocksRes] = await Promise.allSettled([
+        fetchPoolStats(true, node.baseUrl),
+        fetchWorkers(true, node.baseUrl),
+        fetchPoolBlocksEndpoint(node.baseUrl)
+    ]);
+
+    const summary = {
+        name: node.name,
+        baseUrl: node.baseUrl,
+        health: 'offline',
+        latency: Date.now() - started,
+        sha: 0,
+        scrypt: 0,
+        kawpow: 0,
+        hashrate: 0,
+        workers: 0,
+        blocks: 0,
+        uptime: null,
+        error: null,
+        updatedAt: Date.now()
+    };
+
+    if (statsRes.status === 'fulfilled' && statsRes.value) {
+        const stats = statsRes.value;
+        summary.sha = stats.sha256?.hashrate || 0;
+        summary.scrypt = stats.scrypt?.hashrate || 0;
+        summary.kawpow = stats.kawpow?.hashrate || 0;
+        summary.hashrate = stats.hashrate || (summary.sha + summary.scrypt + summary.kawpow);
+        summary.workers = stats.workersConnected || 0;
+        summary.blocks = stats.blocksFound || 0;
+        summary.uptime = stats.uptime || null;
+        summary.health = 'online';
+    } else {
+        summary.error = statsRes.reason?.message || 'No response';
+    }
+
+    if (workersRes.status === 'fulfilled' && Array.isArray(workersRes.value)) {
+        const active = workersRes.value.filter(w => w.isConnected !== false);
+        summary.workers = Math.max(summary.workers, active.length);
+    } else if (summary.health === 'online') {
+        summary.health = 'degraded';
+    }
+
+    if (blocksRes.status === 'fulfilled' && blocksRes.value) {
+        const data = blocksRes.value;
+        const blocks = Array.isArray(data) ? data : (data.blocks || data.matured || []);
+        summary.blocks = Math.max(summary.blocks, blocks.length);
+    } else if (summary.health === 'online') {
+        summary.health = 'degraded';
+    }
+
+    return summary;
+}
+
+/**
+ * Poll all fleet nodes and render the fleet view
+ */
+export async function refreshFleet() {
+    const nodes = getFleetNodes();
+    const status = document.getElementById('fleetStatus');
+    if (status) status.textContent = `Polling ${nodes.length} node${nodes.length !== 1 ? 's' : ''}...`;
+
+    const results = await Promise.all(nodes.map(node => pollNode(node).catch(e => ({
+        name: node.name, baseUrl: node.baseUrl, health: 'offline', error: e.message,
+        latency: null, sha: 0, scrypt: 0, kawpow: 0, hashrate: 0, workers: 0, blocks: 0,
+        uptime: null, updatedAt: Date.now()
+    }))));
+
+    setState('cache', { fleet: results, lastFleetFetch: Date.now() });
+    renderFleet();
+}
+
+/**
+ * Combine node summaries
+ * @param {Array<Object>} nodes - Node summaries
+ * @returns {Object} Totals
+ */
+export function aggregateFleet(nodes) {
+    return nodes.reduce((acc, node) => {
+        acc.sha += node.sha;
+        acc.scrypt += node.scrypt;
+        acc.kawpow += node.kawpow;
+        acc.workers += node.workers;
+        acc.blocks += node.blocks;
+        acc[node.health] = (acc[node.health] || 0) + 1;
+        return acc;
+    }, { sha: 0, scrypt: 0, kawpow: 0, workers: 0, blocks: 0, online: 0, degraded: 0, offline: 0 });
+}
+
+/**
+ * Render fleet totals and node table
+ */
+export function renderFleet() {
+    const nodes = AppState.cache.fleet || [];
+    const totals = aggregateFleet(nodes);
+
+    const setText = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = value;
+    };
+    setText('fleetShaHashrate', formatHashrate(totals.sha));
+    setText('fleetScryptHashrate', formatHashrate(totals.scrypt));
+    setText('fleetKawpowHashrate', formatHashrate(totals.kawpow));
+    setText('fleetWorkers', formatNumber(totals.workers));
+    setText('fleetBlocks', formatNumber(totals.blocks));
+    setText('fleetHealth', `${totals.online}/${nodes.length} online`);
+    setText('fleetStatus', AppState.cache.lastFleetFetch
+        ? `Updated ${formatElapsedTime(Date.now() - AppState.cache.lastFleetFetch)}`
+        : 'Waiting for data...');
+
+    const tbody = document.getElementById('fleetBody');
+    if (!tbody) return;
+
+    if (nodes.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; color: #999;">No nodes configured</td></tr>';
+        return;
+    }
+
+    const { key, dir } = AppState.ui.fleetSort;
+    const sorted = [...nodes].sort((a, b) => {
+        const av = a[key];
+        const bv = b[key];
+        const cmp = typeof av === 'string' ? av.localeCompare(bv) : (av ?? -1) - (bv ?? -1);
+        return dir === 'asc' ? cmp : -cmp;
+    });
+
+    document.querySelectorAll('#fleetTable th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === key && dir === 'asc');
+        th.classList.toggle('sorted-desc', th.dataset.sort === key && dir === 'desc');
+    });
+
+    tbody.innerHTML = '';
+    sorted.forEach(node => {
+        const row = document.createElement('tr');
+
+        const nameCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = node.baseUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = node.name;
+        link.title = node.baseUrl;
+        nameCell.appendChild(link);
+        row.appendChild(nameCell);
+
+        const healthCell = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `fleet-health ${node.health}`;
+        badge.textContent = node.health;
+        if (node.error) badge.title = node.error;
+        healthCell.appendChild(badge);
+        row.appendChild(healthCell);
+
+        [
+            formatHashrate(node.sha),
+            formatHashrate(node.scrypt),
+            formatHashrate(node.kawpow),
+            formatNumber(node.workers),
+            formatNumber(node.blocks),
+            node.latency !== null && node.health !== 'offline' ? `${node.latency} ms` : '-'
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        });
+
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Sort fleet table by column (toggles direction on repeated clicks)
+ * @param {string} key - Node summary field
+ */
+export function sortFleetBy(key) {
+    const current = AppState.ui.fleetSort;
+    setState('ui', {
+        fleetSort: current.key === key
+            ? { key, dir: current.dir === 'asc' ? 'desc' : 'asc' }
+            : { key, dir: key === 'name' ? 'asc' : 'desc' }
+    });
+    renderFleet();
+}
+
+/**
+ * Start polling the fleet
+ * @param {string|null} group - Key of Config.fleet.groups, null for every configured node
+ */
+export function startFleetPolling(group = null) {
+    stopFleetPolling();
+    const named = group ? Config.fleet?.groups?.[group] : null;
+    const nextGroup = named ? group : null;
+    if (nextGroup !== fleetGroup) {
+        // Results of the other group must not be shown while polling
+        fleetGroup = nextGroup;
+        setState('cache', { fleet: [], lastFleetFetch: 0 });
+        renderFleet();
+    }
+    const title = document.getElementById('fleetTitle');
+    if (title) title.textContent = named ? `🛰️ Fleet Overview · ${named.name}` : '🛰️ Fleet Overview';
+    refreshFleet();
+    fleetInterval = setInterval(refreshFleet, Config.fleet?.interval || 30000);
+}
+
+/**
+ * Stop polling the fleet
+ */
+export function stopFleetPolling() {
+    if (fleetInterval) {
+        clearInterval(fleetInterval);
+        fleetInterval = null;
+    }
+}
+
+/**
+ * Initialize fleet global functions
+ */
+export function initFleetGlobals() {
+    window.refreshFleet = refreshFleet;
+    window.sortFleetBy = sortFleetBy;
+}
@@ -0,0 +1,429 @@
+/**
+ * Luck Component
+ * Round effort from submitted share work, per-block luck history,
+ * rolling luck chart and per-address luck
+ *
+ * Effort is measured in expected blocks: every valid share adds
+ * shareDifficulty / networkDifficulty of its algorithm, so a round at
+ * effort 1.0 (100%) took exactly the work a block needs on average.
+ * Luck is the inverse: blocks found / expected blocks.
+ */
+
+import { AppState, setState } from '../state.js';
+import { Config } from '../config.js';
+import { formatNumber } from '../utils/formatters.js';
+import { getProfileStorageKey } from '../utils/storage.js';
+import { BlockStatus } from './blocks.js';
+import { getNetworkDifficulty } from './earnings.js';
+
+// Loaded luck state and the storage key it belongs to
+let state = null;
+let stateKey = null;
+let saveTimer = null;
+
+// Rounds drawn in the luck chart (skips redundant redraws)
+let lastChartKey = '';
+
+/**
+ * Start a round
+ * countedAt/countedKeys remember the newest counted share across reloads so
+ * WebSocket and polled shares are never counted twice. A round missing share
+ * work (started mid-round, shares lost while no tab was open, no network
+ * difficulty) is incomplete and gives no luck figure.
+ * @param {number} startedAt - Round start
+ * @param {boolean} incomplete - Whether work of the round is already missing
+ * @returns {Object} Round
+ */
+function createRound(startedAt, incomplete = false) {
+    return { startedAt, effort: 0, shares: 0, addresses: {}, countedAt: null, countedKeys: [], incomplete };
+}
+
+function createState() {
+    return {
+        // Tracking starts in the middle of the pool's round
+        round: createRound(Date.now(), true),
+        history: [],
+        addresses: {}
+    };
+}
+
+/**
+ * Get the luck state of the active profile
+ * @returns {Object} { round, history, addresses }
+ */
+function getState() {
+    const key = getProfileStorageKey(Config.storage.luck);
+    if (state && stateKey === key) return state;
+
+    stateKey = key;
+    try {
+        const parsed = JSON.parse(localStorage.getItem(key) || 'null');
+        state = parsed && parsed.round ? parsed : null;
+    } catch (e) {
+        state = null;
+    }
+    if (!state) state = createState();
+    if (!Array.isArray(state.history)) state.history = [];
+    if (!state.addresses) state.addresses = {};
+    return state;
+}
+
+function saveState() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!state || !stateKey) return;
+    try {
+        localStorage.setItem(stateKey, JSON.stringify(state));
+    } catch (e) {
+        console.warn('Failed to persist luck state:', e);
+    }
+}
+
+function scheduleSave() {
+    if (!saveTimer) saveTimer = setTimeout(saveState, Config.luck.saveDelay);
+}
+
+function normalizeAlgo(algorithm) {
+    const algo = (algorithm || '').toLowerCase();
+    if (algo.includes('sha')) return 'sha';
+    if (algo.includes('scrypt')) return 'scrypt';
+    return 'kawpow';
+}
+
+function toMs(ts) {
+    if (typeof ts === 'number') return ts > 1e12 ? ts : ts * 1000;
+    const parsed = Date.parse(ts);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function getBlockTime(block) {
+    if (block.timestamp) return toMs(block.timestamp);
+    if (block.foundAt) return toMs(block.foundAt);
+    return null;
+}
+
+function getBlockFinder(block) {
+    const minerRaw = block.miner || block.worker || '';
+    return minerRaw.split('.')[0].toLowerCase();
+}
+
+/**
+ * Effort reported by the server for a block, if any
+ * Accepts `effort` as a fraction or percent, or `luck` as its inverse.
+ * @param {Object} block - Pool block
+ * @returns {number|null} Effort as a fraction (1 = 100%)
+ */
+function getServerEffort(block) {
+    const effort = parseFloat(block.effort ?? block.roundEffort);
+    if (effort > 0) return effort > 5 ? effort / 100 : effort;
+    const luck = parseFloat(block.luck);
+    if (luck > 0) return 1 / (luck > 5 ? luck / 100 : luck);
+    return null;
+}
+
+/**
+ * Add a share's work to the current round
+ * @param {Object} share - Share { address, worker, algorithm, difficulty, status, timestamp }
+ * @returns {boolean} True if the share was counted
+ */
+export function recordShareWork(share) {
+    if (!share || (share.status && share.status !== 'valid')) return false;
+
+    const luck = getState();
+    const round = luck.round;
+    const ts = toMs(share.timestamp) || Date.now();
+    if (ts < round.startedAt) return false;
+
+    // Skip shares at or before the newest counted one (same timestamp: by identity)
+    const key = `${share.address || ''}|${share.worker || ''}|${ts}|${share.difficulty || 0}`;
+    if (round.countedAt !== null && (ts < round.countedAt || (ts === round.countedAt && round.countedKeys.includes(key)))) {
+        return false;
+    }
+    if (ts === round.countedAt) {
+        round.countedKeys.push(key);
+    } else {
+        round.countedAt = ts;
+        round.countedKeys = [key];
+    }
+
+    // Shares without a difficulty were submitted at the current stratum target
+    const algo = normalizeAlgo(share.algorithm);
+    const job = AppState.cache.jobs[algo] || AppState.cache.jobs[share.algorithm];
+    const shareDifficulty = Number(share.difficulty) || job?.difficulty || 0;
+    const networkDifficulty = getNetworkDifficulty()[algo];
+    if (!(shareDifficulty > 0) || !(networkDifficulty > 0)) {
+        // Work of this share is unknown, so the round effort is too low
+        round.incomplete = true;
+        scheduleSave();
+        return false;
+    }
+
+    const work = shareDifficulty * Config.earnings.jobDifficultyScale[algo] / networkDifficulty;
+    const address = (share.address || '').toLowerCase();
+
+    round.effort += work;
+    round.shares += 1;
+    if (address) {
+        round.addresses[address] = (round.addresses[address] || 0) + work;
+        const entry = luck.addresses[address] || (luck.addresses[address] = { effort: 0, blocks: 0 });
+        entry.effort += work;
+    }
+    scheduleSave();
+    return true;
+}
+
+/**
+ * Count shares from /api/pool/shares not already seen over the WebSocket
+ * A full page of shares that are all newer than the last counted one means
+ * shares in between were missed (e.g. while no tab was open).
+ * @param {Object} shareStats - Share stats payload ({ shares: [...] })
+ */
+export function ingestShareHistory(shareStats) {
+    const shares = Array.isArray(shareStats?.shares) ? shareStats.shares : [];
+    const round = getState().round;
+    const times = shares.map(raw => toMs(raw.timestamp || raw.time)).filter(ts => ts !== null);
+    if (shares.length >= Config.limits.maxSharesHistory && times.length > 0
+        && Math.min(...times) > (round.countedAt ?? round.startedAt) && !round.incomplete) {
+        round.incomplete = true;
+        scheduleSave();
+    }
+
+    // Oldest first so round boundaries and the counted-share cursor are respected
+    const ordered = [...shares].sort((a, b) => (toMs(a.timestamp || a.time) || 0) - (toMs(b.timestamp || b.time) || 0));
+    ordered.forEach(raw => {
+        const minerRaw = raw.address || raw.miner || raw.worker || '';
+        recordShareWork({
+            address: minerRaw.split('.')[0],
+            worker: raw.workerName || raw.worker || raw.name || '',
+            algorithm: raw.algorithm || '',
+            difficulty: raw.difficulty || raw.diff || 0,
+            status: raw.status === 'accepted' ? 'valid' : raw.status,
+            timestamp: raw.timestamp || raw.time
+        });
+    });
+}
+
+/**
+ * Close rounds for newly found blocks and backfill server-reported effort
+ * @param {Array} blocks - Normalized pool blocks
+ * @returns {Array} Newly closed rounds
+ */
+export function updateLuckFromBlocks(blocks) {
+    const luck = getState();
+    const known = new Set(luck.history.map(entry => entry.hash));
+
+    const candidates = (blocks || [])
+        .filter(block => (block.hash || block.blockHash) && block.status !== BlockStatus.ORPHANED)
+        .map(block => ({ block, hash: block.hash || block.blockHash, time: getBlockTime(block) }))
+        .filter(item => item.time !== null && !known.has(item.hash))
+        .sort((a, b) => a.time - b.time);
+
+    // Blocks the server reports effort for go straight into the history
+    candidates.forEach(item => {
+        const effort = getServerEffort(item.block);
+        if (effort !== null && item.time < luck.round.startedAt) {
+            luck.history.push({ hash: item.hash, height: item.block.height || null, time: item.time, effort, source: 'server' });
+            known.add(item.hash);
+        }
+    });
+
+    // Blocks found during the tracked round close it; work is split between them
+    const found = candidates.filter(item => item.time >= luck.round.startedAt && !known.has(item.hash));
+    const closed = [];
+    if (found.length > 0) {
+        const incomplete = luck.round.incomplete;
+        const effortEach = luck.round.effort / found.length;
+        found.forEach(item => {
+            const entry = {
+                hash: item.hash,
+                height: item.block.height || null,
+                time: item.time,
+                // Untracked or partly tracked rounds: luck unknown unless the pool reports it
+                effort: getServerEffort(item.block) ?? (!incomplete && effortEach > 0 ? effortEach : null),
+                shares: Math.round(luck.round.shares / found.length),
+                source: 'local',
+                incomplete
+            };
+            luck.history.push(entry);
+            closed.push(entry);
+
+            const finder = getBlockFinder(item.block);
+            if (finder) {
+                const stats = luck.addresses[finder] || (luck.addresses[finder] = { effort: 0, blocks: 0 });
+                stats.blocks += 1;
+            }
+        });
+        const last = found[found.length - 1];
+        luck.round = createRound(last.time);
+    }
+
+    luck.history.sort((a, b) => b.time - a.time);
+    if (luck.history.length > Config.luck.historyLimit) luck.history.length = Config.luck.historyLimit;
+    saveState();
+    return closed;
+}
+
+/**
+ * Get the current round
+ * @returns {Object} { startedAt, effort, shares, addresses, countedAt, countedKeys, incomplete }
+ */
+export function getRoundEffort() {
+    return getState().round;
+}
+
+/**
+ * Average luck over the last blocks of the history
+ * @param {number} count - Number of blocks
+ * @returns {number|null} Luck as a fraction (1 = 100%)
+ */
+export function getAverageLuck(count = Config.luck.rollingWindow) {
+    const recent = getState().history.filter(entry => entry.effort > 0).slice(0, count);
+    const effort = recent.reduce((sum, entry) => sum + entry.effort, 0);
+    return effort > 0 ? recent.length / effort : null;
+}
+
+/**
+ * Luck of one address (blocks found vs. expected from its shares)
+ * @param {string} address - Miner address
+ * @returns {Object|null} { effort, blocks, luck, roundEffort }
+ */
+export function getAddressLuck(address) {
+    const luck = getState();
+    const key = (address || '').toLowerCase();
+    const stats = luck.addresses[key];
+    if (!stats) return null;
+    return {
+        effort: stats.effort,
+        blocks: stats.blocks,
+        luck: stats.effort > 0 ? stats.blocks / stats.effort : null,
+        roundEffort: luck.round.addresses[key] || 0
+    };
+}
+
+/**
+ * Describe a luck value
+ * @param {number} luck - Luck as a fraction
+ * @returns {Object} { text, color }
+ */
+export function describeLuck(luck) {
+    if (luck >= 1) return { text: '🍀 Lucky!', color: '#4ade80' };
+    if (luck >= 0.8) return { text: '👍 Good', color: '#ffc107' };
+    return { text: '📉 Below average', color: '#ff6b6b' };
+}
+
+/**
+ * Render round effort, average luck and the luck chart
+ */
+export function renderLuck() {
+    const luck = getState();
+    const round = luck.round;
+
+    const effortEl = document.getElementById('roundEffort');
+    const roundInfoEl = document.getElementById('roundInfo');
+    const currentLuckEl = document.getElementById('currentLuck');
+    const luckStatusEl = document.getElementById('luckStatus');
+    const blocksEl = document.getElementById('luckBlocks');
+
+    if (effortEl) {
+        effortEl.textContent = `${round.incomplete ? '≥ ' : ''}${(round.effort * 100).toFixed(1)}%`;
+        effortEl.style.color = round.incomplete ? '#9ca3af'
+            : round.effort <= 1 ? '#4ade80' : round.effort <= 2 ? '#ffc107' : '#ff6b6b';
+        effortEl.title = round.incomplete ? 'Shares of this round were missed; its luck is not counted' : '';
+    }
+    if (roundInfoEl) {
+        roundInfoEl.textContent = `${formatNumber(round.shares)} shares since ${new Date(round.startedAt).toLocaleString()}`
+            + (round.incomplete ? ' · incomplete (tracking gap)' : '');
+    }
+
+    // Pool-reported luck only until we have rounds of our own
+    const computed = getAverageLuck();
+    const serverLuck = AppState.cache.shareStats?.averageLuck;
+    const average = computed ?? (serverLuck !== undefined && serverLuck !== null ? Number(serverLuck) : null);
+    if (currentLuckEl && luckStatusEl) {
+        if (average !== null) {
+            const label = describeLuck(average);
+            currentLuckEl.textContent = `${(average * 100).toFixed(1)}%`;
+            currentLuckEl.title = computed !== null ? `Last ${Config.luck.rollingWindow} blocks` : 'Reported by pool';
+            luckStatusEl.textContent = label.text;
+            luckStatusEl.style.color = label.color;
+        } else {
+            currentLuckEl.textContent = '-';
+            luckStatusEl.textContent = 'Waiting for a block...';
+            luckStatusEl.style.color = '#9ca3af';
+        }
+    }
+    if (blocksEl) blocksEl.textContent = formatNumber(luck.history.length);
+
+    renderLuckChart(luck.history);
+}
+
+/**
+ * Render per-block luck bars with a rolling average
+ * @param {Array} history - Closed rounds (newest first)
+ */
+function renderLuckChart(history) {
+    const canvas = document.getElementById('luckChart');
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    const entries = history.filter(entry => entry.effort > 0).slice(0, Config.luck.chartBlocks).reverse();
+    const chartKey = entries.map(entry => `${entry.hash}:${entry.effort}`).join(',');
+    if (chartKey === lastChartKey && AppState.ui.charts.luck) return;
+    lastChartKey = chartKey;
+    const windowSize = Config.luck.rollingWindow;
+    const labels = entries.map(entry => entry.height ? `#${entry.height}` : new Date(entry.time).toLocaleDateString());
+    const perBlock = entries.map(entry => Math.round(100 / entry.effort * 10) / 10);
+    const rolling = entries.map((entry, i) => {
+        const slice = entries.slice(Math.max(0, i - windowSize + 1), i + 1);
+        const effort = slice.reduce((sum, e) => sum + e.effort, 0);
+        return Math.round(slice.length / effort * 1000) / 10;
+    });
+    const colors = perBlock.map(v => v >= 100 ? 'rgba(74, 222, 128, 0.7)' : 'rgba(255, 75, 75, 0.7)');
+
+    const chart = AppState.ui.charts.luck;
+    if (chart) {
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = perBlock;
+        chart.data.datasets[0].backgroundColor = colors;
+        chart.data.datasets[1].data = rolling;
+        chart.update('none');
+        return;
+    }
+
+    const luckChart = new Chart(canvas, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [
+                { type: 'bar', label: 'Block luck', data: perBlock, backgroundColor: colors, order: 2 },
+                {
+                    type: 'line',
+                    label: `Rolling luck (${windowSize} blocks)`,
+                    data: rolling,
+                    borderColor: '#667eea',
+                    backgroundColor: 'transparent',
+                    pointRadius: 0,
+                    tension: 0.3,
+                    order: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                legend: { labels: { color: '#9ca3af' } },
+                tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y}%` } }
+            },
+            scales: {
+                x: { ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true }, grid: { display: false } },
+                y: {
+                    beginAtZero: true,
+                    ticks: { color: '#9ca3af', callback: (v) => `${v}%` },
+                    grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                }
+            }
+        }
+    });
+    setState('ui', { charts: { ...AppState.ui.charts, luck: luckChart } });
+}
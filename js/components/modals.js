@@ -3,10 +3,20 @@
  * Handles modal dialogs (miner stats, search, diagnostics)
  */
 
-import { AppState } from '../state.js';
+import { AppState, setState } from '../state.js';
 import { formatHashrate, formatNumber } from '../utils/formatters.js';
 import { fetchMinerStats, fetchMinerWorkers } from '../api/poolApi.js';
+import { trackWorkers } from './workerMonitor.js';
 import { forceRecordAddressHistory } from '../utils/storage.js';
+import { BlockStatus } from './blocks.js';
+import { refreshNetworkInfo, renderMinerProjection } from './earnings.js';
+import { getAddressLuck, describeLuck } from './luck.js';
+import { renderMinerWorkerChart } from './workerHistory.js';
+import { updateMinerPinButton } from './watchlist.js';
+import { syncRoute } from '../router.js';
+
+// Workers used for the open miner's projection (null = cached workers)
+let minerProjectionWorkers = null;
 
 // =====================
 // Miner Stats Modal
@@ -17,12 +27,13 @@ import { forceRecordAddressHistory } from '../utils/storage.js';
  * @param {string} address - Miner address
  */
 export function openMinerModal(address) {
-    AppState.ui.currentMinerAddress = address;
+    setState('ui', { currentMinerAddress: address });
     const modal = document.getElementById('minerModal');
     if (!modal) return;
     
     modal.style.display = 'flex';
     document.getElementById('modalMinerAddress').textContent = address;
+    updateMinerPinButton(address);
     
     // Reset values
     // Prefer current hashrate from cached workers (real-time), fall back to API
@@ -45,9 +56,21 @@ export function openMinerModal(address) {
     document.getElementById('modalMinerBlocks').textContent = '-';
     document.getElementById('modalMinerLastSeen').textContent = '-';
     document.getElementById('modalMinerFirstSeen').textContent = '-';
-    document.getElementById('modalMinerLuck').textContent = '-';
+    updateMinerLuck(address);
     document.getElementById('modalMinerWorkersList').innerHTML = '<div class="miner-worker-item">Loading...</div>';
     
+    // Earnings projection from cached workers, refined once the node answers
+    minerProjectionWorkers = null;
+    updateMinerProjection(address);
+    
+    // Per-worker history from cached workers, redrawn with the address's full worker list
+    const target = (address || '').toLowerCase();
+    renderMinerWorkerChart(address, cachedWorkers.filter(w => (w.address || '').toLowerCase() === target))
+        .catch(e => console.warn('Failed to render worker chart:', e));
+    refreshNetworkInfo().then(updated => {
+        if (updated && AppState.ui.currentMinerAddress === address) updateMinerProjection(address);
+    });
+    
     // Fetch stats from API
     fetchMinerStats(address).then(stats => {
         if (stats) {
@@ -59,8 +82,17 @@ export function openMinerModal(address) {
     fetchMinerWorkers(address).then(workers => {
         const activeWorkers = (workers || []).filter(w => w.isConnected !== false);
         updateMinerSeenFromWorkers(workers || []);
+        if (workers?.length) {
+            trackWorkers(workers.map(w => ({ address, ...w })), { complete: false });
+            renderMinerWorkerChart(address, workers)
+                .catch(e => console.warn('Failed to render worker chart:', e));
+        }
         if (activeWorkers.length > 0) {
             renderMinerWorkersFromAPI(activeWorkers);
+            if (AppState.ui.currentMinerAddress === address) {
+                minerProjectionWorkers = activeWorkers;
+                updateMinerProjection(address);
+            }
         } else {
             document.getElementById('modalMinerWorkersList').innerHTML = '<div class="miner-worker-item" style="color: #9ca3af; text-align: center;">No worker data</div>';
         }
@@ -71,6 +103,7 @@ export function openMinerModal(address) {
 
     // Blocks found from cached pool blocks
     updateMinerBlocksFound(address);
+    syncRoute();
 }
 
 /**
@@ -130,8 +163,35 @@ function updateMinerModalStats(stats) {
         document.getElementById('modalMinerFirstSeen').textContent = '-';
     }
     
-    // No per-miner luck in official APIs yet
-    document.getElementById('modalMinerLuck').textContent = '-';
+    updateMinerLuck(AppState.ui.currentMinerAddress);
+}
+
+/**
+ * Update miner luck from locally tracked share work
+ * @param {string} address - Miner address
+ */
+function updateMinerLuck(address) {
+    const luckEl = document.getElementById('modalMinerLuck');
+    if (!luckEl) return;
+    
+    const stats = getAddressLuck(address);
+    if (!stats || !(stats.effort > 0)) {
+        luckEl.textContent = '-';
+        luckEl.title = 'No share work tracked for this address yet';
+        luckEl.style.color = '';
+        return;
+    }
+    
+    const roundEffort = `round effort ${(stats.roundEffort * 100).toFixed(1)}%`;
+    if (stats.blocks > 0) {
+        const label = describeLuck(stats.luck);
+        luckEl.textContent = `${(stats.luck * 100).toFixed(1)}%`;
+        luckEl.style.color = label.color;
+    } else {
+        luckEl.textContent = `0 / ${stats.effort.toFixed(2)}`;
+        luckEl.style.color = '#9ca3af';
+    }
+    luckEl.title = `${stats.blocks} blocks found vs. ${stats.effort.toFixed(2)} expected · ${roundEffort}`;
 }
 
 /**
@@ -191,6 +251,29 @@ function updateMinerBlocksFound(address) {
     blocksEl.textContent = count.toString();
 }
 
+/**
+ * Update the miner earnings projection
+ * @param {string} address - Miner address
+ */
+function updateMinerProjection(address) {
+    const now = Date.now();
+    const target = (address || '').toLowerCase();
+    const recentBlocks = (AppState.cache.blocks || []).filter(block => {
+        if (block.status === BlockStatus.ORPHANED) return false;
+        const minerRaw = block.miner || block.worker || '';
+        if (minerRaw.split('.')[0].toLowerCase() !== target) return false;
+        let blockTime = null;
+        if (block.timestamp) {
+            blockTime = block.timestamp > 1e12 ? block.timestamp : block.timestamp * 1000;
+        } else if (block.foundAt) {
+            const parsed = Date.parse(block.foundAt);
+            if (!Number.isNaN(parsed)) blockTime = parsed;
+        }
+        return blockTime !== null && now - blockTime <= 24 * 60 * 60 * 1000;
+    });
+    renderMinerProjection(address, recentBlocks.length, minerProjectionWorkers);
+}
+
 /**
  * Render miner workers from API response
  * @param {Array} workers - Workers array from API
@@ -232,7 +315,8 @@ export function closeMinerModal() {
     if (modal) {
         modal.style.display = 'none';
     }
-    AppState.ui.currentMinerAddress = null;
+    setState('ui', { currentMinerAddress: null });
+    syncRoute();
 }
 
 // =====================
@@ -575,17 +659,12 @@ function renderBlockAddressResults(container, addresses) {
  * @param {string|null} address - Address to filter by or null for all
  */
 export function selectBlockAddressFilter(address) {
-    AppState.ui.currentBlockAddressFilter = address;
+    // The blocks table re-renders through its store subscription
+    setState('ui', { currentBlockAddressFilter: address });
     closeBlockSearchModal();
     
     updateBlockFilterIndicator();
-    
-    // Import updateBlocks dynamically to avoid circular imports
-    import('./blocks.js').then(module => {
-        if (AppState.cache.blocks) {
-            module.updateBlocks(AppState.cache.blocks);
-        }
-    });
+    syncRoute();
 }
 
 /**
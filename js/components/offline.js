@@ -0,0 +1,91 @@
+/**
+ * Offline Component
+ * Marks the shown data as stale (cached snapshot, failing updates or no
+ * network) together with its age, and triggers a sync once the browser
+ * is back online
+ */
+
+import { AppState, setState } from '../state.js';
+import { formatElapsedTime } from '../utils/formatters.js';
+
+// How often the age in the banner is refreshed (ms)
+const AGE_REFRESH = 30000;
+
+// Whether the shown data is not live
+let stale = false;
+let ageTimer = null;
+
+/**
+ * Whether the browser reports no network
+ * @returns {boolean} True when offline
+ */
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Mark the shown data as freshly fetched
+ */
+export function markDataLive() {
+    stale = false;
+    setState('cache', { updatedAt: Date.now() });
+    renderStaleBanner();
+}
+
+/**
+ * Mark the shown data as stale
+ * @param {number|null} updatedAt - When the shown data was fetched (defaults to the last live update)
+ */
+export function markDataStale(updatedAt = null) {
+    stale = true;
+    if (updatedAt) setState('cache', { updatedAt });
+    renderStaleBanner();
+}
+
+/**
+ * Forget the data age (nothing is shown anymore)
+ */
+export function clearDataState() {
+    stale = false;
+    setState('cache', { updatedAt: null });
+    renderStaleBanner();
+}
+
+/**
+ * Show or hide the stale data banner
+ */
+export function renderStaleBanner() {
+    const banner = document.getElementById('staleBanner');
+    const updatedAt = AppState.cache.updatedAt;
+    const show = stale && !!updatedAt;
+
+    if (show && !ageTimer) {
+        ageTimer = setInterval(renderStaleBanner, AGE_REFRESH);
+    } else if (!show && ageTimer) {
+        clearInterval(ageTimer);
+        ageTimer = null;
+    }
+    if (!banner) return;
+    if (!show) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    const reason = isOffline() ? 'Offline' : 'Not updating';
+    banner.textContent = `⚠ ${reason} · showing data last updated ${formatElapsedTime(Date.now() - updatedAt).toLowerCase()}`;
+    banner.title = new Date(updatedAt).toLocaleString();
+    banner.classList.toggle('offline', isOffline());
+    banner.style.display = '';
+}
+
+/**
+ * Watch connectivity changes
+ * @param {Function} onOnline - Called when the browser is back online (sync)
+ */
+export function initOffline(onOnline) {
+    window.addEventListener('offline', () => markDataStale());
+    window.addEventListener('online', () => {
+        renderStaleBanner();
+        onOnline();
+    });
+}
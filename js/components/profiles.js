@@ -0,0 +1,210 @@
+/**
+ * Profiles Component
+ * Handles named connection profiles (create, edit, export, switch)
+ */
+
+import { AppState } from '../state.js';
+import {
+    loadProfiles, getProfile, upsertProfile, deleteProfile,
+    getActiveProfileId
+} from '../utils/storage.js';
+import { showSuccess, showWarning } from '../utils/notifications.js';
+import { downloadFile } from '../utils/export.js';
+
+// Callback invoked when the user switches to another profile
+let onProfileSwitch = null;
+
+/**
+ * Initialize profile selector
+ * @param {Function} onSwitch - Callback receiving the selected profile id
+ */
+export function initProfiles(onSwitch) {
+    onProfileSwitch = onSwitch;
+    renderProfileSelect();
+
+    window.selectProfile = selectProfile;
+    window.openProfileModal = openProfileModal;
+    window.closeProfileModal = closeProfileModal;
+    window.saveProfileFromForm = saveProfileFromForm;
+    window.deleteProfileFromForm = deleteProfileFromForm;
+    window.exportProfiles = exportProfiles;
+
+    // Close editor on outside click or Escape
+    document.addEventListener('click', (e) => {
+        if (e.target === document.getElementById('profileModal')) closeProfileModal();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeProfileModal();
+    });
+}
+
+/**
+ * Render the profile dropdown
+ */
+export function renderProfileSelect() {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+
+    const profiles = loadProfiles();
+    const activeId = AppState.connection.profileId || getActiveProfileId();
+
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = profiles.length > 0 ? 'Select profile...' : 'No saved profiles';
+    select.appendChild(placeholder);
+
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.label || profile.host;
+        option.selected = profile.id === activeId;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Switch to a profile
+ * @param {string} profileId - Profile id
+ */
+export function selectProfile(profileId) {
+    if (!profileId || profileId === AppState.connection.profileId) return;
+    if (!getProfile(profileId)) {
+        showWarning('Profile not found');
+        renderProfileSelect();
+        return;
+    }
+    if (onProfileSwitch) onProfileSwitch(profileId);
+}
+
+/**
+ * Open profile editor
+ * @param {string|null} profileId - Profile to edit, or null to create a new one
+ */
+export function openProfileModal(profileId = null) {
+    const modal = document.getElementById('profileModal');
+    if (!modal) return;
+
+    const profile = profileId ? getProfile(profileId) : null;
+    const hostInput = document.getElementById('serverHost');
+    let defaults = { host: '', port: '', protocol: 'auto' };
+    if (!profile && hostInput && hostInput.value.trim()) {
+        defaults = parseHostString(hostInput.value.trim());
+    }
+
+    document.getElementById('profileModalTitle').textContent = profile ? '✎ Edit Profile' : '＋ New Profile';
+    document.getElementById('profileId').value = profile ? profile.id : '';
+    document.getElementById('profileLabel').value = profile ? profile.label : '';
+    document.getElementById('profileHost').value = profile ? profile.host : defaults.host;
+    document.getElementById('profilePort').value = profile ? (profile.port || '') : defaults.port;
+    document.getElementById('profileProtocol').value = profile ? (profile.protocol || 'auto') : defaults.protocol;
+    document.getElementById('profileProxy').value = profile ? (profile.proxy || 'auto') : 'auto';
+
+    const deleteBtn = document.getElementById('profileDeleteBtn');
+    if (deleteBtn) deleteBtn.style.display = profile ? '' : 'none';
+
+    modal.style.display = 'flex';
+}
+
+/**
+ * Close profile editor
+ */
+export function closeProfileModal() {
+    const modal = document.getElementById('profileModal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Save profile from editor form
+ */
+export function saveProfileFromForm() {
+    const host = document.getElementById('profileHost').value.trim();
+    if (!host) {
+        showWarning('Enter a host for the profile');
+        return;
+    }
+
+    const parsed = parseHostString(host);
+    const portValue = document.getElementById('profilePort').value.trim() || parsed.port;
+    if (portValue && (isNaN(parseInt(portValue)) || parseInt(portValue) < 1 || parseInt(portValue) > 65535)) {
+        showWarning('Port must be between 1-65535');
+        return;
+    }
+
+    const protocolValue = document.getElementById('profileProtocol').value;
+    const profile = upsertProfile({
+        id: document.getElementById('profileId').value || null,
+        label: document.getElementById('profileLabel').value,
+        host: parsed.host,
+        port: portValue,
+        protocol: protocolValue === 'auto' ? parsed.protocol : protocolValue,
+        proxy: document.getElementById('profileProxy').value
+    });
+
+    closeProfileModal();
+    renderProfileSelect();
+    showSuccess(`Profile "${profile.label}" saved`);
+
+    // Reconnect when the active profile was edited
+    if (profile.id === AppState.connection.profileId && onProfileSwitch) {
+        onProfileSwitch(profile.id, true);
+    }
+}
+
+/**
+ * Delete the profile currently open in the editor
+ */
+export function deleteProfileFromForm() {
+    const profileId = document.getElementById('profileId').value;
+    const profile = getProfile(profileId);
+    if (!profile) return;
+    if (!confirm(`Delete profile "${profile.label}" and its cached history?`)) return;
+
+    deleteProfile(profileId);
+    closeProfileModal();
+    renderProfileSelect();
+    showSuccess(`Profile "${profile.label}" deleted`);
+}
+
+/**
+ * Download all profiles as JSON
+ */
+export function exportProfiles() {
+    const profiles = loadProfiles();
+    if (profiles.length === 0) {
+        showWarning('No profiles to export');
+        return;
+    }
+
+    const payload = {
+        type: 'quai-dashboard-profiles',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        profiles
+    };
+
+    downloadFile(
+        JSON.stringify(payload, null, 2),
+        `quai-dashboard-profiles-${new Date().toISOString().slice(0,10)}.json`,
+        'application/json'
+    );
+}
+
+/**
+ * Split a host string or URL into host, port and protocol
+ * @param {string} value - e.g. "host", "host:3336" or "https://host:3336"
+ * @returns {Object} { host, port, protocol }
+ */
+function parseHostString(value) {
+    const hasScheme = value.startsWith('http://') || value.startsWith('https://');
+    try {
+        const parsed = new URL(hasScheme ? value : `http://${value}`);
+        return {
+            host: parsed.hostname,
+            port: parsed.port || '',
+            protocol: hasScheme ? parsed.protocol.replace(':', '') : 'auto'
+        };
+    } catch (e) {
+        return { host: value, port: '', protocol: 'auto' };
+    }
+}
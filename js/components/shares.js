@@ -3,8 +3,11 @@
  * Handles share statistics display and updates
  */
 
-import { AppState } from '../state.js';
+import { AppState, setState } from '../state.js';
+import { Config } from '../config.js';
 import { formatNumber } from '../utils/formatters.js';
+import { renderLuck } from './luck.js';
+import { getScopeAddresses, scopeShares } from './watchlist.js';
 
 /**
  * Update share section from pool stats
@@ -12,8 +15,6 @@ import { formatNumber } from '../utils/formatters.js';
  */
 export function updateShareSectionFromPoolStats(stats) {
     const totalSharesEl = document.getElementById('totalShares');
-    const currentLuck = document.getElementById('currentLuck');
-    const luckStatus = document.getElementById('luckStatus');
     const avgSharesPerBlock = document.getElementById('avgSharesPerBlock');
     const lastShareTime = document.getElementById('lastShareTime');
     
@@ -27,32 +28,19 @@ export function updateShareSectionFromPoolStats(stats) {
         totalSharesEl.textContent = formatNumber(total);
     }
     
-    // Luck from official /api/pool/shares
+    // Round effort and luck computed from share work
+    renderLuck();
+    
     const shareStats = AppState.cache.shareStats;
-    if (currentLuck && luckStatus) {
-        if (shareStats && shareStats.averageLuck !== undefined) {
-            const luckValue = shareStats.averageLuck * 100;
-            currentLuck.textContent = `${luckValue.toFixed(1)}%`;
-            if (luckValue >= 100) {
-                luckStatus.textContent = '🍀 Lucky!';
-                luckStatus.style.color = '#4ade80';
-            } else if (luckValue >= 80) {
-                luckStatus.textContent = '👍 Good';
-                luckStatus.style.color = '#ffc107';
-            } else {
-                luckStatus.textContent = '📉 Below average';
-                luckStatus.style.color = '#ff6b6b';
-            }
-        } else {
-            currentLuck.textContent = '-';
-            luckStatus.textContent = 'Waiting for share data...';
-            luckStatus.style.color = '#9ca3af';
-        }
-    }
+    const scoped = getScopeAddresses() !== null;
     
-    // Average shares per block (from /api/pool/shares if available)
+    // Average shares per block (from /api/pool/shares if available; scoped stats in "My Miners" mode)
     if (avgSharesPerBlock) {
-        if (shareStats && shareStats.blocksFound > 0 && shareStats.totalShares > 0) {
+        if (scoped) {
+            avgSharesPerBlock.textContent = stats.blocksFound > 0 && total > 0
+                ? formatNumber(Math.round(total / stats.blocksFound))
+                : '-';
+        } else if (shareStats && shareStats.blocksFound > 0 && shareStats.totalShares > 0) {
             avgSharesPerBlock.textContent = formatNumber(Math.round(shareStats.totalShares / shareStats.blocksFound));
         } else {
             avgSharesPerBlock.textContent = '-';
@@ -61,7 +49,7 @@ export function updateShareSectionFromPoolStats(stats) {
     
     // Last share time (from /api/pool/shares)
     if (lastShareTime) {
-        const lastShareTs = shareStats?.shares?.[0]?.timestamp;
+        const lastShareTs = scopeShares(shareStats?.shares)[0]?.timestamp;
         if (lastShareTs) {
             const parsed = Date.parse(lastShareTs);
             if (!Number.isNaN(parsed)) {
@@ -93,11 +81,6 @@ export function renderShareSummary(stats) {
     const staleShares = stats.sharesStale || 0;
     const invalidShares = stats.sharesInvalid || 0;
     
-    // Check if we need to update
-    const summaryHash = `${validShares}-${staleShares}-${invalidShares}`;
-    if (summaryHash === AppState.hashes.shareSummary) return;
-    AppState.hashes.shareSummary = summaryHash;
-    
     container.innerHTML = '';
     
     if (validShares === 0 && staleShares === 0 && invalidShares === 0) {
@@ -162,27 +145,37 @@ export function updateShareStats(data) {
     if (!data) return;
     
     // Update cached share stats
-    AppState.cache.shareStats = data;
-    
-    // Update luck display if available
-    const luckEl = document.getElementById('currentLuck');
-    const luckStatusEl = document.getElementById('luckStatus');
-    
-    if (luckEl && data.averageLuck !== undefined) {
-        const luckValue = data.averageLuck * 100;
-        luckEl.textContent = `${luckValue.toFixed(1)}%`;
-        
-        if (luckStatusEl) {
-            if (luckValue >= 100) {
-                luckStatusEl.textContent = '🍀 Lucky!';
-                luckStatusEl.style.color = '#4ade80';
-            } else if (luckValue >= 80) {
-                luckStatusEl.textContent = '👍 Good';
-                luckStatusEl.style.color = '#ffc107';
-            } else {
-                luckStatusEl.textContent = '📉 Below average';
-                luckStatusEl.style.color = '#ff6b6b';
-            }
-        }
+    setState('cache', { shareStats: data });
+    
+    // Pool-reported luck is shown until local rounds exist
+    renderLuck();
+}
+
+/**
+ * Apply a live share event (from WebSocket) to cached stats
+ * @param {Object} share - Share { address, worker, algorithm, difficulty, status, timestamp }
+ * @returns {Object|null} Updated pool stats
+ */
+export function applyShareEvent(share) {
+    if (!share) return null;
+    
+    let stats = AppState.cache.poolStats;
+    if (stats) {
+        const counter = share.status === 'stale' ? 'sharesStale'
+            : share.status === 'invalid' ? 'sharesInvalid'
+            : 'sharesValid';
+        stats = { ...stats, [counter]: (stats[counter] || 0) + 1 };
+    }
+    
+    // Prepend to recent shares (newest first, like /api/pool/shares)
+    const previous = AppState.cache.shareStats || {};
+    const shares = [share, ...(Array.isArray(previous.shares) ? previous.shares : [])]
+        .slice(0, Config.limits.maxSharesHistory);
+    const shareStats = { ...previous, shares };
+    if (share.status === 'valid' && previous.totalShares !== undefined) {
+        shareStats.totalShares = previous.totalShares + 1;
     }
+    
+    setState('cache', { poolStats: stats, shareStats });
+    return stats;
 }
@@ -0,0 +1,224 @@
+/**
+ * System Notifications Component
+ * Per-type opt-in system notifications (found blocks, offline workers,
+ * connection loss, alert rules) shown through the service worker, which
+ * also checks the pool on its own while no dashboard tab is open
+ */
+
+import { AppState } from '../state.js';
+import { Config } from '../config.js';
+import { isProxyConfigured, buildProxyUrl } from '../api/client.js';
+import {
+    showNotification, NotificationType, canShowBrowserNotifications,
+    requestBrowserNotifications, showBrowserNotification
+} from '../utils/notifications.js';
+import { sendWebhookEvent, WebhookEvent } from './webhooks.js';
+
+// Notification types users opt into
+export const NotificationTopic = {
+    BLOCKS: 'blocks',
+    WORKERS: 'workers',
+    CONNECTION: 'connection',
+    ALERTS: 'alerts'
+};
+
+// Service worker registration (null until registered or when unsupported)
+let registration = null;
+
+// Highest block height seen on the connected server, and blocks already notified
+let lastBlockHeight = null;
+let blockSource;
+const notifiedBlocks = new Set();
+
+/**
+ * Get per-type opt-in settings
+ * Offline worker notifications default to the former watched-workers toggle.
+ * @returns {Object} { blocks, workers, connection, alerts } booleans
+ */
+export function getSystemNotificationSettings() {
+    let saved = null;
+    let legacyWorkers = false;
+    try {
+        saved = JSON.parse(localStorage.getItem(Config.storage.systemNotifications) || 'null');
+        legacyWorkers = !!JSON.parse(localStorage.getItem(Config.storage.workerAlerts) || 'null')?.browser;
+    } catch (e) {}
+    const settings = {};
+    Object.values(NotificationTopic).forEach(topic => {
+        settings[topic] = saved && typeof saved === 'object'
+            ? !!saved[topic]
+            : topic === NotificationTopic.WORKERS && legacyWorkers;
+    });
+    return settings;
+}
+
+/**
+ * Opt into or out of a notification type
+ * Asks for notification permission when enabling.
+ * @param {string} topic - NotificationTopic value
+ * @param {boolean} enabled - New state
+ * @returns {Promise<boolean>} True if the setting was saved as requested
+ */
+export async function setSystemNotificationTopic(topic, enabled) {
+    if (!Object.values(NotificationTopic).includes(topic)) return false;
+    if (enabled && !(await requestBrowserNotifications())) {
+        showNotification('Browser notifications are blocked for this site', NotificationType.WARNING);
+        renderSystemNotificationSettings();
+        return false;
+    }
+    const settings = { ...getSystemNotificationSettings(), [topic]: !!enabled };
+    try {
+        localStorage.setItem(Config.storage.systemNotifications, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Failed to save notification settings:', e);
+    }
+    renderSystemNotificationSettings();
+    if (enabled) registerPeriodicCheck();
+    syncServiceWorkerWatch();
+    return true;
+}
+
+/**
+ * Show a system notification if its type is enabled
+ * Goes through the service worker so it shows for background tabs and
+ * focuses the dashboard when clicked.
+ * @param {string} topic - NotificationTopic value
+ * @param {string} title - Title
+ * @param {string} body - Text
+ * @param {string|null} tag - Replaces an earlier notification with the same tag
+ */
+export function notifySystem(topic, title, body, tag = null) {
+    if (!getSystemNotificationSettings()[topic] || !canShowBrowserNotifications()) return;
+    if (registration) {
+        registration.showNotification(title, {
+            body,
+            tag: tag || undefined,
+            icon: 'icons/icon-192.png',
+            data: { url: window.location.href }
+        }).catch(() => showBrowserNotification(title, body, tag));
+        return;
+    }
+    showBrowserNotification(title, body, tag);
+}
+
+/**
+ * Notify a found block once (live message or polling, whichever comes first)
+ * @param {Object} block - Block { hash, height, miner }
+ */
+export function notifyBlockFound(block) {
+    const id = block?.hash || block?.blockHash || (block?.height ? `#${block.height}` : null);
+    if (!id || notifiedBlocks.has(id)) return;
+    notifiedBlocks.add(id);
+    const height = Number(block.height);
+    if (Number.isFinite(height) && height > (lastBlockHeight || 0)) lastBlockHeight = height;
+    const title = `🎉 Block found${block.height ? ` #${block.height}` : ''}`;
+    notifySystem(
+        NotificationTopic.BLOCKS,
+        title,
+        block.miner ? `Found by ${block.miner}` : `Hash ${(block.hash || '').substring(0, 20)}...`,
+        `block:${id}`
+    );
+    // Every open tab sees the block; the shared delivery key sends it once
+    sendWebhookEvent(WebhookEvent.BLOCK_FOUND, title, {
+        height: Number.isFinite(height) ? height : null,
+        hash: block.hash || block.blockHash || null,
+        miner: block.miner || null
+    }, `block:${id}`);
+}
+
+/**
+ * Notify blocks above the highest height seen so far
+ * The first call per server only records the current height.
+ * @param {Array} blocks - Normalized blocks
+ */
+export function notifyNewBlocks(blocks) {
+    const heights = (blocks || []).map(b => Number(b.height)).filter(Number.isFinite);
+    if (heights.length === 0) return;
+    if (blockSource !== AppState.connection.apiBaseUrl || lastBlockHeight === null) {
+        blockSource = AppState.connection.apiBaseUrl;
+        lastBlockHeight = Math.max(...heights);
+        syncServiceWorkerWatch();
+        return;
+    }
+    const previous = lastBlockHeight;
+    blocks.filter(b => Number(b.height) > previous).forEach(notifyBlockFound);
+    if (lastBlockHeight !== previous) syncServiceWorkerWatch();
+}
+
+/**
+ * Get the URL the service worker polls for blocks (through the proxy when the page uses it)
+ * @returns {string|null} URL or null when disconnected
+ */
+function getWatchUrl() {
+    const base = AppState.connection.apiBaseUrl;
+    if (!base) return null;
+    const target = base + Config.api.pool.endpoints.blocks;
+    return AppState.connection.useProxy && isProxyConfigured() ? buildProxyUrl(target) : target;
+}
+
+/**
+ * Tell the service worker what to watch while no tab is open
+ */
+export function syncServiceWorkerWatch() {
+    const worker = registration?.active;
+    if (!worker) return;
+    const settings = getSystemNotificationSettings();
+    worker.postMessage({
+        type: 'watch',
+        watch: {
+            url: AppState.connection.isConnected ? getWatchUrl() : null,
+            blocks: settings[NotificationTopic.BLOCKS],
+            connection: settings[NotificationTopic.CONNECTION],
+            lastBlockHeight,
+            updatedAt: Date.now()
+        }
+    });
+}
+
+/**
+ * Ask for periodic background checks (installed apps in supporting browsers)
+ */
+async function registerPeriodicCheck() {
+    if (!registration?.periodicSync) return;
+    try {
+        await registration.periodicSync.register('pool-check', { minInterval: Config.systemNotifications.periodicCheck });
+    } catch (e) {
+        // Not permitted (e.g. not installed): notifications still work while a tab is open
+    }
+}
+
+/**
+ * Register the service worker (notifications and the offline app shell)
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null when unsupported
+ */
+export async function registerServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+    try {
+        await navigator.serviceWorker.register(Config.systemNotifications.serviceWorker);
+        registration = await navigator.serviceWorker.ready;
+        if (Object.values(getSystemNotificationSettings()).some(Boolean)) registerPeriodicCheck();
+        syncServiceWorkerWatch();
+    } catch (e) {
+        console.warn('Service worker registration failed:', e);
+        registration = null;
+    }
+    return registration;
+}
+
+/**
+ * Sync the opt-in checkboxes with the saved settings
+ */
+export function renderSystemNotificationSettings() {
+    const settings = getSystemNotificationSettings();
+    document.querySelectorAll('[data-notification-topic]').forEach(input => {
+        input.checked = !!settings[input.dataset.notificationTopic];
+    });
+}
+
+/**
+ * Initialize system notification globals and register the service worker
+ */
+export function initSystemNotifications() {
+    window.setSystemNotificationTopic = setSystemNotificationTopic;
+    renderSystemNotificationSettings();
+    registerServiceWorker();
+}
@@ -0,0 +1,293 @@
+/**
+ * Watchlist Component
+ * Pinned miner addresses and the "My Miners" mode that scopes stats,
+ * charts, blocks and shares to them
+ */
+
+import { AppState } from '../state.js';
+import { Config } from '../config.js';
+import { formatHashrate } from '../utils/formatters.js';
+import { getProfileStorageKey, sumByAlgorithm } from '../utils/storage.js';
+import { fetchMinerStats, getCachedMinerStats } from '../api/poolApi.js';
+import { showNotification, NotificationType } from '../utils/notifications.js';
+
+// Event dispatched on document when pinned addresses or the mode change
+export const WATCHLIST_EVENT = 'watchlist:change';
+
+/**
+ * Load the watchlist of the active profile
+ * @returns {Object} { addresses, active }
+ */
+function loadWatchlist() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(getProfileStorageKey(Config.storage.watchlist)) || 'null');
+        return {
+            addresses: Array.isArray(parsed?.addresses) ? parsed.addresses : [],
+            active: !!parsed?.active
+        };
+    } catch (e) {
+        return { addresses: [], active: false };
+    }
+}
+
+/**
+ * Persist the watchlist of the active profile and notify listeners
+ * @param {Object} watchlist - { addresses, active }
+ */
+function saveWatchlist(watchlist) {
+    try {
+        localStorage.setItem(getProfileStorageKey(Config.storage.watchlist), JSON.stringify(watchlist));
+    } catch (e) {
+        console.warn('Failed to save watchlist:', e);
+    }
+    renderWatchlistBar();
+    document.dispatchEvent(new CustomEvent(WATCHLIST_EVENT, { detail: watchlist }));
+}
+
+/**
+ * Get pinned addresses
+ * @returns {Array<string>} Addresses
+ */
+export function getWatchlist() {
+    return loadWatchlist().addresses;
+}
+
+/**
+ * Whether an address is pinned
+ * @param {string} address - Miner address
+ * @returns {boolean} True if pinned
+ */
+export function isPinned(address) {
+    const target = (address || '').toLowerCase();
+    return getWatchlist().some(addr => addr.toLowerCase() === target);
+}
+
+/**
+ * Pin or unpin an address
+ * @param {string} address - Miner address
+ */
+export function togglePinnedAddress(address) {
+    if (!address) return;
+    const watchlist = loadWatchlist();
+    const target = address.toLowerCase();
+    if (watchlist.addresses.some(addr => addr.toLowerCase() === target)) {
+        watchlist.addresses = watchlist.addresses.filter(addr => addr.toLowerCase() !== target);
+    } else {
+        watchlist.addresses.push(address);
+    }
+    saveWatchlist(watchlist);
+}
+
+/**
+ * Pin the address typed into the watchlist bar
+ */
+export function pinAddressFromInput() {
+    const input = document.getElementById('watchlistInput');
+    const address = (input?.value || '').trim();
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        showNotification('Enter a full 0x address to pin', NotificationType.WARNING);
+        return;
+    }
+    if (!isPinned(address)) togglePinnedAddress(address);
+    input.value = '';
+}
+
+/**
+ * Whether the dashboard is scoped to pinned addresses
+ * @returns {boolean} True in "My Miners" mode with at least one pinned address
+ */
+export function isMyMinersMode() {
+    const watchlist = loadWatchlist();
+    return watchlist.active && watchlist.addresses.length > 0;
+}
+
+/**
+ * Switch "My Miners" mode on or off
+ */
+export function toggleMyMinersMode() {
+    const watchlist = loadWatchlist();
+    if (!watchlist.active && watchlist.addresses.length === 0) {
+        showNotification('Pin at least one address first', NotificationType.WARNING);
+        return;
+    }
+    watchlist.active = !watchlist.active;
+    saveWatchlist(watchlist);
+}
+
+/**
+ * Get the addresses the dashboard is scoped to
+ * @returns {Array<string>|null} Pinned addresses in "My Miners" mode, else null
+ */
+export function getScopeAddresses() {
+    return isMyMinersMode() ? getWatchlist() : null;
+}
+
+/**
+ * Whether an address is inside the current scope
+ * @param {string} address - Miner address
+ * @returns {boolean} True when not scoped or the address is pinned
+ */
+export function matchesScope(address) {
+    const scope = getScopeAddresses();
+    if (!scope) return true;
+    const target = (address || '').toLowerCase();
+    return scope.some(addr => addr.toLowerCase() === target);
+}
+
+/**
+ * Get the address of a worker or share (falls back to the "address.worker" name)
+ * @param {Object} item - Worker or share
+ * @returns {string} Address
+ */
+function getItemAddress(item) {
+    const name = item.name || item.worker || '';
+    return item.address || (name.includes('.') ? name.split('.')[0] : '');
+}
+
+/**
+ * Filter workers to the current scope
+ * @param {Array} workers - Workers
+ * @returns {Array} Workers of pinned addresses in "My Miners" mode, else all
+ */
+export function scopeWorkers(workers) {
+    if (!isMyMinersMode()) return workers || [];
+    return (workers || []).filter(worker => matchesScope(getItemAddress(worker)));
+}
+
+/**
+ * Filter shares to the current scope
+ * @param {Array} shares - Shares { address, worker, ... }
+ * @returns {Array} Shares of pinned addresses in "My Miners" mode, else all
+ */
+export function scopeShares(shares) {
+    if (!isMyMinersMode()) return shares || [];
+    return (shares || []).filter(share => matchesScope(getItemAddress(share)));
+}
+
+/**
+ * Build pool-shaped stats for the pinned addresses
+ * Hashrate and workers come from cached workers, share counters from
+ * per-miner stats (see refreshScopedMinerStats).
+ * @param {Object} stats - Pool stats
+ * @param {number} blocksFound - Blocks found by the pinned addresses
+ * @returns {Object} Stats with the same shape as pool stats
+ */
+export function buildScopedPoolStats(stats, blocksFound) {
+    const workers = scopeWorkers(AppState.cache.workers);
+    const totals = sumByAlgorithm(workers);
+    const counts = { sha: 0, scrypt: 0, kawpow: 0 };
+    workers.forEach(worker => {
+        const single = sumByAlgorithm([{ algorithm: worker.algorithm, hashrate: 1 }]);
+        Object.keys(single).forEach(algo => { counts[algo] += single[algo]; });
+    });
+
+    const shares = { sharesValid: 0, sharesStale: 0, sharesInvalid: 0 };
+    getWatchlist().forEach(address => {
+        const miner = getCachedMinerStats(address);
+        if (!miner) return;
+        shares.sharesValid += miner.validShares || miner.sharesValid || 0;
+        shares.sharesStale += miner.staleShares || miner.sharesStale || 0;
+        shares.sharesInvalid += miner.invalidShares || miner.sharesInvalid || 0;
+    });
+
+    return {
+        ...stats,
+        ...shares,
+        hashrate: totals.sha + totals.scrypt + totals.kawpow,
+        workersConnected: workers.length,
+        blocksFound,
+        sha256: { ...stats.sha256, hashrate: totals.sha, workers: counts.sha },
+        scrypt: { ...stats.scrypt, hashrate: totals.scrypt, workers: counts.scrypt },
+        kawpow: { ...stats.kawpow, hashrate: totals.kawpow, workers: counts.kawpow }
+    };
+}
+
+/**
+ * Fetch per-miner stats of every pinned address (cached by fetchMinerStats)
+ * @returns {Promise<void>}
+ */
+export async function refreshScopedMinerStats() {
+    const scope = getScopeAddresses();
+    if (!scope) return;
+    await Promise.all(scope.map(address => fetchMinerStats(address)));
+}
+
+/**
+ * Render the watchlist bar (mode toggle and pinned address chips)
+ */
+export function renderWatchlistBar() {
+    const chips = document.getElementById('watchlistChips');
+    const toggle = document.getElementById('myMinersToggle');
+    const main = document.getElementById('mainContent');
+    const watchlist = loadWatchlist();
+    const active = watchlist.active && watchlist.addresses.length > 0;
+
+    if (toggle) {
+        toggle.classList.toggle('active', active);
+        toggle.textContent = active ? '👤 My Miners: On' : '👤 My Miners: Off';
+    }
+    if (main) main.classList.toggle('my-miners-mode', active);
+    if (!chips) return;
+
+    chips.innerHTML = '';
+    if (watchlist.addresses.length === 0) {
+        chips.innerHTML = '<span class="watchlist-empty">No pinned addresses. Pin one from the miner details or paste it here.</span>';
+        return;
+    }
+
+    watchlist.addresses.forEach(address => {
+        const hashrate = sumByAlgorithm((AppState.cache.workers || []).filter(w => getItemAddress(w).toLowerCase() === address.toLowerCase()));
+        const total = hashrate.sha + hashrate.scrypt + hashrate.kawpow;
+
+        const chip = document.createElement('span');
+        chip.className = 'watchlist-chip';
+        chip.title = address;
+
+        const label = document.createElement('button');
+        label.className = 'watchlist-chip-label';
+        label.textContent = `${address.substring(0, 8)}...${address.slice(-6)} · ${total > 0 ? formatHashrate(total) : 'idle'}`;
+        label.onclick = () => window.openMinerModal(address);
+
+        const remove = document.createElement('button');
+        remove.className = 'watchlist-chip-remove';
+        remove.title = 'Unpin';
+        remove.innerHTML = '&times;';
+        remove.onclick = () => togglePinnedAddress(address);
+
+        chip.appendChild(label);
+        chip.appendChild(remove);
+        chips.appendChild(chip);
+    });
+}
+
+/**
+ * Sync the pin button of the miner modal with the watchlist
+ * @param {string} address - Address shown in the modal
+ */
+export function updateMinerPinButton(address) {
+    const btn = document.getElementById('modalPinBtn');
+    if (!btn) return;
+    const pinned = isPinned(address);
+    btn.textContent = pinned ? '📌 Pinned' : '📌 Pin';
+    btn.classList.toggle('active', pinned);
+}
+
+/**
+ * Pin or unpin the address shown in the miner modal
+ */
+export function toggleCurrentMinerPin() {
+    const address = AppState.ui.currentMinerAddress;
+    if (!address) return;
+    togglePinnedAddress(address);
+    updateMinerPinButton(address);
+}
+
+/**
+ * Initialize watchlist global functions
+ */
+export function initWatchlistGlobals() {
+    window.toggleMyMinersMode = toggleMyMinersMode;
+    window.pinAddressFromInput = pinAddressFromInput;
+    window.toggleCurrentMinerPin = toggleCurrentMinerPin;
+    renderWatchlistBar();
+}
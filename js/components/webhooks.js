@@ -0,0 +1,341 @@
+/**
+ * Webhooks Component
+ * Optional webhook sink: found blocks, offline watched workers and alert
+ * rules are POSTed as JSON (optionally through a payload template) with
+ * retry on failure. Chat services that block browser requests can be
+ * reached through tools/webhook-relay.js.
+ */
+
+import { AppState } from '../state.js';
+import { Config } from '../config.js';
+import { getProfile } from '../utils/storage.js';
+import { TimeoutError, HttpError, NetworkError, getBackoffDelay, describeApiError } from '../api/client.js';
+import { showSuccess, showError, showWarning } from '../utils/notifications.js';
+
+// Event types and the opt-in group each belongs to
+export const WebhookEvent = {
+    BLOCK_FOUND: 'block_found',
+    WORKER_OFFLINE: 'worker_offline',
+    ALERT_FIRED: 'alert_fired',
+    ALERT_RESOLVED: 'alert_resolved',
+    TEST: 'test'
+};
+
+const EVENT_GROUPS = {
+    [WebhookEvent.BLOCK_FOUND]: 'blocks',
+    [WebhookEvent.WORKER_OFFLINE]: 'workers',
+    [WebhookEvent.ALERT_FIRED]: 'alerts',
+    [WebhookEvent.ALERT_RESOLVED]: 'alerts'
+};
+
+// Events waiting for delivery [{ event, attempt }]; the head is the one being delivered
+const queue = [];
+let delivering = false;
+
+// Outcome of the last delivery { t, event, ok, error, retrying }
+let lastDelivery = null;
+
+/**
+ * Get the webhook settings
+ * @returns {Object} { url, template, events: { blocks, workers, alerts } }
+ */
+export function getWebhookSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(Config.storage.webhook) || '{}') || {};
+    } catch (e) {}
+    return {
+        url: typeof saved.url === 'string' ? saved.url : '',
+        template: typeof saved.template === 'string' ? saved.template : '',
+        events: {
+            blocks: saved.events?.blocks !== false,
+            workers: saved.events?.workers !== false,
+            alerts: saved.events?.alerts !== false
+        }
+    };
+}
+
+/**
+ * Build the JSON event sent for an occurrence
+ * @param {string} type - WebhookEvent value
+ * @param {string} message - Human readable summary
+ * @param {Object} data - Event specific fields
+ * @param {number} now - Timestamp
+ * @returns {Object} Event
+ */
+export function buildWebhookEvent(type, message, data = {}, now = Date.now()) {
+    return {
+        event: type,
+        message,
+        time: new Date(now).toISOString(),
+        server: AppState.connection.apiBaseUrl || null,
+        profile: getProfile(AppState.connection.profileId)?.label || null,
+        data
+    };
+}
+
+/**
+ * Render the request body of an event
+ * Without a template the event itself is sent. In a template, {{path}}
+ * (e.g. {{message}}, {{data.height}}) is replaced with the value escaped for
+ * use inside a JSON string and {{json}} with the whole event as JSON.
+ * @param {string} template - Payload template (JSON with placeholders) or empty
+ * @param {Object} event - Event from buildWebhookEvent()
+ * @returns {string} JSON body
+ * @throws {Error} When the template does not produce valid JSON
+ */
+export function renderWebhookBody(template, event) {
+    if (!template || !template.trim()) return JSON.stringify(event);
+    const body = template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, path) => {
+        if (path === 'json') return JSON.stringify(event);
+        const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), event);
+        if (value == null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return JSON.stringify(text).slice(1, -1);
+    });
+    try {
+        JSON.parse(body);
+    } catch (e) {
+        throw new Error('Webhook template does not produce valid JSON');
+    }
+    return body;
+}
+
+/**
+ * POST an event once
+ * @param {Object} settings - { url, template }
+ * @param {Object} event - Event
+ * @returns {Promise<void>}
+ * @throws {Error} ApiError subclass on delivery failure, Error on a bad template
+ */
+async function postWebhook(settings, event) {
+    const body = renderWebhookBody(settings.template, event);
+    const timeout = Config.webhooks.timeout;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+        response = await fetch(settings.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            signal: controller.signal
+        });
+    } catch (e) {
+        if (e.name === 'AbortError') throw new TimeoutError(settings.url, timeout, e);
+        throw new NetworkError(settings.url, e);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    if (!response.ok) throw new HttpError(settings.url, response.status);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Deliver queued events in order, retrying failures with backoff
+ * @returns {Promise<void>}
+ */
+async function processQueue() {
+    if (delivering) return;
+    delivering = true;
+    while (queue.length > 0) {
+        const item = queue[0];
+        const settings = getWebhookSettings();
+        if (!settings.url) {
+            queue.length = 0;
+            break;
+        }
+        try {
+            await postWebhook(settings, item.event);
+            queue.shift();
+            lastDelivery = { t: Date.now(), event: item.event.event, ok: true };
+        } catch (e) {
+            const retrying = e.retryable === true && item.attempt < Config.webhooks.retry.retries;
+            lastDelivery = { t: Date.now(), event: item.event.event, ok: false, error: describeApiError(e), retrying };
+            if (!retrying) {
+                console.warn('Webhook delivery failed:', e);
+                queue.shift();
+            } else {
+                renderWebhookStatus();
+                await sleep(getBackoffDelay(item.attempt, Config.webhooks.retry));
+                item.attempt++;
+            }
+        }
+        renderWebhookStatus();
+    }
+    delivering = false;
+}
+
+/**
+ * Claim a delivery key in storage shared by all tabs
+ * @param {string} key - Delivery key (e.g. 'block:<hash>')
+ * @returns {boolean} False if this or another tab already claimed it
+ */
+function claimDelivery(key) {
+    try {
+        const sent = JSON.parse(localStorage.getItem(Config.storage.webhookSent) || '[]');
+        const keys = Array.isArray(sent) ? sent : [];
+        if (keys.includes(key)) return false;
+        keys.push(key);
+        localStorage.setItem(Config.storage.webhookSent, JSON.stringify(keys.slice(-Config.webhooks.sentLimit)));
+    } catch (e) {}
+    return true;
+}
+
+/**
+ * Queue an event for the webhook if one is configured and its type is enabled
+ * @param {string} type - WebhookEvent value
+ * @param {string} message - Human readable summary
+ * @param {Object} data - Event specific fields
+ * @param {string|null} deliveryKey - Send only once across tabs under this key
+ */
+export function sendWebhookEvent(type, message, data = {}, deliveryKey = null) {
+    const settings = getWebhookSettings();
+    if (!settings.url || !settings.events[EVENT_GROUPS[type]]) return;
+    if (deliveryKey && !claimDelivery(deliveryKey)) return;
+    queue.push({ event: buildWebhookEvent(type, message, data), attempt: 0 });
+    // Drop the oldest waiting events, never the one being delivered
+    const overflow = queue.length - Config.webhooks.queueLimit;
+    if (overflow > 0) queue.splice(1, overflow);
+    processQueue();
+}
+
+/**
+ * Read the webhook form
+ * @returns {Object} Settings as entered
+ */
+function readWebhookForm() {
+    const events = {};
+    document.querySelectorAll('[data-webhook-event]').forEach(input => {
+        events[input.dataset.webhookEvent] = input.checked;
+    });
+    return {
+        url: (document.getElementById('webhookUrl')?.value || '').trim(),
+        template: document.getElementById('webhookTemplate')?.value || '',
+        events
+    };
+}
+
+/**
+ * Validate webhook settings
+ * @param {Object} settings - { url, template }
+ * @returns {string|null} Problem description or null when valid
+ */
+function validateWebhookSettings(settings) {
+    if (settings.url) {
+        try {
+            const url = new URL(settings.url);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'Webhook URL must start with http:// or https://';
+        } catch (e) {
+            return 'Webhook URL is not valid';
+        }
+    }
+    try {
+        renderWebhookBody(settings.template, buildWebhookEvent(WebhookEvent.TEST, 'Test event'));
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+/**
+ * Save the webhook form
+ * An empty URL turns the webhook off.
+ * @returns {boolean} True if saved
+ */
+export function saveWebhookFromForm() {
+    const settings = readWebhookForm();
+    const problem = validateWebhookSettings(settings);
+    if (problem) {
+        showWarning(problem);
+        return false;
+    }
+    try {
+        localStorage.setItem(Config.storage.webhook, JSON.stringify(settings));
+    } catch (e) {
+        showError('Failed to save webhook', e);
+        return false;
+    }
+    showSuccess(settings.url ? 'Webhook saved' : 'Webhook turned off');
+    renderWebhookSettings();
+    return true;
+}
+
+/**
+ * Send a test event to the URL in the form (saved or not), without retries
+ * @returns {Promise<boolean>} True if delivered
+ */
+export async function testWebhook() {
+    const settings = readWebhookForm();
+    if (!settings.url) {
+        showWarning('Enter a webhook URL first');
+        return false;
+    }
+    const problem = validateWebhookSettings(settings);
+    if (problem) {
+        showWarning(problem);
+        return false;
+    }
+    const event = buildWebhookEvent(WebhookEvent.TEST, 'Test event from the Quai Mining Dashboard');
+    try {
+        await postWebhook(settings, event);
+        lastDelivery = { t: Date.now(), event: event.event, ok: true };
+        showSuccess('Webhook test delivered');
+        return true;
+    } catch (e) {
+        lastDelivery = { t: Date.now(), event: event.event, ok: false, error: describeApiError(e) };
+        showError(`Webhook test failed: ${describeApiError(e)}`, e);
+        return false;
+    } finally {
+        renderWebhookStatus();
+    }
+}
+
+/**
+ * Show the outcome of the last delivery
+ */
+export function renderWebhookStatus() {
+    const status = document.getElementById('webhookStatus');
+    if (!status) return;
+    status.classList.remove('ok', 'failed');
+    if (!lastDelivery) {
+        status.textContent = getWebhookSettings().url ? 'Nothing sent yet' : 'Off';
+        return;
+    }
+    const time = new Date(lastDelivery.t).toLocaleTimeString();
+    const waiting = queue.length > 1 ? ` · ${queue.length - 1} waiting` : '';
+    if (lastDelivery.ok) {
+        status.textContent = `Last delivery ${lastDelivery.event} at ${time} ✓${waiting}`;
+        status.classList.add('ok');
+    } else {
+        status.textContent = `Last delivery ${lastDelivery.event} at ${time} failed: ${lastDelivery.error}${lastDelivery.retrying ? ' (retrying)' : ''}${waiting}`;
+        status.classList.add('failed');
+    }
+}
+
+/**
+ * Fill the webhook form with the saved settings
+ */
+export function renderWebhookSettings() {
+    const settings = getWebhookSettings();
+    const url = document.getElementById('webhookUrl');
+    if (url) url.value = settings.url;
+    const template = document.getElementById('webhookTemplate');
+    if (template) template.value = settings.template;
+    document.querySelectorAll('[data-webhook-event]').forEach(input => {
+        input.checked = !!settings.events[input.dataset.webhookEvent];
+    });
+    renderWebhookStatus();
+}
+
+/**
+ * Initialize webhook globals
+ */
+export function initWebhooks() {
+    window.saveWebhookFromForm = saveWebhookFromForm;
+    window.testWebhook = testWebhook;
+    renderWebhookSettings();
+}
@@ -3,21 +3,110 @@
  * Handles real-time updates via WebSocket connection
  */
 
-import { AppState } from '../state.js';
+import { AppState, setState } from '../state.js';
 import { Config } from '../config.js';
+import { getBackoffDelay } from '../api/client.js';
+import { notifyBlockFound } from './systemNotifications.js';
+
+// Connection states reported via the ws:state event
+export const WSState = {
+    LIVE: 'live',
+    STALE: 'stale',
+    DOWN: 'down'
+};
 
 let wsReconnectTimeout = null;
+let heartbeatTimer = null;
+let reconnectAttempt = 0;
+let lastMessageAt = 0;
+// Whether the current socket has answered a ping (proves the server replies)
+let pongReceived = false;
+let wsState = WSState.DOWN;
+
+/**
+ * Get current WebSocket state
+ * @returns {string} WSState value
+ */
+export function getWSState() {
+    return wsState;
+}
+
+function setWSState(state, info = {}) {
+    updateWSIndicator(state, info);
+    if (state === wsState) return;
+    const previous = wsState;
+    wsState = state;
+    document.dispatchEvent(new CustomEvent(WSEvent.STATE, { detail: { state, previous } }));
+}
+
+function stopHeartbeat() {
+    if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
 
+/**
+ * Ping the server and watch for silence
+ * Any message counts as a sign of life; long silence marks the data stale.
+ * Only once the server has answered a ping does longer silence close the
+ * (likely half-open) socket so onclose reconnects: a server that never
+ * replies may simply have nothing to push.
+ * @param {WebSocket} ws - Open socket
+ */
+function startHeartbeat(ws) {
+    stopHeartbeat();
+    const { heartbeatInterval, staleAfter, deadAfter } = Config.websocket;
+    let lastPing = Date.now();
+    heartbeatTimer = setInterval(() => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        const now = Date.now();
+        const silence = now - lastMessageAt;
+
+        if (pongReceived && silence >= deadAfter) {
+            console.warn(`WebSocket silent for ${Math.round(silence / 1000)}s, reconnecting`);
+            try { ws.close(); } catch (e) {}
+            return;
+        }
+        if (silence >= staleAfter) {
+            setWSState(WSState.STALE, { silence });
+        }
+        if (now - lastPing >= heartbeatInterval) {
+            lastPing = now;
+            try { ws.send(JSON.stringify({ type: 'ping', ts: now })); } catch (e) {}
+        }
+    }, 1000);
+}
+
+function scheduleReconnect() {
+    if (wsReconnectTimeout) clearTimeout(wsReconnectTimeout);
+    const delay = getBackoffDelay(reconnectAttempt, Config.websocket.reconnect);
+    reconnectAttempt++;
+    setWSState(WSState.DOWN, { retryIn: delay, attempt: reconnectAttempt });
+    wsReconnectTimeout = setTimeout(() => {
+        wsReconnectTimeout = null;
+        initWebSocket(true);
+    }, delay);
+}
+
+/**
+ * Close the WebSocket without reconnecting
+ */
 export function closeWebSocket() {
     try {
-        if (AppState.connection.wsConnection) {
-            try { AppState.connection.wsConnection.close(); } catch (e) {}
-            AppState.connection.wsConnection = null;
+        const ws = AppState.connection.wsConnection;
+        if (ws) {
+            // Detach handlers so the old socket doesn't schedule a reconnect
+            ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+            try { ws.close(); } catch (e) {}
+            setState('connection', { wsConnection: null });
         }
         if (wsReconnectTimeout) {
             clearTimeout(wsReconnectTimeout);
             wsReconnectTimeout = null;
         }
+        stopHeartbeat();
+        wsState = WSState.DOWN;
         const indicator = document.getElementById('wsIndicator');
         if (indicator) indicator.style.display = 'none';
     } catch (e) {
@@ -25,9 +114,18 @@ export function closeWebSocket() {
     }
 }
 
-export function initWebSocket() {
+/**
+ * Open the WebSocket to the connected server
+ * @param {boolean} isRetry - Keep the backoff attempt count (scheduled reconnects)
+ */
+export function initWebSocket(isRetry = false) {
     if (!AppState.connection.apiBaseUrl) return;
     closeWebSocket();
+    if (isRetry) {
+        updateWSIndicator(WSState.DOWN);
+    } else {
+        reconnectAttempt = 0;
+    }
 
     const backendWsUrl = AppState.connection.apiBaseUrl.replace(/^http/, 'ws') + '/api/ws';
     let triedProxy = false;
@@ -35,16 +133,23 @@ export function initWebSocket() {
     function openWs(url, isProxy = false) {
         try {
             const ws = new WebSocket(url);
-            AppState.connection.wsConnection = ws;
+            setState('connection', { wsConnection: ws });
 
             ws.onopen = () => {
                 console.info('WebSocket connected', isProxy ? '(via proxy)' : '(direct)');
-                updateWSIndicator(true);
+                reconnectAttempt = 0;
+                lastMessageAt = Date.now();
+                pongReceived = false;
+                setWSState(WSState.LIVE);
+                startHeartbeat(ws);
             };
 
             ws.onmessage = (ev) => {
+                lastMessageAt = Date.now();
+                if (wsState !== WSState.LIVE) setWSState(WSState.LIVE);
                 try {
                     const data = JSON.parse(ev.data);
+                    if (data && (data.type || data.event) === 'pong') pongReceived = true;
                     handleWSMessage(data);
                 } catch (e) {
                     console.warn('WS parse error', e);
@@ -53,13 +158,15 @@ export function initWebSocket() {
 
             ws.onerror = (err) => {
                 console.warn('WebSocket error', err);
-                updateWSIndicator(false);
             };
 
             ws.onclose = () => {
-                updateWSIndicator(false);
+                stopHeartbeat();
+                if (AppState.connection.wsConnection === ws) setState('connection', { wsConnection: null });
                 if (AppState.connection.isConnected) {
-                    wsReconnectTimeout = setTimeout(initWebSocket, Config.timeouts.reconnect);
+                    scheduleReconnect();
+                } else {
+                    setWSState(WSState.DOWN);
                 }
             };
         } catch (e) {
@@ -70,6 +177,8 @@ export function initWebSocket() {
                 const proxyWsBase = Config.proxy.base.replace(/^https?:/, AppState.connection.apiBaseUrl.startsWith('https') ? 'wss:' : 'ws:');
                 const proxyUrl = `${proxyWsBase}${Config.proxy.wsEndpoint}${encodeURIComponent(backendWsUrl)}`;
                 openWs(proxyUrl, true);
+            } else if (AppState.connection.isConnected) {
+                scheduleReconnect();
             }
         }
     }
@@ -78,31 +187,128 @@ export function initWebSocket() {
     openWs(backendWsUrl, false);
 }
 
+// DOM events dispatched for typed WebSocket messages
+export const WSEvent = {
+    UPDATE: 'ws:update',
+    BLOCK: 'ws:block',
+    SHARE: 'ws:share',
+    WORKER: 'ws:worker',
+    JOB: 'ws:job',
+    STATE: 'ws:state'
+};
+
+// Message type aliases used by different pool server versions
+const SHARE_TYPES = ['share', 'share_submitted', 'shareSubmitted', 'share_accepted', 'share_rejected'];
+const WORKER_JOIN_TYPES = ['worker_connected', 'workerConnected', 'worker_join', 'workerJoin', 'worker_connect'];
+const WORKER_LEAVE_TYPES = ['worker_disconnected', 'workerDisconnected', 'worker_leave', 'workerLeave', 'worker_disconnect'];
+const JOB_TYPES = ['job', 'new_job', 'newJob', 'difficulty', 'set_difficulty', 'setDifficulty'];
+
+function dispatchWS(name, detail) {
+    document.dispatchEvent(new CustomEvent(name, { detail }));
+}
+
 function handleWSMessage(data) {
     if (!data) return;
-    if (data.type === 'stats' && data.stats) {
-        AppState.cache.poolStats = data.stats;
-    }
-    if (data.type === 'block' && data.block) {
+    const type = data.type || data.event || '';
+    // Heartbeat replies only refresh lastMessageAt
+    if (type === 'pong') return;
+
+    if (type === 'block' && data.block) {
         showBlockNotification(data.block);
+        dispatchWS(WSEvent.BLOCK, { block: data.block, raw: data });
+    }
+    if (SHARE_TYPES.includes(type)) {
+        const share = normalizeShareMessage(data, type);
+        if (share) dispatchWS(WSEvent.SHARE, { share, raw: data });
+    }
+    if (WORKER_JOIN_TYPES.includes(type) || WORKER_LEAVE_TYPES.includes(type) || type === 'worker') {
+        const worker = data.worker && typeof data.worker === 'object' ? data.worker : data;
+        const leaving = WORKER_LEAVE_TYPES.includes(type) ||
+            (type === 'worker' && ['disconnect', 'disconnected', 'leave'].includes(data.action || data.status));
+        dispatchWS(WSEvent.WORKER, { action: leaving ? 'leave' : 'join', worker, raw: data });
+    }
+    if (JOB_TYPES.includes(type)) {
+        const job = normalizeJobMessage(data);
+        if (job) dispatchWS(WSEvent.JOB, { job, raw: data });
     }
-    if (data.type === 'update' || data.pool || Array.isArray(data.workers)) {
-        if (data.pool) AppState.cache.poolStats = data.pool;
-        if (Array.isArray(data.workers)) AppState.cache.workers = data.workers;
-        document.dispatchEvent(new CustomEvent('ws:update', { detail: { pool: data.pool || null, workers: data.workers || null, raw: data } }));
+    // Stats-only messages take the same path as updates so they get recorded
+    const pool = data.pool || (type === 'stats' ? data.stats : null) || null;
+    if (type === 'update' || pool || Array.isArray(data.workers)) {
+        if (pool) setState('cache', { poolStats: pool });
+        if (Array.isArray(data.workers)) setState('cache', { workers: data.workers });
+        dispatchWS(WSEvent.UPDATE, { pool, workers: data.workers || null, raw: data });
     }
 }
 
-function updateWSIndicator(connected) {
+/**
+ * Normalize a share message
+ * @param {Object} data - Raw message
+ * @param {string} type - Message type (resolved from `type` or `event`)
+ * @returns {Object|null} Share { address, worker, algorithm, difficulty, status, timestamp }
+ */
+function normalizeShareMessage(data, type) {
+    const raw = data.share && typeof data.share === 'object' ? data.share : data;
+    let status = (raw.status || raw.result || '').toString().toLowerCase();
+    if (!status) {
+        if (raw.stale) status = 'stale';
+        else if (raw.valid === false || raw.accepted === false || type === 'share_rejected') status = 'invalid';
+        else status = 'valid';
+    }
+    if (status === 'accepted') status = 'valid';
+    if (status === 'rejected') status = 'invalid';
+
+    const minerRaw = raw.address || raw.miner || raw.worker || '';
+    const address = minerRaw.includes('.') ? minerRaw.split('.')[0] : minerRaw;
+    const ts = raw.timestamp || raw.time || Date.now();
+
+    return {
+        address,
+        worker: raw.workerName || raw.worker || raw.name || '',
+        algorithm: (raw.algorithm || '').toLowerCase(),
+        difficulty: Number(raw.difficulty || raw.diff || 0),
+        status,
+        timestamp: typeof ts === 'number' ? new Date(ts > 1e12 ? ts : ts * 1000).toISOString() : ts
+    };
+}
+
+/**
+ * Normalize a job / difficulty message
+ * @param {Object} data - Raw message
+ * @returns {Object|null} Job { algorithm, difficulty, networkDifficulty, height, jobId, receivedAt }
+ */
+function normalizeJobMessage(data) {
+    const raw = data.job && typeof data.job === 'object' ? data.job : data;
+    const difficulty = raw.difficulty ?? raw.diff ?? null;
+    const networkDifficulty = raw.networkDifficulty ?? raw.blockDifficulty ?? null;
+    if (difficulty === null && networkDifficulty === null && !raw.height && !raw.jobId) return null;
+    return {
+        algorithm: (raw.algorithm || 'kawpow').toLowerCase(),
+        difficulty: difficulty !== null ? Number(difficulty) : null,
+        networkDifficulty: networkDifficulty !== null ? Number(networkDifficulty) : null,
+        height: raw.height ?? raw.blockHeight ?? null,
+        jobId: raw.jobId || raw.id || null,
+        receivedAt: Date.now()
+    };
+}
+
+function updateWSIndicator(state, info = {}) {
     const indicator = document.getElementById('wsIndicator');
     if (!indicator) return;
     indicator.style.display = 'flex';
-    if (connected) {
-        indicator.classList.remove('disconnected');
-        const text = indicator.querySelector('.ws-text'); if (text) text.textContent = 'Live';
+    indicator.classList.toggle('stale', state === WSState.STALE);
+    indicator.classList.toggle('disconnected', state === WSState.DOWN);
+    const text = indicator.querySelector('.ws-text');
+    if (state === WSState.LIVE) {
+        if (text) text.textContent = 'Live';
+        indicator.title = 'Receiving live updates';
+    } else if (state === WSState.STALE) {
+        if (text) text.textContent = 'Stale';
+        indicator.title = `No live update for ${Math.round((info.silence || 0) / 1000)}s`;
     } else {
-        indicator.classList.add('disconnected');
-        const text = indicator.querySelector('.ws-text'); if (text) text.textContent = 'Reconnecting...';
+        if (text) text.textContent = 'Reconnecting...';
+        indicator.title = info.retryIn
+            ? `Attempt ${info.attempt}, retrying in ${Math.ceil(info.retryIn / 1000)}s (polling REST meanwhile)`
+            : 'Live updates unavailable';
     }
 }
 
@@ -113,6 +319,7 @@ export function showBlockNotification(block) {
         notification.innerHTML = `<div style="color:#4ade80;font-weight:600;margin-bottom:6px">🎉 Block Found!</div><div style="color:#e5e7eb;font-size:0.85rem;">Hash: ${(block.hash||'').substring(0,20)}...</div>`;
         document.body.appendChild(notification);
         setTimeout(() => notification.remove(), 5000);
+        notifyBlockFound(block);
     } catch (e) { console.warn('showBlockNotification error', e); }
 }
 
@@ -0,0 +1,219 @@
+/**
+ * Worker History Component
+ * Per-worker hashrate sparklines for the workers table and the
+ * per-worker chart in the miner modal
+ */
+
+import { AppState, setState } from '../state.js';
+import { Config } from '../config.js';
+import { formatHashrate, formatLabel } from '../utils/formatters.js';
+import { queryRange } from '../utils/timeseries.js';
+import { historySeries, workerScope, workerHistoryAlgorithm, getWorkerKey } from '../utils/storage.js';
+import { aggregatePoints, getPeriodWindowMs, getPeriodResolution } from './charts.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Colors cycled across workers in the miner modal chart
+const WORKER_COLORS = ['#ff253a', '#667eea', '#4ade80', '#ffc107', '#ff94b2', '#38bdf8', '#f97316', '#a78bfa'];
+
+// Sparkline buckets per series { values, fetchedAt, pending }
+const sparklines = new Map();
+
+// Sequence number of the latest miner worker chart render (drops out-of-order results)
+let workerChartSeq = 0;
+
+/**
+ * Describe how stable a series is
+ * @param {Array<number|null>} values - Bucket averages
+ * @returns {Object|null} { min, max, avg, variation } (variation = stddev / mean) or null
+ */
+export function describeStability(values) {
+    const present = values.filter(v => v !== null && v !== undefined);
+    if (present.length === 0) return null;
+    const avg = present.reduce((a, b) => a + b, 0) / present.length;
+    const variance = present.reduce((sum, v) => sum + (v - avg) ** 2, 0) / present.length;
+    return {
+        min: Math.min(...present),
+        max: Math.max(...present),
+        avg,
+        variation: avg > 0 ? Math.sqrt(variance) / avg : 0
+    };
+}
+
+/**
+ * Read a worker's bucketed history
+ * @param {string} series - Series key
+ * @param {number} windowMs - Window length
+ * @param {string} resolution - Stored resolution to read
+ * @param {number} points - Number of buckets
+ * @returns {Promise<Array>} Buckets { t, v, min, max }
+ */
+async function loadWorkerBuckets(series, windowMs, resolution, points) {
+    const now = Date.now();
+    const cutoff = now - windowMs;
+    const samples = await queryRange(series, cutoff, now, resolution);
+    return aggregatePoints(samples, cutoff, windowMs, points);
+}
+
+/**
+ * Draw a sparkline into a container
+ * @param {HTMLElement} container - Element receiving the SVG
+ * @param {Array<number|null>} values - Bucket averages (null = no sample)
+ */
+function drawSparkline(container, values) {
+    const width = 80;
+    const height = 20;
+    const stats = describeStability(values);
+    container.innerHTML = '';
+    if (!stats) {
+        container.textContent = '—';
+        container.title = 'No history yet';
+        return;
+    }
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('class', 'sparkline');
+
+    // Gaps split the line so missing samples don't read as a drop to zero
+    const step = values.length > 1 ? width / (values.length - 1) : width;
+    const range = stats.max - stats.min || 1;
+    let segment = [];
+    const flush = () => {
+        if (segment.length > 0) {
+            const line = document.createElementNS(SVG_NS, 'polyline');
+            line.setAttribute('points', segment.join(' '));
+            svg.appendChild(line);
+        }
+        segment = [];
+    };
+    values.forEach((v, i) => {
+        if (v === null || v === undefined) {
+            flush();
+            return;
+        }
+        const y = stats.max === stats.min ? height / 2 : height - 2 - (v - stats.min) / range * (height - 4);
+        segment.push(`${(i * step).toFixed(1)},${y.toFixed(1)}`);
+    });
+    flush();
+
+    container.appendChild(svg);
+    container.title = `Last ${Math.round(Config.workers.sparklineWindow / 60000)}m: ${formatHashrate(stats.min)} – ${formatHashrate(stats.max)} (±${Math.round(stats.variation * 100)}%)`;
+}
+
+/**
+ * Render a worker's sparkline, reloading its history when stale
+ * @param {HTMLElement} container - Table cell
+ * @param {string} key - Worker key
+ * @param {string} algorithm - Worker algorithm (any spelling sumByAlgorithm accepts)
+ */
+export function updateWorkerSparkline(container, key, algorithm) {
+    const series = historySeries(workerScope(key), workerHistoryAlgorithm({ algorithm }));
+    const entry = sparklines.get(series) || { values: null, fetchedAt: 0, pending: false };
+    sparklines.set(series, entry);
+
+    if (entry.values && container.dataset.sparkline !== `${series}@${entry.fetchedAt}`) {
+        drawSparkline(container, entry.values);
+        container.dataset.sparkline = `${series}@${entry.fetchedAt}`;
+    }
+    if (entry.pending || Date.now() - entry.fetchedAt < Config.workers.sparklineRefresh) return;
+
+    entry.pending = true;
+    loadWorkerBuckets(series, Config.workers.sparklineWindow, 'raw', Config.workers.sparklinePoints)
+        .then(buckets => {
+            entry.values = buckets.map(b => b.v);
+            entry.fetchedAt = Date.now();
+            if (container.isConnected) {
+                drawSparkline(container, entry.values);
+                container.dataset.sparkline = `${series}@${entry.fetchedAt}`;
+            }
+        })
+        .catch(e => console.warn('Failed to load worker sparkline:', e))
+        .finally(() => {
+            entry.pending = false;
+        });
+}
+
+/**
+ * Render per-worker hashrate lines in the miner modal
+ * @param {string} address - Miner address
+ * @param {Array} workers - Workers of the address
+ * @returns {Promise<void>}
+ */
+export async function renderMinerWorkerChart(address, workers) {
+    const canvas = document.getElementById('modalWorkerChart');
+    const empty = document.getElementById('modalWorkerChartEmpty');
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    const seq = ++workerChartSeq;
+    const period = Config.workers.chartPeriod;
+    const windowMs = getPeriodWindowMs(period);
+    const resolution = getPeriodResolution(period);
+
+    // One line per worker identity
+    const unique = new Map();
+    (workers || []).forEach(worker => {
+        const key = getWorkerKey({ address, ...worker });
+        if (!unique.has(key)) unique.set(key, { address, ...worker });
+    });
+
+    const series = await Promise.all(Array.from(unique.entries()).map(async ([key, worker]) => {
+        const buckets = await loadWorkerBuckets(
+            historySeries(workerScope(key), workerHistoryAlgorithm(worker)),
+            windowMs, resolution, Config.limits.chartMaxPoints
+        );
+        return { name: key.split('|')[1] || 'worker', buckets };
+    }));
+    if (seq !== workerChartSeq || AppState.ui.currentMinerAddress !== address) return;
+
+    const withData = series.filter(s => s.buckets.some(b => b.v !== null));
+    if (AppState.ui.charts.minerWorkers) {
+        AppState.ui.charts.minerWorkers.destroy();
+        setState('ui', { charts: { ...AppState.ui.charts, minerWorkers: null } });
+    }
+    canvas.style.display = withData.length ? '' : 'none';
+    if (empty) empty.style.display = withData.length ? 'none' : '';
+    if (withData.length === 0) return;
+
+    const datasets = withData.map((s, i) => {
+        const values = s.buckets.map(b => b.v);
+        const stability = describeStability(values);
+        const color = WORKER_COLORS[i % WORKER_COLORS.length];
+        return {
+            label: `${s.name} (±${Math.round(stability.variation * 100)}%)`,
+            data: values,
+            borderColor: color,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3
+        };
+    });
+
+    const chart = new Chart(canvas, {
+        type: 'line',
+        data: { labels: withData[0].buckets.map(b => formatLabel(b.t, period)), datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            spanGaps: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { labels: { color: '#9ca3af', boxWidth: 12 } },
+                tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${formatHashrate(ctx.raw)}` } }
+            },
+            scales: {
+                x: { ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true }, grid: { display: false } },
+                y: {
+                    beginAtZero: true,
+                    ticks: { color: '#9ca3af', callback: (v) => formatHashrate(v) },
+                    grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                }
+            }
+        }
+    });
+    setState('ui', { charts: { ...AppState.ui.charts, minerWorkers: chart } });
+}
@@ -0,0 +1,369 @@
+/**
+ * Worker Monitor Component
+ * Remembers every worker seen per address, marks workers offline when they
+ * vanish from the workers list and alerts on watched workers
+ */
+
+import { Config } from '../config.js';
+import { formatHashrate, formatElapsedTime, parseHashrate } from '../utils/formatters.js';
+import { getProfileStorageKey, getWorkerKey } from '../utils/storage.js';
+import { showNotification, NotificationType } from '../utils/notifications.js';
+import { notifySystem, NotificationTopic, renderSystemNotificationSettings } from './systemNotifications.js';
+import { sendWebhookEvent, WebhookEvent } from './webhooks.js';
+
+// Event dispatched on document when a worker changes status or watch state
+export const WORKER_STATUS_EVENT = 'workers:status';
+
+// Known workers of the loaded profile { [key]: { address, name, algorithm, firstSeen, lastSeen, onlineSince, hashrate, offline, low } }
+let known = null;
+let knownKey = null;
+let lastSave = 0;
+
+function readJson(key, fallback) {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(key) || 'null');
+        return parsed && typeof parsed === 'object' ? parsed : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function writeJson(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn('Failed to persist worker monitor state:', e);
+    }
+}
+
+function loadKnown() {
+    const key = getProfileStorageKey(Config.storage.knownWorkers);
+    if (known && knownKey === key) return known;
+    knownKey = key;
+    known = readJson(key, {});
+    return known;
+}
+
+function saveKnown(force = false) {
+    const now = Date.now();
+    if (!force && now - lastSave < Config.workers.saveInterval) return;
+    lastSave = now;
+    writeJson(knownKey, known || {});
+}
+
+/**
+ * Get watched workers of the active profile
+ * @returns {Object} { [key]: { minHashrate } }
+ */
+export function getWatchedWorkers() {
+    return readJson(getProfileStorageKey(Config.storage.watchedWorkers), {});
+}
+
+function saveWatchedWorkers(watched) {
+    writeJson(getProfileStorageKey(Config.storage.watchedWorkers), watched);
+}
+
+/**
+ * Get worker alert settings
+ * System notifications are opted into in systemNotifications.js.
+ * @returns {Object} { offlineAfter }
+ */
+export function getAlertSettings() {
+    const saved = readJson(Config.storage.workerAlerts, {});
+    return {
+        offlineAfter: saved.offlineAfter > 0 ? saved.offlineAfter : Config.workers.offlineAfter
+    };
+}
+
+function saveAlertSettings(patch) {
+    writeJson(Config.storage.workerAlerts, { ...readJson(Config.storage.workerAlerts, {}), ...patch });
+}
+
+function emitStatusChange() {
+    document.dispatchEvent(new CustomEvent(WORKER_STATUS_EVENT));
+}
+
+function describeWorker(entry) {
+    const address = entry.address.length > 16
+        ? `${entry.address.substring(0, 8)}...${entry.address.slice(-6)}`
+        : entry.address;
+    return `${entry.name || 'worker'} (${address})`;
+}
+
+/**
+ * Alert about a watched worker
+ * @param {string} key - Worker key
+ * @param {Object} entry - Known worker
+ * @param {string} kind - 'offline', 'online', 'low' or 'recovered'
+ * @param {number|null} minHashrate - Threshold for hashrate alerts
+ */
+function notifyWorker(key, entry, kind, minHashrate = null) {
+    const worker = describeWorker(entry);
+    const messages = {
+        offline: [`Worker ${worker} is offline`, NotificationType.WARNING, 0],
+        online: [`Worker ${worker} is back online`, NotificationType.SUCCESS],
+        low: [`Worker ${worker} hashrate ${entry.hashrate > 0 ? formatHashrate(entry.hashrate) : '0 H/s'} is below ${formatHashrate(minHashrate)}`, NotificationType.WARNING, 0],
+        recovered: [`Worker ${worker} hashrate recovered (${formatHashrate(entry.hashrate)})`, NotificationType.SUCCESS]
+    };
+    const [message, type, duration] = messages[kind];
+    showNotification(message, type, duration);
+    notifySystem(NotificationTopic.WORKERS, 'Quai Mining Dashboard', message, `worker:${key}`);
+    if (kind === 'offline') {
+        sendWebhookEvent(WebhookEvent.WORKER_OFFLINE, message, {
+            address: entry.address,
+            worker: entry.name,
+            algorithm: entry.algorithm || null,
+            lastSeen: entry.lastSeen ? new Date(entry.lastSeen).toISOString() : null
+        });
+    }
+}
+
+/**
+ * Check a watched worker's hashrate against its threshold
+ */
+function checkHashrate(key, entry, watch, now) {
+    const min = watch?.minHashrate;
+    if (!(min > 0) || entry.offline) return;
+    // Freshly (re)connected rigs report low hashrate until the pool has shares to average
+    if (now - (entry.onlineSince || entry.firstSeen) < getAlertSettings().offlineAfter) return;
+
+    if (!entry.low && entry.hashrate < min) {
+        entry.low = true;
+        notifyWorker(key, entry, 'low', min);
+    } else if (entry.low && entry.hashrate >= min) {
+        entry.low = false;
+        notifyWorker(key, entry, 'recovered', min);
+    }
+}
+
+/**
+ * Record a workers list and detect offline workers
+ * @param {Array} workers - Workers from fetchWorkers/fetchMinerWorkers or the WebSocket
+ * @param {Object} options - Options
+ * @param {boolean} options.complete - List covers every worker of the pool (enables offline detection)
+ */
+export function trackWorkers(workers, { complete = true } = {}) {
+    if (!Array.isArray(workers)) return;
+    const all = loadKnown();
+    const watched = getWatchedWorkers();
+    const now = Date.now();
+    let changed = false;
+
+    workers.forEach(worker => {
+        const key = getWorkerKey(worker);
+        if (!key || key === '|') return;
+        let entry = all[key];
+        if (!entry) {
+            const name = worker.name || worker.workerName || worker.worker || worker.rigName || worker.rig || '';
+            entry = all[key] = {
+                address: key.split('|')[0],
+                name,
+                algorithm: worker.algorithm || '',
+                firstSeen: now,
+                lastSeen: 0,
+                onlineSince: now,
+                hashrate: 0,
+                offline: false,
+                low: false
+            };
+            changed = true;
+        }
+        // Disconnected workers (e.g. from the miner workers endpoint) are only remembered
+        if (worker.isConnected === false) return;
+
+        entry.lastSeen = now;
+        entry.hashrate = Number(worker.hashrate) || 0;
+        if (worker.algorithm) entry.algorithm = worker.algorithm;
+        if (entry.offline) {
+            entry.offline = false;
+            entry.onlineSince = now;
+            changed = true;
+            if (watched[key]) notifyWorker(key, entry, 'online');
+        }
+        checkHashrate(key, entry, watched[key], now);
+    });
+
+    if (complete) {
+        const offlineAfter = getAlertSettings().offlineAfter;
+        Object.entries(all).forEach(([key, entry]) => {
+            const silence = now - (entry.lastSeen || entry.firstSeen);
+            if (!entry.offline && silence > offlineAfter) {
+                entry.offline = true;
+                entry.low = false;
+                changed = true;
+                if (watched[key]) notifyWorker(key, entry, 'offline');
+            }
+            if (!watched[key] && silence > Config.workers.forgetAfter) {
+                delete all[key];
+                changed = true;
+            }
+        });
+    }
+
+    saveKnown(changed);
+    if (changed) emitStatusChange();
+}
+
+/**
+ * Get known workers that are currently offline
+ * @returns {Array} Workers { key, address, name, algorithm, lastSeen }
+ */
+export function getOfflineWorkers() {
+    return Object.entries(loadKnown())
+        .filter(([, entry]) => entry.offline)
+        .map(([key, entry]) => ({ key, ...entry }));
+}
+
+/**
+ * Whether a worker is watched
+ * @param {string} key - Worker key
+ * @returns {boolean} True if watched
+ */
+export function isWorkerWatched(key) {
+    return !!getWatchedWorkers()[key];
+}
+
+/**
+ * Watch or unwatch a worker
+ * @param {string} key - Worker key
+ */
+export function toggleWorkerWatch(key) {
+    const watched = getWatchedWorkers();
+    if (watched[key]) {
+        delete watched[key];
+    } else {
+        watched[key] = { minHashrate: null };
+    }
+    saveWatchedWorkers(watched);
+    emitStatusChange();
+    renderWatchedWorkers();
+}
+
+/**
+ * Set the hashrate alert threshold of a watched worker
+ * @param {string} key - Worker key
+ * @param {string} text - Threshold ("500 MH/s"); empty disables the alert
+ * @returns {boolean} False if the text is not a hashrate
+ */
+export function setWorkerMinHashrate(key, text) {
+    const watched = getWatchedWorkers();
+    if (!watched[key]) return false;
+    const value = String(text || '').trim() ? parseHashrate(text) : null;
+    if (String(text || '').trim() && value === null) return false;
+    watched[key].minHashrate = value;
+    saveWatchedWorkers(watched);
+
+    const entry = loadKnown()[key];
+    if (entry) entry.low = false;
+    return true;
+}
+
+// =====================
+// Watched Workers Modal
+// =====================
+
+/**
+ * Render the watched workers list and alert settings
+ */
+export function renderWatchedWorkers() {
+    const list = document.getElementById('watchedWorkersList');
+    if (!list) return;
+
+    const settings = getAlertSettings();
+    const minutesInput = document.getElementById('workerOfflineMinutes');
+    if (minutesInput) minutesInput.value = Math.round(settings.offlineAfter / 60000);
+    renderSystemNotificationSettings();
+
+    const all = loadKnown();
+    const watched = getWatchedWorkers();
+    const keys = Object.keys(watched);
+    list.innerHTML = '';
+
+    if (keys.length === 0) {
+        list.innerHTML = '<div class="search-result-item no-results">No watched workers. Click ☆ next to a worker to watch it.</div>';
+        return;
+    }
+
+    const now = Date.now();
+    keys.forEach(key => {
+        const entry = all[key] || { address: key.split('|')[0], name: key.split('|')[1], offline: false, lastSeen: 0, hashrate: 0 };
+        const item = document.createElement('div');
+        item.className = 'search-result-item watched-worker-item';
+
+        const info = document.createElement('div');
+        info.className = 'watched-worker-info';
+        const name = document.createElement('strong');
+        name.textContent = describeWorker(entry);
+        const status = document.createElement('span');
+        status.className = `watched-worker-status ${entry.offline ? 'offline' : 'online'}`;
+        status.textContent = entry.offline
+            ? `Offline · last seen ${entry.lastSeen ? formatElapsedTime(now - entry.lastSeen) : 'never'}`
+            : `Online · ${formatHashrate(entry.hashrate)}`;
+        info.appendChild(name);
+        info.appendChild(status);
+
+        const threshold = document.createElement('input');
+        threshold.type = 'text';
+        threshold.placeholder = 'Min hashrate (e.g. 500 MH/s)';
+        threshold.value = watched[key].minHashrate ? formatHashrate(watched[key].minHashrate) : '';
+        threshold.addEventListener('change', () => {
+            threshold.classList.toggle('invalid', !setWorkerMinHashrate(key, threshold.value));
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'modal-close-btn';
+        remove.title = 'Stop watching';
+        remove.innerHTML = '&times;';
+        remove.addEventListener('click', () => toggleWorkerWatch(key));
+
+        item.appendChild(info);
+        item.appendChild(threshold);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Open watched workers modal
+ */
+export function openWatchedWorkers() {
+    const modal = document.getElementById('watchedWorkersModal');
+    if (!modal) return;
+    renderWatchedWorkers();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Close watched workers modal
+ */
+export function closeWatchedWorkers() {
+    const modal = document.getElementById('watchedWorkersModal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Set how long a worker may be missing before it counts as offline
+ * @param {string|number} minutes - Minutes
+ */
+export function setWorkerOfflineMinutes(minutes) {
+    const value = parseFloat(minutes);
+    if (value > 0) saveAlertSettings({ offlineAfter: Math.round(value * 60000) });
+    renderWatchedWorkers();
+}
+
+/**
+ * Initialize worker monitor global functions
+ */
+export function initWorkerMonitorGlobals() {
+    window.toggleWorkerWatch = toggleWorkerWatch;
+    window.openWatchedWorkers = openWatchedWorkers;
+    window.closeWatchedWorkers = closeWatchedWorkers;
+    window.setWorkerOfflineMinutes = setWorkerOfflineMinutes;
+
+    document.addEventListener('click', (e) => {
+        if (e.target === document.getElementById('watchedWorkersModal')) closeWatchedWorkers();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeWatchedWorkers();
+    });
+}
@@ -3,87 +3,445 @@
  * Handles worker table display and updates
  */
 
-import { AppState } from '../state.js';
-import { formatHashrate } from '../utils/formatters.js';
+import { AppState, setState, subscribe, createSelector, selectWorkers } from '../state.js';
+import { Config } from '../config.js';
+import { formatHashrate, formatElapsedTime } from '../utils/formatters.js';
 import { fetchAllMiners } from '../api/poolApi.js';
+import { getWorkerKey } from '../utils/storage.js';
+import { getOfflineWorkers, getWatchedWorkers } from './workerMonitor.js';
+import { updateWorkerSparkline } from './workerHistory.js';
+
+// Rendered worker rows by key { tr, cells, signature }
+const workerRows = new Map();
+
+// Miner click callback (from initWorkersGlobals() or the last updateWorkers() call)
+let workerClickHandler = null;
+
+// Miners listed by the last updateMiners() call
+let displayedMiners = [];
+
+// Workers content that is shown (every field a worker row renders)
+export const selectWorkersKey = createSelector(
+    selectWorkers,
+    (workers) => JSON.stringify((workers || []).map(w => ({
+        a: w.address,
+        n: getWorkerName(w),
+        g: w.algorithm,
+        h: w.hashrate,
+        c: w.isConnected,
+        s: w.lastSeen
+    })))
+);
+
+// What the workers table shows: workers content plus sort, filters and page
+const selectWorkersTableView = createSelector(
+    selectWorkersKey,
+    (state) => state.ui.workersTable,
+    (...inputs) => inputs
+);
 
 /**
- * Update workers table
+ * Update cached workers (the table re-renders if what it shows changed)
  * @param {Array} workersData - Workers array
  * @param {Function} onMinerClick - Callback when miner is clicked
  */
 export function updateWorkers(workersData, onMinerClick) {
-    const tbody = document.getElementById('workersBody');
+    if (onMinerClick) workerClickHandler = onMinerClick;
+    setState('cache', { workers: workersData || [] });
+}
+
+/**
+ * Change the workers table view (sort, filters, page)
+ * @param {Object} changes - Fields of AppState.ui.workersTable
+ */
+function setWorkersTableView(changes) {
+    setState('ui', { workersTable: { ...AppState.ui.workersTable, ...changes } });
+}
+
+/**
+ * Get the display algorithm of a worker
+ * @param {Object} worker - Worker object
+ * @returns {string} 'sha256', 'scrypt', 'kawpow' or '—'
+ */
+function getWorkerAlgorithm(worker) {
+    const algoRaw = (worker.algorithm || '').toLowerCase();
+    if (algoRaw.includes('kawpow') || algoRaw.includes('progpow')) return 'kawpow';
+    if (algoRaw.includes('sha256') || algoRaw === 'sha' || algoRaw === 'sha-256') return 'sha256';
+    if (algoRaw.includes('scrypt')) return 'scrypt';
+    return '—';
+}
+
+/**
+ * Get the display name of a worker
+ * @param {Object} worker - Worker object
+ * @returns {string} Worker name ('1' when the pool reports none)
+ */
+function getWorkerName(worker) {
+    return worker.name || worker.workerName || worker.worker || worker.rigName || worker.rig || '1';
+}
+
+/**
+ * Build sortable, filterable rows from cached workers and known offline workers
+ * @returns {Array} Rows { key, workerKey, address, name, algorithm, hashrate, offline, lastSeen, watched }
+ */
+function getWorkerRows() {
+    const seen = new Map();
+    const watched = getWatchedWorkers();
+    const rows = (AppState.cache.workers || []).map(worker => {
+        // Duplicate identities still need distinct row keys
+        const baseKey = getWorkerKey(worker);
+        const n = seen.get(baseKey) || 0;
+        seen.set(baseKey, n + 1);
+        return {
+            key: n ? `${baseKey}#${n}` : baseKey,
+            workerKey: baseKey,
+            address: worker.address || '-',
+            name: getWorkerName(worker),
+            algorithm: getWorkerAlgorithm(worker),
+            hashrate: Number(worker.hashrate) || 0,
+            offline: false,
+            lastSeen: null,
+            watched: !!watched[baseKey]
+        };
+    });
     
-    // Cache workers data
-    AppState.cache.workers = workersData || [];
+    getOfflineWorkers().forEach(worker => {
+        if (seen.has(worker.key)) return;
+        rows.push({
+            key: worker.key,
+            workerKey: worker.key,
+            address: worker.address || '-',
+            name: worker.name || '1',
+            algorithm: getWorkerAlgorithm(worker),
+            hashrate: 0,
+            offline: true,
+            lastSeen: worker.lastSeen || worker.firstSeen,
+            watched: !!watched[worker.key]
+        });
+    });
+    return rows;
+}
+
+/**
+ * Apply the text/algorithm filters and sort order of the workers table
+ * @param {Array} rows - Rows from getWorkerRows() (defaults to all workers)
+ * @returns {Array} Filtered and sorted rows (every page)
+ */
+export function getFilteredWorkerRows(rows = getWorkerRows()) {
+    const view = AppState.ui.workersTable;
     
-    // Check if workers changed to prevent flickering
-    const workersHash = JSON.stringify(workersData?.map(w => ({ a: w.address, h: w.hashrate })) || []);
-    if (workersHash === AppState.hashes.workers) return;
-    AppState.hashes.workers = workersHash;
+    // Filter
+    const text = view.filter.trim().toLowerCase();
+    const filtered = rows.filter(row => {
+        if (view.algorithm !== 'all' && row.algorithm !== view.algorithm) return false;
+        if (!text) return true;
+        return row.address.toLowerCase().includes(text) || row.name.toLowerCase().includes(text);
+    });
     
+    // Sort
+    const { key, dir } = view.sort;
+    return filtered.sort((a, b) => {
+        const av = a[key];
+        const bv = b[key];
+        const cmp = typeof av === 'string' ? av.localeCompare(bv) : av - bv;
+        return dir === 'asc' ? cmp : -cmp;
+    });
+}
+
+/**
+ * Render the workers table (filter, sort, paginate, keyed row diffing)
+ */
+export function renderWorkersTable() {
+    const tbody = document.getElementById('workersBody');
     if (!tbody) return;
     
-    if (!workersData || workersData.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">No connected workers</td></tr>';
+    const view = AppState.ui.workersTable;
+    const all = getWorkerRows();
+    
+    if (all.length === 0) {
+        renderWorkersMessage(tbody, 'No connected workers');
+        renderWorkersPagination(0, 0, 0);
         return;
     }
     
-    // Build DOM safely
-    const rows = workersData.map(worker => {
+    const filtered = getFilteredWorkerRows(all);
+    const { key, dir } = view.sort;
+    
+    document.querySelectorAll('#workersTable th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === key && dir === 'asc');
+        th.classList.toggle('sorted-desc', th.dataset.sort === key && dir === 'desc');
+    });
+    
+    if (filtered.length === 0) {
+        renderWorkersMessage(tbody, 'No workers match the filter');
+        renderWorkersPagination(0, 0, 0);
+        return;
+    }
+    
+    // Paginate
+    const pageSize = Config.limits.workersPageSize;
+    const pages = Math.ceil(filtered.length / pageSize);
+    const page = Math.min(Math.max(1, view.page), pages);
+    if (page !== view.page) {
+        // The table re-renders through its subscription with the clamped page
+        setWorkersTableView({ page });
+        return;
+    }
+    const start = (page - 1) * pageSize;
+    const pageRows = filtered.slice(start, start + pageSize);
+    
+    // Drop placeholder and rows that left the page
+    const visible = new Set(pageRows.map(row => row.key));
+    Array.from(tbody.children).forEach(tr => {
+        if (!tr.dataset.key) tr.remove();
+    });
+    workerRows.forEach((entry, rowKey) => {
+        if (!visible.has(rowKey)) {
+            entry.tr.remove();
+            workerRows.delete(rowKey);
+        }
+    });
+    
+    // Update changed rows and put them in order
+    let cursor = tbody.firstChild;
+    pageRows.forEach(row => {
+        const entry = getWorkerRowElement(row);
+        if (entry.tr === cursor) {
+            cursor = cursor.nextSibling;
+        } else {
+            tbody.insertBefore(entry.tr, cursor);
+        }
+    });
+    
+    renderWorkersPagination(start + 1, start + pageRows.length, filtered.length);
+}
+
+/**
+ * Get (creating or repainting) the row element of a worker
+ * @param {Object} row - Worker row
+ * @returns {Object} { tr, cells, signature }
+ */
+function getWorkerRowElement(row) {
+    const isSmall = typeof window !== 'undefined' && window.innerWidth <= 768;
+    const lastSeen = row.offline ? formatElapsedTime(Date.now() - row.lastSeen) : '';
+    const signature = `${row.address}|${row.name}|${row.algorithm}|${row.hashrate}|${isSmall}|${lastSeen}|${row.watched}`;
+    let entry = workerRows.get(row.key);
+    
+    if (!entry) {
         const tr = document.createElement('tr');
+        tr.dataset.key = row.key;
         
         // Address column
         const td1 = document.createElement('td');
         const span = document.createElement('span');
         span.className = 'worker-name clickable-address';
-        const fullAddress = worker.address || '-';
-        const addrShort = (fullAddress && fullAddress.length > 16)
-            ? (fullAddress.substring(0, 8) + '...' + fullAddress.substring(fullAddress.length - 6))
-            : fullAddress;
-        // Show abbreviated address only on small screens
-        span.textContent = (typeof window !== 'undefined' && window.innerWidth <= 768) ? addrShort : fullAddress;
         span.title = 'Click to view miner details';
-        span.onclick = () => {
-            if (worker.address && onMinerClick) {
-                onMinerClick(worker.address);
-            }
-        };
         td1.appendChild(span);
         
-        // Worker name column
+        // Worker name column with watch toggle
         const td2 = document.createElement('td');
-        const workerName = worker.name || worker.workerName || worker.worker || worker.rigName || worker.rig || null;
-        td2.textContent = workerName || '1';
+        const watch = document.createElement('button');
+        watch.className = 'worker-watch-btn';
+        watch.onclick = (e) => {
+            e.stopPropagation();
+            window.toggleWorkerWatch(row.workerKey);
+        };
+        const name = document.createElement('span');
+        td2.appendChild(watch);
+        td2.appendChild(name);
         
-        // Algorithm column
         const td3 = document.createElement('td');
-        const algoRaw = (worker.algorithm || '').toLowerCase();
-        let algoLabel = '—';
-        if (algoRaw.includes('kawpow') || algoRaw.includes('progpow')) {
-            algoLabel = 'kawpow';
-        } else if (algoRaw.includes('sha256') || algoRaw === 'sha' || algoRaw === 'sha-256') {
-            algoLabel = 'sha256';
-        } else if (algoRaw.includes('scrypt')) {
-            algoLabel = 'scrypt';
-        }
-        td3.textContent = algoLabel;
-        
-        // Hashrate column
         const td4 = document.createElement('td');
-        td4.textContent = formatHashrate(worker.hashrate);
-        
-        tr.appendChild(td1);
-        tr.appendChild(td2);
-        tr.appendChild(td3);
-        tr.appendChild(td4);
+        const td5 = document.createElement('td');
+        td5.className = 'worker-sparkline';
+        [td1, td2, td3, td4, td5].forEach(td => tr.appendChild(td));
         
-        return tr;
+        entry = { tr, cells: { address: span, watch, name, algorithm: td3, hashrate: td4, trend: td5 }, signature: '' };
+        workerRows.set(row.key, entry);
+    }
+    
+    if (entry.signature !== signature) {
+        const fullAddress = row.address;
+        const addrShort = fullAddress.length > 16
+            ? (fullAddress.substring(0, 8) + '...' + fullAddress.substring(fullAddress.length - 6))
+            : fullAddress;
+        // Show abbreviated address only on small screens
+        entry.cells.address.textContent = isSmall ? addrShort : fullAddress;
+        entry.cells.address.onclick = () => {
+            if (fullAddress !== '-' && workerClickHandler) {
+                workerClickHandler(fullAddress);
+            }
+        };
+        entry.cells.watch.textContent = row.watched ? '★' : '☆';
+        entry.cells.watch.title = row.watched ? 'Stop watching this worker' : 'Watch this worker (offline and hashrate alerts)';
+        entry.cells.watch.classList.toggle('watched', row.watched);
+        entry.cells.name.textContent = row.name;
+        entry.cells.algorithm.textContent = row.algorithm;
+        entry.cells.hashrate.textContent = row.offline ? `Offline · ${lastSeen}` : formatHashrate(row.hashrate);
+        entry.tr.classList.toggle('worker-offline', row.offline);
+        entry.signature = signature;
+    }
+    updateWorkerSparkline(entry.cells.trend, row.workerKey, row.algorithm);
+    return entry;
+}
+
+/**
+ * Replace the workers table with a single message row
+ * @param {HTMLElement} tbody - Table body
+ * @param {string} message - Message
+ */
+function renderWorkersMessage(tbody, message) {
+    workerRows.clear();
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: #999;">${message}</td></tr>`;
+}
+
+/**
+ * Render workers pagination controls
+ * @param {number} from - First row shown (1-based)
+ * @param {number} to - Last row shown
+ * @param {number} total - Rows after filtering
+ */
+function renderWorkersPagination(from, to, total) {
+    const container = document.getElementById('workersPagination');
+    if (!container) return;
+    
+    const page = AppState.ui.workersTable.page;
+    const pages = Math.ceil(total / Config.limits.workersPageSize);
+    if (pages <= 1) {
+        container.innerHTML = total > 0 ? `<span class="miners-count">${total} worker${total !== 1 ? 's' : ''}</span>` : '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <button class="chart-control-btn" onclick="setWorkersPage(${page - 1})" ${page <= 1 ? 'disabled' : ''}>‹ Prev</button>
+        <span class="miners-count">${from}–${to} of ${total}</span>
+        <button class="chart-control-btn" onclick="setWorkersPage(${page + 1})" ${page >= pages ? 'disabled' : ''}>Next ›</button>
+    `;
+}
+
+/**
+ * Sort workers table by column (toggles direction on repeated clicks)
+ * @param {string} key - 'address', 'name', 'algorithm' or 'hashrate'
+ */
+export function sortWorkersBy(key) {
+    const { sort } = AppState.ui.workersTable;
+    setWorkersTableView({
+        sort: sort.key === key
+            ? { key, dir: sort.dir === 'asc' ? 'desc' : 'asc' }
+            : { key, dir: key === 'hashrate' ? 'desc' : 'asc' }
     });
+}
+
+/**
+ * Filter workers by address or worker name
+ * @param {string} text - Filter text
+ */
+export function filterWorkers(text) {
+    setWorkersTableView({ filter: text || '', page: 1 });
+}
+
+/**
+ * Filter workers by algorithm
+ * @param {string} algorithm - 'all', 'sha256', 'scrypt' or 'kawpow'
+ */
+export function filterWorkersByAlgorithm(algorithm) {
+    setWorkersTableView({ algorithm: algorithm || 'all', page: 1 });
+}
+
+/**
+ * Go to a workers table page
+ * @param {number} page - Page number (1-based)
+ */
+export function setWorkersPage(page) {
+    setWorkersTableView({ page });
+}
+
+/**
+ * Initialize workers table global functions and re-render the table when its store slices change
+ * @param {Function} onMinerClick - Callback when miner is clicked
+ */
+export function initWorkersGlobals(onMinerClick = null) {
+    workerClickHandler = onMinerClick;
+    window.sortWorkersBy = sortWorkersBy;
+    window.filterWorkers = filterWorkers;
+    window.filterWorkersByAlgorithm = filterWorkersByAlgorithm;
+    window.setWorkersPage = setWorkersPage;
+    subscribe(selectWorkersTableView, () => renderWorkersTable());
+}
+
+/**
+ * Apply a live worker join/leave event (from WebSocket) to cached workers
+ * @param {string} action - 'join' or 'leave'
+ * @param {Object} worker - Worker object
+ * @returns {Array} Updated workers array
+ */
+export function applyWorkerEvent(action, worker) {
+    if (!worker) return AppState.cache.workers;
     
-    tbody.innerHTML = '';
-    rows.forEach(row => tbody.appendChild(row));
+    const key = getWorkerKey(worker);
+    const workers = (AppState.cache.workers || []).filter(w => getWorkerKey(w) !== key);
+    if (action === 'join') {
+        workers.push({ hashrate: 0, ...worker, isConnected: true });
+    }
+    
+    const stats = AppState.cache.poolStats;
+    setState('cache', {
+        workers,
+        poolStats: stats ? { ...stats, workersConnected: workers.filter(w => w.isConnected !== false).length } : stats
+    });
+    return workers;
+}
+
+/**
+ * Sum connected workers and hashrate per address
+ * @returns {Map} Address -> { count, hashrate }
+ */
+function getActiveWorkersByAddress() {
+    const activeWorkersByAddress = new Map();
+    (AppState.cache.workers || []).forEach(worker => {
+        const address = worker.address;
+        if (!address || worker.isConnected === false) return;
+        if (!activeWorkersByAddress.has(address)) {
+            activeWorkersByAddress.set(address, { count: 0, hashrate: 0 });
+        }
+        const entry = activeWorkersByAddress.get(address);
+        entry.count += 1;
+        entry.hashrate += worker.hashrate || 0;
+    });
+    return activeWorkersByAddress;
+}
+
+/**
+ * Get when a miner was last seen
+ * @param {Object} miner - Miner from /api/miners
+ * @returns {number|null} Timestamp in milliseconds or null
+ */
+function getMinerLastSeen(miner) {
+    const timestamp = miner.lastSeen || miner.lastShare;
+    if (!timestamp) return null;
+    const date = typeof timestamp === 'number'
+        ? new Date(timestamp > 1e12 ? timestamp : timestamp * 1000)
+        : new Date(timestamp);
+    return isNaN(date.getTime()) ? null : date.getTime();
+}
+
+/**
+ * Get the rows of the miners table
+ * @returns {Array} Rows { address, hashrate, workers, online, lastSeen }
+ */
+export function getMinerRows() {
+    const activeWorkersByAddress = getActiveWorkersByAddress();
+    return displayedMiners.map(miner => {
+        const address = miner.address || miner.miner || '-';
+        const active = activeWorkersByAddress.get(address) || { count: 0, hashrate: 0 };
+        return {
+            address,
+            hashrate: active.hashrate,
+            workers: active.count,
+            online: active.hashrate > 0,
+            lastSeen: getMinerLastSeen(miner)
+        };
+    });
 }
 
 /**
@@ -141,27 +499,9 @@ export function updateMiners(minersData, onMinerClick, activeAddresses = null) {
     if (activeAddresses && activeAddresses.size > 0) {
         miners = miners.filter(miner => activeAddresses.has(miner.address || miner.miner));
     }
+    displayedMiners = miners;
     
-    const activeWorkersByAddress = new Map();
-    (AppState.cache.workers || []).forEach(worker => {
-        const address = worker.address;
-        if (!address || worker.isConnected === false) return;
-        if (!activeWorkersByAddress.has(address)) {
-            activeWorkersByAddress.set(address, { count: 0, hashrate: 0 });
-        }
-        const entry = activeWorkersByAddress.get(address);
-        entry.count += 1;
-        entry.hashrate += worker.hashrate || 0;
-    });
-    
-    // Check if data changed
-    const minersHash = JSON.stringify((miners || []).map(m => {
-        const addr = m.address || m.miner;
-        const active = activeWorkersByAddress.get(addr) || { count: 0, hashrate: 0 };
-        return { addr, c: active.count, h: Math.round(active.hashrate) };
-    }));
-    if (minersHash === AppState.hashes.miners) return;
-    AppState.hashes.miners = minersHash;
+    const activeWorkersByAddress = getActiveWorkersByAddress();
     
     if (miners.length === 0) {
         tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">No miners found</td></tr>';
@@ -224,15 +564,9 @@ export function updateMiners(minersData, onMinerClick, activeAddresses = null) {
             lastSeenCell.textContent = 'Online';
             lastSeenCell.style.color = '#4ade80';
         } else if (miner.lastSeen || miner.lastShare) {
-            const timestamp = miner.lastSeen || miner.lastShare;
-            let date;
-            if (typeof timestamp === 'number') {
-                date = new Date(timestamp > 1e12 ? timestamp : timestamp * 1000);
-            } else {
-                date = new Date(timestamp);
-            }
-            if (!isNaN(date.getTime())) {
-                const diff = Date.now() - date.getTime();
+            const timestamp = getMinerLastSeen(miner);
+            if (timestamp !== null) {
+                const diff = Date.now() - timestamp;
                 if (diff < 60000) {
                     lastSeenCell.textContent = 'Just now';
                     lastSeenCell.style.color = '#4ade80';
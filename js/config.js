@@ -13,7 +13,11 @@ export const Config = {
                 workers: '/api/pool/workers',
                 blocks: '/api/pool/blocks',
                 shares: '/api/pool/shares',
-                minerStats: '/api/miner/{address}/stats'
+                minerStats: '/api/miner/{address}/stats',
+                minerWorkers: '/api/miner/{address}/workers',
+                miners: '/api/miners',
+                legacyBlocks: '/api/blocks',
+                poolHistory: '/api/pool/history'
             }
         }
     },
@@ -22,7 +26,40 @@ export const Config = {
     timeouts: {
         api: 5000,
         websocket: 5000,
-        reconnect: 5000
+        // Per-endpoint overrides (keys match api.pool.endpoints); others use `api`
+        endpoints: {
+            health: 3000,
+            blocks: 8000,
+            legacyBlocks: 8000,
+            miners: 8000,
+            poolHistory: 10000
+        }
+    },
+    
+    // Retry policy for API requests (exponential backoff)
+    retry: {
+        retries: 2,
+        baseDelay: 300,
+        factor: 2,
+        maxDelay: 4000,
+        jitter: 0.3
+    },
+    
+    // WebSocket reconnect backoff, heartbeat and stale-data detection
+    websocket: {
+        reconnect: {
+            baseDelay: 1000,
+            factor: 2,
+            maxDelay: 60000,
+            jitter: 0.5
+        },
+        // Application-level ping while connected
+        heartbeatInterval: 15000,
+        // No message for this long marks live data as stale
+        staleAfter: 30000,
+        // No message for this long treats the socket as half-open and reconnects
+        // (only after the server has answered a ping on this socket)
+        deadAfter: 60000
     },
     
     // Cache durations (in milliseconds)
@@ -37,7 +74,12 @@ export const Config = {
     
     // Update intervals (in milliseconds)
     intervals: {
+        // REST polling while the WebSocket is down or stale
         dashboard: 5000,
+        // REST polling while the WebSocket delivers live data
+        dashboardLive: 15000,
+        // REST polling while the tab is hidden (keeps system notifications flowing)
+        dashboardBackground: 60000,
         charts: 60000,
         historySample: 60000
     },
@@ -46,8 +88,119 @@ export const Config = {
     limits: {
         maxRetries: 3,
         maxSharesHistory: 50,
-        historyMaxDays: 7,
-        chartMaxPoints: 30
+        chartMaxPoints: 30,
+        workersPageSize: 50
+    },
+    
+    // Quai node JSON-RPC (block explorer drill-down)
+    // No default node: the user enters the URL of their own node.
+    rpc: {
+        url: '',
+        timeout: 12000,
+        retries: 1
+    },
+    
+    // Block lifecycle
+    blocks: {
+        // Confirmations after which a block counts as matured when the server doesn't say
+        maturityDepth: 100
+    },
+    
+    // Earnings projection
+    earnings: {
+        // How often network difficulty and block reward are re-read from the node (ms)
+        networkRefresh: 5 * 60 * 1000,
+        // Confidence of the expected-blocks band
+        confidence: 0.95,
+        // Hashes per unit of stratum network difficulty (fallback when the node has none)
+        jobDifficultyScale: { sha: 4294967296, scrypt: 4294967296, kawpow: 4294967296 }
+    },
+    
+    // Worker offline detection and alerts
+    workers: {
+        // A worker missing from the workers list this long is offline (ms)
+        offlineAfter: 10 * 60 * 1000,
+        // Unwatched workers not seen this long are forgotten (ms)
+        forgetAfter: 7 * 24 * 60 * 60 * 1000,
+        // Minimum time between saves of last-seen times (ms)
+        saveInterval: 60 * 1000,
+        // Workers table sparklines: window, buckets and how often history is re-read (ms)
+        sparklineWindow: 60 * 60 * 1000,
+        sparklinePoints: 30,
+        sparklineRefresh: 60 * 1000,
+        // Period of the per-worker chart in the miner modal (key of history.periods)
+        chartPeriod: '24h'
+    },
+    
+    // System notifications through the service worker
+    systemNotifications: {
+        // Also caches the app shell for offline use
+        serviceWorker: 'sw.js',
+        // Minimum interval of the service worker's own pool check while no tab is open (ms)
+        periodicCheck: 15 * 60 * 1000
+    },
+    
+    // Rule-based alerts on pool metrics
+    alerts: {
+        // A firing rule resolves once its value is this fraction past the threshold
+        hysteresis: 0.1,
+        // Window of the stale share ratio (ms)
+        shareWindow: 15 * 60 * 1000,
+        // Window whose peak worker count a drop is measured against (ms)
+        workerWindow: 60 * 60 * 1000,
+        // Alert history entries kept per profile
+        historyLimit: 100
+    },
+    
+    // Webhook sink for block, worker and alert events
+    webhooks: {
+        timeout: 8000,
+        // Delivery retry policy (exponential backoff)
+        retry: {
+            retries: 4,
+            baseDelay: 2000,
+            factor: 2,
+            maxDelay: 60000,
+            jitter: 0.3
+        },
+        // Undelivered events kept; the oldest are dropped beyond this
+        queueLimit: 50,
+        // Delivery keys remembered across tabs so each event is sent once
+        sentLimit: 200
+    },
+    
+    // Luck and round effort
+    luck: {
+        // Closed rounds kept per profile
+        historyLimit: 200,
+        // Blocks shown in the luck chart
+        chartBlocks: 50,
+        // Blocks in the rolling average
+        rollingWindow: 10,
+        // Delay before persisting round progress (ms)
+        saveDelay: 5000
+    },
+    
+    // Time-series history (IndexedDB)
+    history: {
+        dbName: 'quai_dashboard_timeseries',
+        // Stored resolutions: bucket size (0 = raw samples) and how long each is kept
+        resolutions: {
+            raw: { bucket: 0, retentionDays: 2 },
+            '5m': { bucket: 5 * 60 * 1000, retentionDays: 14 },
+            '1h': { bucket: 60 * 60 * 1000, retentionDays: 120 },
+            '1d': { bucket: 24 * 60 * 60 * 1000, retentionDays: 1095 }
+        },
+        // Chart periods: window length and the resolution read for it
+        periods: {
+            '1h': { windowMs: 60 * 60 * 1000, resolution: 'raw' },
+            '24h': { windowMs: 24 * 60 * 60 * 1000, resolution: '5m' },
+            '7d': { windowMs: 7 * 24 * 60 * 60 * 1000, resolution: '1h' },
+            '30d': { windowMs: 30 * 24 * 60 * 60 * 1000, resolution: '1h' },
+            '90d': { windowMs: 90 * 24 * 60 * 60 * 1000, resolution: '1d' }
+        },
+        // Minimum time between prune passes (in milliseconds)
+        pruneInterval: 60 * 60 * 1000
     },
     
     // LocalStorage keys
@@ -58,7 +211,25 @@ export const Config = {
         useProxy: 'quai_dashboard_useProxy',
         chartHistory: 'quai_dashboard_chartHistory',
         addressHistory: 'quai_dashboard_addressHistory',
-        theme: 'quai_dashboard_theme'
+        historyMigrated: 'quai_dashboard_historyMigrated',
+        blockStatus: 'quai_dashboard_blockStatus',
+        rpcUrl: 'quai_dashboard_rpcUrl',
+        luck: 'quai_dashboard_luck',
+        knownWorkers: 'quai_dashboard_knownWorkers',
+        watchedWorkers: 'quai_dashboard_watchedWorkers',
+        workerAlerts: 'quai_dashboard_workerAlerts',
+        watchlist: 'quai_dashboard_watchlist',
+        alertRules: 'quai_dashboard_alertRules',
+        alertStates: 'quai_dashboard_alertStates',
+        alertHistory: 'quai_dashboard_alertHistory',
+        systemNotifications: 'quai_dashboard_systemNotifications',
+        webhook: 'quai_dashboard_webhook',
+        webhookSent: 'quai_dashboard_webhookSent',
+        theme: 'quai_dashboard_theme',
+        profiles: 'quai_dashboard_profiles',
+        activeProfile: 'quai_dashboard_activeProfile',
+        profileCache: 'quai_dashboard_profileCache',
+        routes: 'quai_dashboard_routes'
     },
     
     // UI Settings
@@ -77,6 +248,64 @@ export const Config = {
     }
 };
 
+// Route learning: hosts that only work via the proxy are re-probed directly from time to time
+Config.routing = {
+    reprobeInterval: 10 * 60 * 1000,
+    probeTimeout: 3000
+};
+
+// Fleet view: nodes polled in addition to saved connection profiles
+Config.fleet = {
+    interval: 30000,
+    nodes: [
+        { name: 'Anil 001', baseUrl: 'https://as1.anilsanwal.online' },
+        { name: 'Anil 002', baseUrl: 'https://as2.anilsanwal.online' },
+        { name: 'Anil 003', baseUrl: 'https://as3.anilsanwal.online' },
+        { name: 'Anil 004', baseUrl: 'https://as4.anilsanwal.online' },
+        { name: 'Anil 005', baseUrl: 'https://as5.anilsanwal.online' },
+        { name: 'Anil 006', baseUrl: 'https://as6.anilsanwal.online' },
+        { name: 'Naveen 001', baseUrl: 'https://n1.naveendahiya.online' },
+        { name: 'Naveen 002', baseUrl: 'https://n2.naveendahiya.online' },
+        { name: 'Naveen 003', baseUrl: 'https://n3.naveendahiya.online' },
+        { name: 'Naveen 004', baseUrl: 'https://n4.naveendahiya.online' },
+        { name: 'Naveen 005', baseUrl: 'https://n5.naveendahiya.online' },
+        { name: 'Naveen 006', baseUrl: 'https://n7.naveendahiya.online' }
+    ],
+    // Named node sets shown instead of the above with index.html?view=fleet&group=<key>
+    groups: {
+        lalit: {
+            name: 'Lalit',
+            nodes: [
+                { name: 'Anil 001', baseUrl: 'https://c1.anilsanwal.online' },
+                { name: 'Anil 002', baseUrl: 'https://c2.anilsanwal.online' },
+                { name: 'Anil 003', baseUrl: 'https://c3.anilsanwal.online' },
+                { name: 'Anil 004', baseUrl: 'https://c4.anilsanwal.online' },
+                { name: 'Anil 005', baseUrl: 'https://c5.anilsanwal.online' },
+                { name: 'Vipin 001', baseUrl: 'https://c6.anilsanwal.online' },
+                { name: 'Vipin 002', baseUrl: 'https://c7.anilsanwal.online' },
+                { name: 'Vipin 003', baseUrl: 'https://c8.anilsanwal.online' },
+                { name: 'Vipin 004', baseUrl: 'https://c9.anilsanwal.online' },
+                { name: 'Anil 006', baseUrl: 'https://c10.anilsanwal.online' },
+                { name: 'Anil 007', baseUrl: 'https://c11.anilsanwal.online' },
+                { name: 'Anil 008', baseUrl: 'https://c12.anilsanwal.online' },
+                { name: 'Anil 009', baseUrl: 'https://c13.anilsanwal.online' }
+            ]
+        },
+        naveen: {
+            name: 'Naveen',
+            nodes: [
+                { name: 'Naveen 001', baseUrl: 'https://nd1.naveendahiya.online' },
+                { name: 'Naveen 002', baseUrl: 'https://nd2.naveendahiya.online' },
+                { name: 'Naveen 003', baseUrl: 'https://nd3.naveendahiya.online' },
+                { name: 'Naveen 004', baseUrl: 'https://nd4.naveendahiya.online' },
+                { name: 'Naveen 005', baseUrl: 'https://nd5.naveendahiya.online' },
+                { name: 'Naveen 006', baseUrl: 'https://nd6.naveendahiya.online' },
+                { name: 'Naveen 007', baseUrl: 'https://nd7.naveendahiya.online' }
+            ]
+        }
+    }
+};
+
 // Proxy configuration (optional)
 // Default configured to use the existing node proxy at /api/proxy?ip=...&port=...&path=...
 Config.proxy = {
@@ -3,27 +3,53 @@
  * Quai Mining Dashboard - Modular Version
  */
 
-import { AppState, setUpdateInterval, clearUpdateInterval } from './state.js';
+import { AppState, setState, subscribe, createSelector, selectPoolStats, setUpdateInterval, clearUpdateInterval } from './state.js';
 import { Config } from './config.js';
-import { formatHashrate, formatNumber, formatUptime, hashStats } from './utils/formatters.js';
-import { initHistory, recordHistory, saveServerConfig, saveServerHost, loadServerConfig, clearServerConfig } from './utils/storage.js';
+import { formatHashrate, formatNumber, formatUptime, formatDifficulty, hashStats } from './utils/formatters.js';
+import { 
+    initHistory, recordHistory, saveServerConfig, saveServerHost, loadServerConfig, clearServerConfig,
+    migrateLegacyServerConfig, getProfile, findProfileByHost, upsertProfile, getActiveProfileId, setActiveProfileId,
+    profileToHostString, saveProfileCache, loadProfileCache, loadProfiles
+} from './utils/storage.js';
 import { 
     initNotifications, showSuccess, showError, showWarning, showInfo,
     showLoading, hideLoading, showTableSkeleton 
 } from './utils/notifications.js';
 import { isValidIP, testConnection, fetchPoolStats, fetchWorkers, fetchShareHistory, fetchPoolBlocksEndpoint, fetchMinerWorkers, fetchAllMiners } from './api/poolApi.js';
-import { updateCharts, updateChartPeriod } from './components/charts.js';
-import { updateWorkers, generateMinersFromAPI } from './components/workers.js';
-import { updateBlocks, updateQuickStats, setStatsPeriod } from './components/blocks.js';
-import { updateShareSectionFromPoolStats, updateShareStats } from './components/shares.js';
+import { updateCharts, updateChartPeriod, loadPoolHistory } from './components/charts.js';
+import { updateWorkers, generateMinersFromAPI, applyWorkerEvent, initWorkersGlobals, renderWorkersTable, selectWorkersKey } from './components/workers.js';
+import { trackWorkers, initWorkerMonitorGlobals, WORKER_STATUS_EVENT } from './components/workerMonitor.js';
+import {
+    updateBlocks, updateQuickStats, renderBlocksTable, setStatsPeriod, normalizeBlocks, trackBlockLifecycle, setBlockStatusFilter, scopeBlocks, initBlocks
+} from './components/blocks.js';
+import { updateShareSectionFromPoolStats, updateShareStats, applyShareEvent } from './components/shares.js';
 import { 
     openMinerModal, closeMinerModal, 
     openSearchModal, closeSearchModal, searchAddressInModal,
     openBlockSearchModal, closeBlockSearchModal, searchBlocksByAddress, selectBlockAddressFilter,
     initModalEventListeners 
 } from './components/modals.js';
-import { initWebSocket, closeWebSocket } from './components/websocket.js';
+import { describeApiError, ApiErrorType } from './api/client.js';
+import { Route, getHostKey, getRoute, getRouteInfo, recordRoute, shouldReprobe } from './api/routes.js';
+import { initWebSocket, closeWebSocket, getWSState, WSEvent, WSState } from './components/websocket.js';
 import { openApiDiagnostic, closeApiDiagnostic, initDiagnosticGlobals } from './components/diagnostics.js';
+import { initProfiles, renderProfileSelect } from './components/profiles.js';
+import { startFleetPolling, stopFleetPolling, initFleetGlobals } from './components/fleet.js';
+import { initBlockDetailGlobals } from './components/blockDetail.js';
+import { refreshNetworkInfo } from './components/earnings.js';
+import { recordShareWork, ingestShareHistory, updateLuckFromBlocks } from './components/luck.js';
+import {
+    isMyMinersMode, buildScopedPoolStats, refreshScopedMinerStats, renderWatchlistBar, initWatchlistGlobals, WATCHLIST_EVENT
+} from './components/watchlist.js';
+import { initExportGlobals } from './components/exports.js';
+import { initBackup } from './components/backup.js';
+import { evaluateAlerts, renderAlerts, initAlertsGlobals } from './components/alerts.js';
+import {
+    initSystemNotifications, notifySystem, notifyNewBlocks, syncServiceWorkerWatch, NotificationTopic
+} from './components/systemNotifications.js';
+import { initWebhooks } from './components/webhooks.js';
+import { initOffline, isOffline, markDataLive, markDataStale, clearDataState } from './components/offline.js';
+import { initRouter, applyRoute, parseRoute, onRouteConnected, syncRoute } from './router.js';
 
 // =====================
 // Global Exports (Immediate-Binding)
@@ -33,8 +59,10 @@ import { openApiDiagnostic, closeApiDiagnostic, initDiagnosticGlobals } from './
 try {
     window.connectToServer = connectToServer;
     window.clearConfig = clearConfig;
+    window.switchProfile = switchProfile;
     window.updateChartPeriod = updateChartPeriod;
     window.setStatsPeriod = setStatsPeriod;
+    window.setBlockStatusFilter = setBlockStatusFilter;
     window.openMinerModal = openMinerModal;
     window.closeMinerModal = closeMinerModal;
     window.openSearchModal = openSearchModal;
@@ -63,15 +91,14 @@ async function connectToServer() {
     if (connectBtn) connectBtn.disabled = true;
 
     // Prevent concurrent connection attempts
-    if (AppState.connection.isConnected || AppState.connection.isConnecting) {
+    // (connecting while connected is allowed: same host is a no-op, a different host reconnects)
+    if (AppState.connection.isConnecting) {
         hideLoading();
-        showInfo(AppState.connection.isConnected ? 'Already connected' : 'Connection in progress');
+        showInfo('Connection in progress');
         if (connectBtn) connectBtn.disabled = false;
         return;
     }
 
-    AppState.connection.isConnecting = true;
-
     let ip = '';
     let port = '';
     let inputProtocol = null;
@@ -146,6 +173,16 @@ async function connectToServer() {
     const includePort = portNum && portNum !== defaultPort;
     const newApiBase = includePort ? `${protocol}://${host}:${portNum}` : `${protocol}://${host}`;
 
+    // A manually entered host that doesn't match the active profile belongs to another profile
+    const currentProfile = getProfile(AppState.connection.profileId);
+    if (currentProfile && hostInputEl && hostInputEl.value.trim() !== profileToHostString(currentProfile)) {
+        if (AppState.connection.isConnected) saveProfileCache(currentProfile.id);
+        setActiveProfileId('');
+        setState('connection', { proxyPreference: 'auto' });
+        initHistory();
+        renderProfileSelect();
+    }
+
     // Helper: compare host and port of two URLs (ignore protocol differences)
     function sameHostPort(a, b) {
         try {
@@ -168,18 +205,22 @@ async function connectToServer() {
         return;
     }
 
+    // Set only past the early returns above; the finally of the connection attempt resets it
+    setState('connection', { isConnecting: true });
+
     // If currently connected to a different server, perform a clean disconnect first
     if (AppState.connection.isConnected && AppState.connection.apiBaseUrl !== newApiBase) {
         // stop updates and websocket before attempting new connection
         clearUpdateInterval();
         try { closeWebSocket(); } catch (e) { /* ignore */ }
-        AppState.connection.isConnected = false;
-        AppState.connection.apiBaseUrl = '';
-        AppState.connection.failureCount = 0;
+        setState('connection', { isConnected: false, apiBaseUrl: '', failureCount: 0 });
+        // Data of the previous server must not be kept as last known data of the new one
+        setState('cache', { poolStats: null });
+        clearDataState();
         updateStatus('Reconnecting...', 'loading');
     }
 
-    AppState.connection.apiBaseUrl = newApiBase;
+    setState('connection', { apiBaseUrl: newApiBase });
 
     // Decide whether proxy is required by probing a direct /health
     async function probeDirectHealth(base) {
@@ -198,13 +239,22 @@ async function connectToServer() {
     }
 
     // Default to direct; set to true if probe fails
-    AppState.connection.useProxy = false;
+    setState('connection', { useProxy: false });
+
+    // Profiles may force the route; 'auto' probes direct first
+    const proxyPreference = AppState.connection.proxyPreference || 'auto';
+
+    // A host already known to need the proxy skips the direct probe until it is due for a re-probe
+    const hostKey = getHostKey(AppState.connection.apiBaseUrl);
+    const knownProxyOnly = proxyPreference === 'auto' && getRoute(hostKey) === Route.PROXY && !shouldReprobe(hostKey);
 
     // Probe the initially constructed base; if it fails, try protocol fallback before enabling proxy
-    let directReachable = false;
-    try {
-        directReachable = await probeDirectHealth(AppState.connection.apiBaseUrl);
-    } catch (e) { directReachable = false; }
+    let directReachable = proxyPreference === 'direct';
+    if (proxyPreference === 'auto' && !knownProxyOnly) {
+        try {
+            directReachable = await probeDirectHealth(AppState.connection.apiBaseUrl);
+        } catch (e) { directReachable = false; }
+    }
 
     updateStatus('Connecting...', 'loading');
     showLoading('Connecting to server...');
@@ -212,30 +262,32 @@ async function connectToServer() {
     try {
         console.info('Attempting connection to', host, 'protocol=', protocol, 'port=', portNum, 'directReachable=', directReachable);
 
-        if (!directReachable) {
+        if (!directReachable && proxyPreference === 'auto' && !knownProxyOnly) {
             // Try the protocol fallback (http <-> https) to see if direct is available there
             const fallbackProtocol = protocol === 'https' ? 'http' : 'https';
             let fallbackUrl = port ? `${fallbackProtocol}://${host}:${port}` : `${fallbackProtocol}://${host}`;
             try {
                 const fbReachable = await probeDirectHealth(fallbackUrl);
                 if (fbReachable) {
-                    AppState.connection.apiBaseUrl = fallbackUrl;
+                    setState('connection', { apiBaseUrl: fallbackUrl });
                     directReachable = true;
                 }
             } catch (e) { /* ignore */ }
         }
 
         // If still not reachable directly, enable proxy mode (proxy must be configured in `Config.proxy`)
-        AppState.connection.useProxy = !directReachable;
+        setState('connection', { useProxy: !directReachable });
+        if (proxyPreference === 'auto') {
+            recordRoute(getHostKey(AppState.connection.apiBaseUrl), directReachable ? Route.DIRECT : Route.PROXY);
+        }
 
         // Use the higher-level testConnection which will use proxy fallback if needed
         await testConnection(AppState.connection.apiBaseUrl);
         
         hideLoading();
-        AppState.connection.isConnected = true;
-        AppState.connection.isConnecting = false;
-        AppState.connection.failureCount = 0;
+        setState('connection', { isConnected: true, isConnecting: false, failureCount: 0 });
         updateStatus('Connected', 'connected');
+        updateRouteIndicator(getRouteInfo(getHostKey(AppState.connection.apiBaseUrl)));
         showSuccess('Connected to mining pool');
         if (connectBtn) connectBtn.disabled = false;
         document.getElementById('mainContent').classList.add('active');
@@ -252,13 +304,32 @@ async function connectToServer() {
         } catch (e) {
             try { saveServerConfig(ip, port); } catch (e) {}
         }
+
+        // Every connection belongs to a profile; create one for ad-hoc hosts
+        if (!AppState.connection.profileId) {
+            const profile = findProfileByHost(host, port) || upsertProfile({
+                label: host,
+                host,
+                port: port || '',
+                protocol: inputProtocol || 'auto',
+                proxy: proxyPreference
+            });
+            setActiveProfileId(profile.id);
+            initHistory();
+            renderProfileSelect();
+        }
         
         // Show loading states for tables
-        showTableSkeleton('workersBody', Config.ui.skeletonRows, 4);
+        showTableSkeleton('workersBody', Config.ui.skeletonRows, 5);
         showTableSkeleton('blocksTableBody', Config.ui.skeletonRows, 6);
         
-        // Start auto-update
-        updateDashboard();
+        // Start auto-update; the first update replaces the skeletons even when the
+        // fetched data matches a restored snapshot (the store would skip that render)
+        updateDashboard().then(() => {
+            renderWorkersTable();
+            renderBlocksTable();
+            generateMinersFromAPI(openMinerModal);
+        });
         startUpdateInterval();
         
         // Initialize WebSocket
@@ -266,18 +337,34 @@ async function connectToServer() {
         
         // Fetch share history
         fetchShareHistory().then(data => {
-            if (data) updateShareStats(data);
+            if (!data) return;
+            ingestShareHistory(data);
+            updateShareStats(data);
         });
         
+        // Backfill pool charts from server history (if the server keeps any)
+        loadPoolHistory();
+        
+        // Open a miner from a shared link and put the server into the URL
+        onRouteConnected();
+        syncServiceWorkerWatch();
+        
     } catch (error) {
         hideLoading();
-        AppState.connection.isConnected = false;
-        AppState.connection.isConnecting = false;
-        const errorMsg = error.name === 'AbortError' 
-            ? 'Timeout - server not responding (5s)' 
-            : error.message;
+        setState('connection', { isConnected: false, isConnecting: false });
+        const errorMsg = describeApiError(error);
         
         showError(`Connection failed: ${errorMsg}`);
+        if (connectBtn) connectBtn.disabled = false;
+
+        // Keep showing the last known data of this server; it syncs once the network is back
+        if (AppState.cache.poolStats) {
+            console.warn('Connection error, showing cached data:', error);
+            markDataStale();
+            updateStatus(isOffline() ? 'Offline - showing last known data' : `${errorMsg} - showing last known data`, 'disconnected');
+            return;
+        }
+        
         updateStatus(errorMsg, 'disconnected');
         document.getElementById('mainContent').classList.remove('active');
         document.getElementById('loadingState').style.display = 'block';
@@ -290,12 +377,11 @@ async function connectToServer() {
         loadingState.appendChild(errorDiv);
         
         console.error('Connection error:', error);
-        if (connectBtn) connectBtn.disabled = false;
     }
 
     // ensure flag cleaned if function exits unexpectedly
     finally {
-        AppState.connection.isConnecting = false;
+        setState('connection', { isConnecting: false });
     }
 }
 
@@ -304,7 +390,10 @@ async function connectToServer() {
  */
 function startUpdateInterval() {
     clearUpdateInterval();
-    setUpdateInterval(setInterval(updateDashboard, Config.intervals.dashboard));
+    // Poll slower while the WebSocket pushes live data or the tab is hidden, faster while it's down or stale
+    let interval = getWSState() === WSState.LIVE ? Config.intervals.dashboardLive : Config.intervals.dashboard;
+    if (document.hidden) interval = Math.max(interval, Config.intervals.dashboardBackground);
+    setUpdateInterval(setInterval(updateDashboard, interval));
 }
 
 /**
@@ -320,17 +409,30 @@ function updateStatus(text, status) {
     statusText.textContent = text;
 }
 
+/**
+ * Show in the status bar whether data arrives direct or via the proxy
+ * @param {Object|null} info - Route info { route, rtt: { direct, proxy } } or null to hide
+ */
+function updateRouteIndicator(info) {
+    const el = document.getElementById('routeIndicator');
+    if (!el) return;
+    if (!info || !info.route || !AppState.connection.isConnected) {
+        el.style.display = 'none';
+        return;
+    }
+    const rtt = info.rtt[info.route];
+    const label = info.route === Route.PROXY ? 'Via proxy' : 'Direct';
+    el.textContent = rtt !== null && rtt !== undefined ? `${label} · ${rtt} ms` : label;
+    el.className = `route-indicator ${info.route}`;
+    el.title = `Direct: ${info.rtt.direct ?? '-'} ms · Proxy: ${info.rtt.proxy ?? '-'} ms`;
+    el.style.display = '';
+}
+
 /**
  * Clear configuration and disconnect
  */
 function clearConfig() {
-    clearUpdateInterval();
-    try { closeWebSocket(); } catch (e) { /* ignore if not open */ }
-    AppState.connection.isConnected = false;
-    AppState.connection.failureCount = 0;
-    // Clean websocket references
-    try { AppState.connection.wsConnection = null; } catch (e) {}
-    try { AppState.connection.wsReconnectTimeout && clearTimeout(AppState.connection.wsReconnectTimeout); AppState.connection.wsReconnectTimeout = null; } catch (e) {}
+    disconnect();
     // Reset input fields if present. Some builds use a single `serverHost` input.
     const hostEl = document.getElementById('serverHost');
     if (hostEl) hostEl.value = '';
@@ -338,44 +440,148 @@ function clearConfig() {
     const portEl = document.getElementById('serverPort');
     if (ipEl) ipEl.value = '';
     if (portEl) portEl.value = '';
+    
+    clearServerConfig();
+
+    // Keep saved profiles, but none is active anymore
+    setActiveProfileId('');
+    setState('connection', { proxyPreference: 'auto' });
+    renderProfileSelect();
+}
+
+/**
+ * Disconnect from the current server and reset cached data
+ * Saved configuration and profiles are left untouched.
+ */
+function disconnect() {
+    clearUpdateInterval();
+    try { closeWebSocket(); } catch (e) { /* ignore if not open */ }
+    if (AppState.connection.wsReconnectTimeout) clearTimeout(AppState.connection.wsReconnectTimeout);
+    // Clean websocket references
+    setState('connection', { isConnected: false, failureCount: 0, wsConnection: null, wsReconnectTimeout: null });
+    syncServiceWorkerWatch();
     document.getElementById('mainContent').classList.remove('active');
     document.getElementById('loadingState').style.display = 'block';
     const loadingState = document.getElementById('loadingState');
     if (loadingState) loadingState.textContent = 'Waiting for connection...';
     updateStatus('Disconnected', 'disconnected');
+    updateRouteIndicator(null);
     
-    clearServerConfig();
-    
-    AppState.connection.apiBaseUrl = '';
-    // Clear cached data and hashes so a subsequent connect performs fresh fetches
-    AppState.cache.poolStats = null;
-    AppState.cache.workers = [];
-    AppState.cache.blocks = [];
-    AppState.cache.shareStats = null;
-    AppState.cache.miners = null;
-    AppState.cache.lastPoolBlocksFetch = 0;
-    AppState.cache.lastWorkersFetch = 0;
-    AppState.cache.lastStatsFetch = 0;
-    AppState.cache.lastSharesFetch = 0;
-    AppState.cache.lastMinersFetch = 0;
-
-    AppState.hashes.stats = '';
-    AppState.hashes.workers = '';
-    AppState.hashes.blocks = '';
-    AppState.hashes.miners = '';
-    AppState.hashes.shareSummary = '';
+    setState('connection', { apiBaseUrl: '' });
+    // Clear cached data so a subsequent connect performs fresh fetches
+    setState('cache', {
+        poolStats: null,
+        workers: [],
+        blocks: [],
+        shareStats: null,
+        miners: null,
+        lastPoolBlocksFetch: 0,
+        lastWorkersFetch: 0,
+        lastStatsFetch: 0,
+        lastSharesFetch: 0,
+        lastMinersFetch: 0,
+        jobs: {}
+    });
+    clearDataState();
 
     // Reset table placeholders so UI shows loading state until next successful connect
     const wb = document.getElementById('workersBody');
-    if (wb) wb.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">Waiting for connection...</td></tr>';
+    if (wb) wb.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #999;">Waiting for connection...</td></tr>';
     const mb = document.getElementById('minersBody');
     if (mb) mb.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">Waiting for connection...</td></tr>';
     const bb = document.getElementById('blocksTableBody');
-    if (bb) bb.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">Waiting for connection...</td></tr>';
+    if (bb) bb.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #999;">Waiting for connection...</td></tr>';
 
     // Ensure connect button is enabled after clearing
     const connectBtn = document.querySelector('.btn-connect');
     if (connectBtn) connectBtn.disabled = false;
+    syncRoute({ replace: true });
+}
+
+/**
+ * Connect to a server named by a shared link
+ * Reuses the saved profile with the same host string; other hosts connect
+ * ad hoc and get a profile from connectToServer().
+ * @param {string} hostValue - Host as shown in the server input
+ * @returns {Promise<void>}
+ */
+async function connectToHost(hostValue) {
+    const profile = loadProfiles().find(p => profileToHostString(p) === hostValue);
+    if (profile) {
+        await switchProfile(profile.id, true);
+        return;
+    }
+
+    if (AppState.connection.profileId) {
+        saveProfileCache(AppState.connection.profileId);
+    }
+    disconnect();
+    setActiveProfileId('');
+    renderProfileSelect();
+    const hostEl = document.getElementById('serverHost');
+    if (hostEl) hostEl.value = hostValue;
+    await connectToServer();
+}
+
+/**
+ * Switch to a saved connection profile
+ * Stats and history of the current profile are kept in its own cache.
+ * @param {string} profileId - Profile id
+ * @param {boolean} force - Reconnect even if the profile is already active
+ */
+async function switchProfile(profileId, force = false) {
+    const profile = getProfile(profileId);
+    if (!profile) return;
+    if (!force && profile.id === AppState.connection.profileId && AppState.connection.isConnected) return;
+
+    if (AppState.connection.profileId) {
+        saveProfileCache(AppState.connection.profileId);
+    }
+    disconnect();
+
+    applyProfile(profile);
+    initHistory();
+    restoreProfileCache(profile.id);
+    renderProfileSelect();
+
+    await connectToServer();
+}
+
+/**
+ * Make a profile the active one and reflect it in the server input
+ * @param {Object} profile - Connection profile
+ */
+function applyProfile(profile) {
+    setActiveProfileId(profile.id);
+    setState('connection', { proxyPreference: profile.proxy || 'auto' });
+    const hostEl = document.getElementById('serverHost');
+    if (hostEl) hostEl.value = profileToHostString(profile);
+    renderWatchlistBar();
+    renderAlerts();
+}
+
+/**
+ * Render the last cached stats of a profile while it (re)connects
+ * @param {string} profileId - Profile id
+ * @returns {boolean} True if a snapshot was rendered
+ */
+function restoreProfileCache(profileId) {
+    const snapshot = loadProfileCache(profileId);
+    if (!snapshot || !snapshot.poolStats) return false;
+
+    document.getElementById('mainContent').classList.add('active');
+    document.getElementById('loadingState').style.display = 'none';
+
+    // Stats, workers and blocks render through their store subscriptions
+    setState('cache', {
+        poolStats: snapshot.poolStats,
+        workers: snapshot.workers || [],
+        blocks: snapshot.blocks || [],
+        shareStats: snapshot.shareStats || null
+    });
+    markDataStale(snapshot.updatedAt || snapshot.savedAt);
+    if (snapshot.shareStats) updateShareStats(snapshot.shareStats);
+    return true;
 }
 
 // =====================
@@ -385,6 +591,9 @@ function clearConfig() {
 // Track last miner address
 let lastMinerAddress = null;
 
+// Last time the active profile snapshot was persisted
+let lastProfileCacheSave = 0;
+
 /**
  * Update dashboard data
  * Optimized to avoid redundant API calls
@@ -393,26 +602,14 @@ async function updateDashboard() {
     if (!AppState.connection.isConnected || !AppState.connection.apiBaseUrl) return;
     
     try {
-        // Fetch pool stats (has internal caching)
+        // Fetch pool stats (has internal caching); the view re-renders only when they changed
         const stats = await fetchPoolStats(true); // Force refresh for dashboard update
+        recordPoolStats(stats);
         
-        // Check if stats changed before updating UI
-        const newHash = hashStats(stats);
-        if (newHash !== AppState.hashes.stats) {
-            AppState.hashes.stats = newHash;
-            updatePoolStats(stats);
-        }
-        
-        // Fetch workers (has internal caching)
+        // Fetch workers (has internal caching); tables and miners re-render only when they changed
         const workers = await fetchWorkers(true); // Force refresh for dashboard update
-        
-        // Only update UI if workers changed
-        const workersHash = JSON.stringify(workers?.map(w => ({ a: w.address, h: w.hashrate })) || []);
-        if (workersHash !== AppState.hashes.workers) {
-            updateWorkers(workers, openMinerModal);
-            // Try to fetch miners from API, fallback to generating from workers
-            generateMinersFromAPI(openMinerModal);
-        }
+        trackWorkers(workers || []);
+        updateWorkers(workers, openMinerModal);
         
         // Fetch blocks from pool API (/api/pool/blocks)
         const now = Date.now();
@@ -422,43 +619,63 @@ async function updateDashboard() {
             try {
                 const blocksData = await fetchPoolBlocksEndpoint();
                 if (blocksData) {
-                    const poolBlocks = Array.isArray(blocksData)
-                        ? blocksData
-                        : (blocksData.blocks || blocksData.matured || []);
-                    AppState.cache.blocks = poolBlocks;
+                    const poolBlocks = normalizeBlocks(blocksData);
+                    trackBlockLifecycle(poolBlocks);
+                    notifyNewBlocks(poolBlocks);
+                    updateLuckFromBlocks(poolBlocks);
                     updateBlocks(poolBlocks);
-                    updateQuickStats(poolBlocks);
-                    AppState.cache.lastPoolBlocksFetch = now;
+                    setState('cache', { lastPoolBlocksFetch: now });
                 }
             } catch (e) {
-                if (AppState.cache.blocks && AppState.cache.blocks.length > 0) {
-                    updateBlocks(AppState.cache.blocks);
-                    updateQuickStats(AppState.cache.blocks);
-                }
-            }
-        } else {
-            // Use cached blocks if available
-            if (AppState.cache.blocks && AppState.cache.blocks.length > 0) {
-                updateBlocks(AppState.cache.blocks);
-                updateQuickStats(AppState.cache.blocks);
+                // Keep showing the cached blocks
+                console.warn('Failed to fetch pool blocks:', e);
             }
         }
 
+        // Node difficulty and reward for the earnings projection (throttled)
+        refreshNetworkInfo();
+
+        // Share counters of pinned addresses for "My Miners" mode (cached per miner)
+        if (isMyMinersMode()) refreshScopedMinerStats().then(scheduleLiveStatsRender);
+        
         // Refresh share history (cached)
         fetchShareHistory().then(data => {
-            if (data) updateShareStats(data);
+            if (!data) return;
+            ingestShareHistory(data);
+            updateShareStats(data);
         });
         
         // Reset failure count on success
-        AppState.connection.failureCount = 0;
+        if (AppState.connection.failureCount >= Config.limits.maxRetries) {
+            notifySystem(NotificationTopic.CONNECTION, 'Pool connection restored', AppState.connection.apiBaseUrl, 'connection');
+            updateStatus('Connected', 'connected');
+        }
+        setState('connection', { failureCount: 0 });
+        markDataLive();
+
+        // Persist a snapshot for this profile (throttled like history sampling)
+        if (now - lastProfileCacheSave >= Config.intervals.historySample) {
+            lastProfileCacheSave = now;
+            saveProfileCache();
+        }
         
     } catch (error) {
         console.error('Dashboard update error:', error);
-        AppState.connection.failureCount++;
+        setState('connection', { failureCount: AppState.connection.failureCount + 1 });
+        markDataStale();
         
         if (AppState.connection.failureCount >= Config.limits.maxRetries) {
-            showWarning('Connection unstable - retrying...');
-            updateStatus('Connection lost - retrying...', 'loading');
+            const statusByType = {
+                [ApiErrorType.TIMEOUT]: 'Server not responding - retrying...',
+                [ApiErrorType.HTTP]: `Server error (HTTP ${error.status}) - retrying...`,
+                [ApiErrorType.NETWORK]: 'Server unreachable (network/CORS) - retrying...',
+                [ApiErrorType.PROXY]: 'Proxy unreachable - retrying...'
+            };
+            showWarning(`Connection unstable - ${describeApiError(error)}`);
+            if (AppState.connection.failureCount === Config.limits.maxRetries) {
+                notifySystem(NotificationTopic.CONNECTION, 'Pool connection lost', describeApiError(error), 'connection');
+            }
+            updateStatus(statusByType[error.type] || 'Connection lost - retrying...', 'loading');
         }
     }
 }
@@ -483,13 +700,14 @@ function createSideDrawer() {
         <h4>Views</h4>
         <div class="view-list">
             <button onclick="showMainView()">Solo Mining Dashboard</button>
+            <button onclick="switchToView('fleet')">Fleet View</button>
             <button onclick="switchToView('controller')">Controller View</button>
         </div>
     `;
     document.body.appendChild(drawer);
 }
 
-function switchToView(name) {
+function switchToView(name, group = null) {
     const drawer = document.getElementById('sideDrawer');
     if (drawer) drawer.classList.remove('open');
     if (name === 'controller') {
@@ -501,18 +719,31 @@ function switchToView(name) {
         document.getElementById('altTitle').textContent = 'Controller View';
         main.style.display = 'none';
         alt.style.display = 'block';
+    } else if (name === 'fleet') {
+        const fleet = document.getElementById('fleetContent');
+        if (!fleet) return;
+        document.getElementById('mainContent').style.display = 'none';
+        document.getElementById('loadingState').style.display = 'none';
+        fleet.style.display = 'block';
+        startFleetPolling(group);
     }
 }
 
 function showMainView() {
     const alt = document.getElementById('altContent');
     const main = document.getElementById('mainContent');
+    const fleet = document.getElementById('fleetContent');
     const drawer = document.getElementById('sideDrawer');
     if (drawer) drawer.classList.remove('open');
     const iframe = document.getElementById('secondaryView');
     if (iframe) iframe.src = '';
-    alt.style.display = 'none';
-    main.style.display = 'block';
+    if (alt) alt.style.display = 'none';
+    if (fleet) fleet.style.display = 'none';
+    stopFleetPolling();
+    main.style.display = '';
+    if (!AppState.connection.isConnected) {
+        document.getElementById('loadingState').style.display = 'block';
+    }
 }
 
 // expose to global for inline handlers
@@ -523,52 +754,99 @@ try {
 } catch (e) {}
 
 /**
- * Update pool statistics display
+ * Record fetched pool stats into history and evaluate alert rules
+ * Cached snapshots are rendered but never recorded.
  * @param {Object} stats - Pool stats
  */
-function updatePoolStats(stats) {
-    // Cache stats
-    AppState.cache.poolStats = stats;
+function recordPoolStats(stats) {
+    if (!stats) return;
+    recordHistory(stats);
+    evaluateAlerts(stats);
+}
+
+/**
+ * Render the cached pool statistics
+ */
+function renderPoolStats() {
+    const stats = AppState.cache.poolStats;
+    if (!stats) return;
+    
+    // "My Miners" mode shows the pinned addresses; history always records the pool
+    const view = isMyMinersMode()
+        ? buildScopedPoolStats(stats, scopeBlocks(AppState.cache.blocks).length)
+        : stats;
     
     // Basic stats
-    document.getElementById('nodeName').textContent = stats.nodeName || '-';
-    document.getElementById('workersConnected').textContent = stats.workersConnected || 0;
+    document.getElementById('nodeName').textContent = view.nodeName || '-';
+    document.getElementById('workersConnected').textContent = view.workersConnected || 0;
     
     const totalHashEl = document.getElementById('totalHashrate');
     if (totalHashEl) {
-        totalHashEl.textContent = formatHashrate(stats.hashrate);
+        totalHashEl.textContent = formatHashrate(view.hashrate);
     }
     
-    document.getElementById('blocksFound').textContent = stats.blocksFound || 0;
+    document.getElementById('blocksFound').textContent = view.blocksFound || 0;
     
     // Share stats
-    document.getElementById('sharesValid').textContent = formatNumber(stats.sharesValid);
-    document.getElementById('sharesStale').textContent = formatNumber(stats.sharesStale);
-    document.getElementById('sharesInvalid').textContent = formatNumber(stats.sharesInvalid);
-    document.getElementById('uptime').textContent = formatUptime(stats.uptime);
+    document.getElementById('sharesValid').textContent = formatNumber(view.sharesValid);
+    document.getElementById('sharesStale').textContent = formatNumber(view.sharesStale);
+    document.getElementById('sharesInvalid').textContent = formatNumber(view.sharesInvalid);
+    document.getElementById('uptime').textContent = formatUptime(view.uptime);
     
     // Update Share History section
-    updateShareSectionFromPoolStats(stats);
+    updateShareSectionFromPoolStats(view);
     
     // Algorithm stats
-    if (stats.sha256) {
-        document.getElementById('shaHashrate').textContent = formatHashrate(stats.sha256.hashrate);
-        document.getElementById('shaWorkers').textContent = stats.sha256.workers || 0;
+    if (view.sha256) {
+        document.getElementById('shaHashrate').textContent = formatHashrate(view.sha256.hashrate);
+        document.getElementById('shaWorkers').textContent = view.sha256.workers || 0;
     }
     
-    if (stats.scrypt) {
-        document.getElementById('scryptHashrate').textContent = formatHashrate(stats.scrypt.hashrate);
-        document.getElementById('scryptWorkers').textContent = stats.scrypt.workers || 0;
+    if (view.scrypt) {
+        document.getElementById('scryptHashrate').textContent = formatHashrate(view.scrypt.hashrate);
+        document.getElementById('scryptWorkers').textContent = view.scrypt.workers || 0;
     }
     
-    if (stats.kawpow) {
-        document.getElementById('kawpowHashrate').textContent = formatHashrate(stats.kawpow.hashrate);
-        document.getElementById('kawpowWorkers').textContent = stats.kawpow.workers || 0;
+    if (view.kawpow) {
+        document.getElementById('kawpowHashrate').textContent = formatHashrate(view.kawpow.hashrate);
+        document.getElementById('kawpowWorkers').textContent = view.kawpow.workers || 0;
     }
     
-    // Record history and update charts
-    recordHistory(stats);
-    updateCharts(stats);
+    updateCharts(view);
+}
+
+// Pending frame for coalesced live share renders
+let liveStatsFrame = null;
+
+/**
+ * Re-render pool stats after changes (at most once per frame)
+ */
+function scheduleLiveStatsRender() {
+    if (liveStatsFrame) return;
+    liveStatsFrame = requestAnimationFrame(() => {
+        liveStatsFrame = null;
+        renderPoolStats();
+    });
+}
+
+// Shown pool stats; re-rendered only when their content changes
+const selectPoolStatsKey = createSelector(selectPoolStats, hashStats);
+
+/**
+ * Update per-algorithm difficulty from the latest jobs
+ */
+function updateJobInfo() {
+    const ids = { sha256: 'shaDifficulty', sha: 'shaDifficulty', scrypt: 'scryptDifficulty', kawpow: 'kawpowDifficulty' };
+    Object.entries(AppState.cache.jobs).forEach(([algorithm, job]) => {
+        const el = document.getElementById(ids[algorithm]);
+        if (!el) return;
+        el.textContent = formatDifficulty(job.difficulty ?? job.networkDifficulty);
+        el.title = [
+            job.networkDifficulty !== null ? `Network: ${formatDifficulty(job.networkDifficulty)}` : '',
+            job.height ? `Height: ${job.height}` : '',
+            job.jobId ? `Job: ${job.jobId}` : ''
+        ].filter(Boolean).join(' · ');
+    });
 }
 
 /**
@@ -603,13 +881,24 @@ function init() {
     // Initialize notification system
     initNotifications();
     
-    // Initialize history storage
-    initHistory();
+    // Convert a legacy single saved host into a profile
+    migrateLegacyServerConfig();
+    const activeProfile = getProfile(getActiveProfileId());
+    if (activeProfile) {
+        setState('connection', { profileId: activeProfile.id, proxyPreference: activeProfile.proxy || 'auto' });
+    }
+    
+    // Initialize history storage (per active profile); redraw once legacy history is migrated
+    initHistory().then(() => {
+        if (AppState.cache.poolStats) updateCharts(AppState.cache.poolStats);
+    });
     
     // Load saved configuration
     const config = loadServerConfig();
     const hostEl = document.getElementById('serverHost');
-    if (hostEl) {
+    if (hostEl && activeProfile) {
+        hostEl.value = profileToHostString(activeProfile);
+    } else if (hostEl) {
         if (config.host) {
             // If stored host equals default host plus default port, show without port
             try {
@@ -657,33 +946,133 @@ function init() {
     
     // Initialize modal event listeners
     initModalEventListeners();
+
+    // Views render from the store; subscribe before a cached snapshot is restored
+    initBlocks();
+    initWorkersGlobals(openMinerModal);
+    subscribe(selectPoolStatsKey, scheduleLiveStatsRender);
+    subscribe(selectWorkersKey, () => {
+        // Try to fetch miners from API, fallback to generating from workers
+        if (AppState.connection.isConnected) generateMinersFromAPI(openMinerModal);
+    });
+
+    // Initialize connection profiles
+    initProfiles(switchProfile);
+    if (activeProfile) restoreProfileCache(activeProfile.id);
     
     // Initialize diagnostic globals
     initDiagnosticGlobals();
+    initFleetGlobals();
+    initBlockDetailGlobals();
+    initWorkerMonitorGlobals();
+    initWatchlistGlobals();
+    initExportGlobals();
+    initAlertsGlobals();
+    initSystemNotifications();
+    initWebhooks();
+    initOffline(() => {
+        // Back online: refresh now, or retry the connection that failed while offline
+        if (AppState.connection.isConnected) {
+            updateDashboard();
+            startUpdateInterval();
+        } else if (!AppState.connection.isConnecting && AppState.cache.poolStats) {
+            connectToServer();
+        }
+    });
+    initBackup(() => {
+        renderProfileSelect();
+        renderPoolStats();
+    });
+    
+    // Shareable deep links (#server=...&miner=...&blocks=...&chart=...&stats=...)
+    initRouter({
+        getHost: () => (document.getElementById('serverHost')?.value || '').trim(),
+        connect: connectToHost,
+        openMiner: openMinerModal,
+        closeMiner: closeMinerModal,
+        setBlockFilter: selectBlockAddressFilter,
+        setChartPeriod: (period) => updateChartPeriod(null, period),
+        setStatsPeriod
+    });
+    const route = parseRoute();
+    const routeConnects = !!route.host && route.host !== (hostEl?.value || '').trim();
+    applyRoute(route).catch(e => console.warn('Failed to apply route:', e));
+
+    // Fleet links that replace the former iframe pages (index.html?view=fleet&group=<key>)
+    const pageParams = new URLSearchParams(window.location.search);
+    if (pageParams.get('view') === 'fleet') switchToView('fleet', pageParams.get('group'));
 
     // Live updates from WebSocket
-    document.addEventListener('ws:update', (event) => {
+    document.addEventListener(WSEvent.UPDATE, (event) => {
         const detail = event.detail || {};
         if (detail.pool) {
-            updatePoolStats(detail.pool);
+            setState('cache', { poolStats: detail.pool });
+            recordPoolStats(detail.pool);
         }
         if (detail.workers) {
+            trackWorkers(detail.workers);
             updateWorkers(detail.workers, openMinerModal);
-            generateMinersFromAPI(openMinerModal);
         }
     });
     
-    // Handle page visibility changes
-    document.addEventListener('visibilitychange', () => {
-        if (document.hidden) {
-            clearUpdateInterval();
-        } else {
-            if (AppState.connection.isConnected && AppState.connection.apiBaseUrl) {
-                updateDashboard();
-                startUpdateInterval();
-            }
+    document.addEventListener(WSEvent.STATE, (event) => {
+        if (!AppState.connection.isConnected || document.hidden) return;
+        const { state, previous } = event.detail || {};
+        // Stale <-> down changes neither the polling speed nor what was missed
+        if (state !== WSState.LIVE && previous !== WSState.LIVE) return;
+        // Catch up immediately when live data stops
+        if (previous === WSState.LIVE) updateDashboard();
+        startUpdateInterval();
+    });
+    document.addEventListener(WSEvent.SHARE, (event) => {
+        const share = event.detail?.share;
+        recordShareWork(share);
+        applyShareEvent(share);
+    });
+    document.addEventListener(WSEvent.WORKER, (event) => {
+        const { action, worker } = event.detail || {};
+        applyWorkerEvent(action, worker);
+    });
+    // Pinned addresses or "My Miners" mode changed: re-scope stats, charts, blocks and shares
+    document.addEventListener(WATCHLIST_EVENT, () => {
+        renderPoolStats();
+        renderBlocksTable();
+        updateQuickStats();
+        refreshScopedMinerStats().then(scheduleLiveStatsRender);
+    });
+    
+    // Offline workers and watch toggles change table rows without a workers update
+    document.addEventListener(WORKER_STATUS_EVENT, () => renderWorkersTable());
+    document.addEventListener(WSEvent.JOB, (event) => {
+        const job = event.detail?.job;
+        if (!job) return;
+        setState('cache', { jobs: { ...AppState.cache.jobs, [job.algorithm]: job } });
+        updateJobInfo();
+    });
+    document.addEventListener(WSEvent.BLOCK, () => {
+        // Refetch blocks on the next update tick
+        setState('cache', { lastPoolBlocksFetch: 0 });
+    });
+    
+    // Route (direct/proxy) and round-trip updates for the connected server
+    document.addEventListener('api:route', (event) => {
+        const detail = event.detail || {};
+        if (AppState.connection.apiBaseUrl && detail.host === getHostKey(AppState.connection.apiBaseUrl)) {
+            updateRouteIndicator(detail);
         }
     });
+
+    // Keep the active profile snapshot when leaving the page
+    window.addEventListener('pagehide', () => {
+        if (AppState.connection.isConnected) saveProfileCache();
+    });
+
+    // Handle page visibility changes (hidden tabs keep polling slowly for notifications)
+    document.addEventListener('visibilitychange', () => {
+        if (!AppState.connection.isConnected || !AppState.connection.apiBaseUrl) return;
+        if (!document.hidden) updateDashboard();
+        startUpdateInterval();
+    });
     
     // Auto-connect if saved config exists or host field contains a value
     let shouldAutoConnect = false;
@@ -699,11 +1088,11 @@ function init() {
     try {
         const stored = localStorage.getItem(Config.storage.useProxy);
         if (stored === 'true' || stored === 'false') {
-            AppState.connection.useProxy = stored === 'true';
+            setState('connection', { useProxy: stored === 'true' });
         }
     } catch (e) { /* ignore */ }
 
-    if (shouldAutoConnect) {
+    if (shouldAutoConnect && !routeConnects) {
         showInfo('Auto-connecting to saved server...');
         setTimeout(connectToServer, 500);
     }
@@ -720,6 +1109,7 @@ window.addEventListener('load', init);
 export {
     connectToServer,
     clearConfig,
+    switchProfile,
     updateDashboard,
     updateStatus
 };
@@ -0,0 +1,169 @@
+/**
+ * URL Hash Router
+ * Mirrors shareable UI state (server, miner modal, block filter, chart and
+ * stats periods) in location.hash and restores it on load and back/forward
+ */
+
+import { AppState } from './state.js';
+import { Config } from './config.js';
+
+// Stats periods offered by setStatsPeriod()
+const STATS_PERIODS = ['1h', '24h', '7d'];
+const DEFAULT_STATS_PERIOD = '1h';
+
+// Handlers registered by initRouter()
+let handlers = null;
+
+// True while a route is applied (the resulting state changes must not push entries)
+let applying = false;
+
+// Miner from the URL waiting for the connection
+let pendingMiner = null;
+
+/**
+ * Parse a location hash
+ * Unknown periods are dropped so a bad link falls back to defaults.
+ * @param {string} hash - Hash ("#server=...&miner=...")
+ * @returns {Object} Route { host, miner, blocks, chart, stats } (null when absent)
+ */
+export function parseRoute(hash = window.location.hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#\/?/, ''));
+    const chart = params.get('chart');
+    const stats = params.get('stats');
+    return {
+        host: params.get('server') || null,
+        miner: params.get('miner') || null,
+        blocks: params.get('blocks') || null,
+        chart: Config.history.periods[chart] ? chart : null,
+        stats: STATS_PERIODS.includes(stats) ? stats : null
+    };
+}
+
+/**
+ * Build a location hash (default periods are left out)
+ * @param {Object} route - Route { host, miner, blocks, chart, stats }
+ * @returns {string} Hash, '' for the default view
+ */
+export function buildRoute(route) {
+    const params = new URLSearchParams();
+    if (route.host) params.set('server', route.host);
+    if (route.miner) params.set('miner', route.miner);
+    if (route.blocks) params.set('blocks', route.blocks);
+    if (route.chart && route.chart !== Config.defaults.chartPeriod) params.set('chart', route.chart);
+    if (route.stats && route.stats !== DEFAULT_STATS_PERIOD) params.set('stats', route.stats);
+    const query = params.toString();
+    return query ? `#${query}` : '';
+}
+
+/**
+ * Get the route of the current UI state
+ * @returns {Object} Route
+ */
+function currentRoute() {
+    const connected = AppState.connection.isConnected || AppState.connection.isConnecting;
+    return {
+        host: connected ? handlers.getHost() : null,
+        miner: AppState.ui.currentMinerAddress,
+        blocks: AppState.ui.currentBlockAddressFilter,
+        chart: AppState.ui.currentChartPeriod,
+        stats: AppState.ui.currentStatsPeriod
+    };
+}
+
+/**
+ * Reflect the current UI state in the URL
+ * @param {Object} options - Options
+ * @param {boolean} options.replace - Replace the current history entry instead of pushing one
+ */
+export function syncRoute({ replace = false } = {}) {
+    if (!handlers || applying) return;
+    const hash = buildRoute(currentRoute());
+    if (hash === buildRoute(parseRoute())) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (replace) {
+        window.history.replaceState(null, '', url);
+    } else {
+        window.history.pushState(null, '', url);
+    }
+}
+
+/**
+ * Restore UI state from a route
+ * Periods and the block filter apply at once; the miner modal waits for
+ * the connection when the route names another server (see onRouteConnected).
+ * @param {Object} route - Route (defaults to the current hash)
+ * @returns {Promise<void>}
+ */
+export async function applyRoute(route = parseRoute()) {
+    if (!handlers) return;
+
+    applying = true;
+    try {
+        const chart = route.chart || Config.defaults.chartPeriod;
+        if (chart !== AppState.ui.currentChartPeriod) handlers.setChartPeriod(chart);
+
+        const stats = route.stats || DEFAULT_STATS_PERIOD;
+        if (stats !== AppState.ui.currentStatsPeriod) handlers.setStatsPeriod(stats);
+
+        if (route.blocks !== AppState.ui.currentBlockAddressFilter) handlers.setBlockFilter(route.blocks);
+    } finally {
+        applying = false;
+    }
+
+    if (route.host && route.host !== handlers.getHost()) {
+        pendingMiner = route.miner;
+        await handlers.connect(route.host);
+        return;
+    }
+
+    applying = true;
+    try {
+        if (!route.miner) {
+            pendingMiner = null;
+            if (AppState.ui.currentMinerAddress) handlers.closeMiner();
+        } else if (!AppState.connection.isConnected) {
+            pendingMiner = route.miner;
+        } else if (route.miner !== AppState.ui.currentMinerAddress) {
+            handlers.openMiner(route.miner);
+        }
+    } finally {
+        applying = false;
+    }
+}
+
+/**
+ * Open the miner from the URL once connected and record the connected server
+ */
+export function onRouteConnected() {
+    if (!handlers) return;
+    if (pendingMiner) {
+        const miner = pendingMiner;
+        pendingMiner = null;
+        applying = true;
+        try {
+            handlers.openMiner(miner);
+        } finally {
+            applying = false;
+        }
+    }
+    syncRoute({ replace: true });
+}
+
+/**
+ * Initialize the router
+ * @param {Object} routeHandlers - Handlers
+ * @param {Function} routeHandlers.getHost - Returns the current server host string
+ * @param {Function} routeHandlers.connect - Connects to a host string (async)
+ * @param {Function} routeHandlers.openMiner - Opens the miner modal for an address
+ * @param {Function} routeHandlers.closeMiner - Closes the miner modal
+ * @param {Function} routeHandlers.setBlockFilter - Sets the block address filter (null clears)
+ * @param {Function} routeHandlers.setChartPeriod - Sets the chart period
+ * @param {Function} routeHandlers.setStatsPeriod - Sets the stats period
+ */
+export function initRouter(routeHandlers) {
+    handlers = routeHandlers;
+    window.addEventListener('popstate', () => {
+        applyRoute().catch(e => console.warn('Failed to apply route:', e));
+    });
+}
@@ -1,6 +1,8 @@
 /**
  * Centralized State Management
- * Single source of truth for the application
+ * Single source of truth for the application: an observable store. Read the
+ * state through AppState or selectors, change it only through setState(),
+ * and re-render from subscribe() listeners that fire when their slice changes.
  */
 
 // Application State
@@ -12,6 +14,9 @@ export const AppState = {
         // Default to false and detect when proxy is required at connect time
         useProxy: false,
         apiBaseUrl: '',
+        // Active connection profile and its proxy preference ('auto', 'direct' or 'proxy')
+        profileId: null,
+        proxyPreference: 'auto',
         wsConnection: null,
         wsReconnectTimeout: null,
         failureCount: 0
@@ -29,16 +34,25 @@ export const AppState = {
         lastWorkersFetch: 0,
         lastStatsFetch: 0,
         lastSharesFetch: 0,
-        lastMinersFetch: 0
+        lastMinersFetch: 0,
+        // When the shown stats, workers and blocks were last fetched live (ms), null when nothing is shown
+        updatedAt: null,
+        fleet: [],
+        lastFleetFetch: 0,
+        // Latest stratum job per algorithm (from WebSocket job/difficulty messages)
+        jobs: {},
+        // Network difficulty and block reward from the node { height, difficulty, reward, fetchedAt }
+        network: null,
+        lastNetworkFetch: 0
     },
     
     // History Data
     history: {
-        chart: { sha: [], scrypt: [], kawpow: [] },
-        address: {},
+        // Samples live in the IndexedDB time-series store (js/utils/timeseries.js)
         serverCache: {},
         serverAvailable: null,
-        lastRecord: 0
+        lastRecord: 0,
+        lastPrune: 0
     },
     
     // UI State
@@ -47,37 +61,100 @@ export const AppState = {
         currentStatsPeriod: '1h',
         currentPerformanceFilter: null,
         currentBlockAddressFilter: null,
+        // Block status filter ('all', 'pending', 'matured', 'orphaned', 'uncle', 'unknown')
+        blockStatusFilter: 'all',
         currentMinerAddress: null,
+        fleetSort: { key: 'name', dir: 'asc' },
+        // Workers table view (sort column, text/algorithm filters, 1-based page)
+        workersTable: { sort: { key: 'hashrate', dir: 'desc' }, filter: '', algorithm: 'all', page: 1 },
         charts: {}
-    },
-    
-    // Hashes for change detection (prevent flickering)
-    hashes: {
-        stats: '',
-        workers: '',
-        blocks: '',
-        miners: '',
-        shareSummary: ''
     }
 };
 
-// Constants
-export const Constants = {
-    API_TIMEOUT: 5000,
-    MAX_RETRIES: 3,
-    UPDATE_INTERVAL: 5000,
-    HISTORY_SAMPLE_MS: 60000,
-    HISTORY_MAX_DAYS: 7,
-    MAX_SHARES_HISTORY: 50,
-    STORAGE_KEYS: {
-        SERVER_IP: 'serverIp',
-        SERVER_PORT: 'serverPort',
-        CHART_HISTORY: 'chartHistory',
-        ADDRESS_HISTORY: 'addressChartHistory'
-    }
-};
+// =====================
+// Store
+// =====================
+
+// Active subscriptions { selector, listener, equals, value }
+const subscriptions = new Set();
+
+/**
+ * Notify subscribers whose selected value changed
+ */
+function notify() {
+    subscriptions.forEach(subscription => {
+        if (!subscriptions.has(subscription)) return;
+        const value = subscription.selector(AppState);
+        if (subscription.equals(value, subscription.value)) return;
+        const previous = subscription.value;
+        subscription.value = value;
+        try {
+            subscription.listener(value, previous);
+        } catch (e) {
+            console.error('State listener failed:', e);
+        }
+    });
+}
+
+/**
+ * Change a state slice
+ * Values are replaced, not merged: pass a new object or array to change a
+ * nested value. Subscribers are notified once if anything changed.
+ * @param {string} slice - 'connection', 'cache', 'history' or 'ui'
+ * @param {Object} changes - Keys of the slice and their new values
+ */
+export function setState(slice, changes) {
+    const target = AppState[slice];
+    if (!target) throw new Error(`Unknown state slice: ${slice}`);
+    let changed = false;
+    Object.entries(changes).forEach(([key, value]) => {
+        if (Object.is(target[key], value)) return;
+        target[key] = value;
+        changed = true;
+    });
+    if (changed) notify();
+}
+
+/**
+ * Subscribe to a selected part of the state
+ * The listener runs after a setState() that changed the selected value.
+ * @param {Function} selector - (state) => value
+ * @param {Function} listener - (value, previous) => void
+ * @param {Object} options - { equals: (a, b) => boolean } (default Object.is)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(selector, listener, { equals = Object.is } = {}) {
+    const subscription = { selector, listener, equals, value: selector(AppState) };
+    subscriptions.add(subscription);
+    return () => subscriptions.delete(subscription);
+}
+
+/**
+ * Create a memoized selector
+ * The last argument combines the values of the input selectors; it only
+ * runs again when one of them returns a different value.
+ * @param {...Function} args - Input selectors followed by the combiner
+ * @returns {Function} Selector
+ */
+export function createSelector(...args) {
+    const combiner = args.pop();
+    let lastInputs = null;
+    let lastValue;
+    return (state) => {
+        const inputs = args.map(input => input(state));
+        if (lastInputs && inputs.every((value, i) => Object.is(value, lastInputs[i]))) return lastValue;
+        lastInputs = inputs;
+        lastValue = combiner(...inputs);
+        return lastValue;
+    };
+}
+
+// Selectors
+export const selectPoolStats = (state) => state.cache.poolStats;
+export const selectWorkers = (state) => state.cache.workers;
+export const selectBlocks = (state) => state.cache.blocks;
 
-// Coinbase TX Cache
+// Coinbase TX Cache { [blockHash]: { hash, tx, fetchedAt } } (filled by the block detail panel)
 export const coinbaseTxCache = new Map();
 
 // Update interval reference
@@ -0,0 +1,100 @@
+/**
+ * Earnings Utilities
+ * Expected blocks and rewards from hashrate and network difficulty,
+ * with Poisson variance bands
+ */
+
+import { Config } from '../config.js';
+
+/**
+ * Expected number of blocks found in a period
+ * @param {number} hashrate - Hashrate in H/s
+ * @param {number} difficulty - Network difficulty in expected hashes per block
+ * @param {number} periodMs - Period length in ms
+ * @returns {number} Expected blocks
+ */
+export function expectedBlocks(hashrate, difficulty, periodMs) {
+    if (!(hashrate > 0) || !(difficulty > 0)) return 0;
+    return hashrate * (periodMs / 1000) / difficulty;
+}
+
+/**
+ * Standard normal quantile (Abramowitz & Stegun 26.2.23)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z
+ */
+function normalQuantile(p) {
+    const q = p < 0.5 ? p : 1 - p;
+    const t = Math.sqrt(-2 * Math.log(q));
+    const z = t - (2.515517 + 0.802853 * t + 0.010328 * t * t)
+        / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+    return p < 0.5 ? -z : z;
+}
+
+/**
+ * Central interval of a Poisson distribution
+ * Block finds are a Poisson process, so this is the range of block counts
+ * that is normal for a given expectation.
+ * @param {number} lambda - Expected blocks
+ * @param {number} confidence - Interval confidence (e.g. 0.95)
+ * @returns {Object} { low, high } block counts
+ */
+export function poissonInterval(lambda, confidence = Config.earnings.confidence) {
+    if (!(lambda > 0)) return { low: 0, high: 0 };
+    const tail = (1 - confidence) / 2;
+
+    // exp(-lambda) underflows for large means; the normal approximation is tight there
+    if (lambda > 500) {
+        const spread = normalQuantile(1 - tail) * Math.sqrt(lambda);
+        return { low: Math.max(0, Math.floor(lambda - spread)), high: Math.ceil(lambda + spread) };
+    }
+
+    let k = 0;
+    let pmf = Math.exp(-lambda);
+    let cdf = pmf;
+    let low = cdf >= tail ? 0 : null;
+    while (cdf < 1 - tail) {
+        k++;
+        pmf *= lambda / k;
+        cdf += pmf;
+        if (low === null && cdf >= tail) low = k;
+    }
+    return { low, high: k };
+}
+
+/**
+ * Project blocks and rewards for a period
+ * @param {Object} params - Projection inputs
+ * @param {Object} params.hashrates - Hashrate per algorithm { sha, scrypt, kawpow }
+ * @param {Object} params.difficulty - Network difficulty per algorithm { sha, scrypt, kawpow }
+ * @param {number|null} params.reward - Block reward in QUAI
+ * @param {number} params.periodMs - Period length in ms
+ * @returns {Object} { algorithms, blocks, quai, low, high, missing }
+ */
+export function projectEarnings({ hashrates, difficulty, reward, periodMs }) {
+    const algorithms = {};
+    const missing = [];
+    let blocks = 0;
+
+    Object.entries(hashrates).forEach(([algo, hashrate]) => {
+        if (!(hashrate > 0)) return;
+        const diff = difficulty[algo];
+        if (!(diff > 0)) {
+            missing.push(algo);
+            return;
+        }
+        const expected = expectedBlocks(hashrate, diff, periodMs);
+        algorithms[algo] = { hashrate, difficulty: diff, blocks: expected };
+        blocks += expected;
+    });
+
+    const band = poissonInterval(blocks);
+    return {
+        algorithms,
+        blocks,
+        quai: reward !== null && reward !== undefined ? blocks * reward : null,
+        low: band.low,
+        high: band.high,
+        missing
+    };
+}
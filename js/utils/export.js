@@ -0,0 +1,52 @@
+/**
+ * Export Utilities
+ * CSV serialization and file downloads
+ */
+
+/**
+ * Escape one CSV cell
+ * Text starting with a formula character is prefixed with ' so
+ * spreadsheets don't evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as CSV
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} columns - Column keys (also the header)
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.map(escapeCsvCell).join(',')];
+    (rows || []).forEach(row => {
+        lines.push(columns.map(column => escapeCsvCell(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Download text as a file
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
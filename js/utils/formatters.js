@@ -33,6 +33,41 @@ export function formatHashrate(hashrate) {
     return `${size.toFixed(2)} ${units[unitIndex]}`;
 }
 
+/**
+ * Parse a human readable hashrate ("500 MH/s", "1.2T", "2500")
+ * @param {string|number} text - Hashrate text
+ * @returns {number|null} Hashrate in H/s or null if invalid
+ */
+export function parseHashrate(text) {
+    if (typeof text === 'number') return text >= 0 ? text : null;
+    const match = String(text || '').trim().match(/^([\d.]+)\s*([kmgtp]?)(h\/s|h)?$/i);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    if (Number.isNaN(value)) return null;
+    const exponents = { '': 0, k: 1, m: 2, g: 3, t: 4, p: 5 };
+    return value * Math.pow(1000, exponents[match[2].toLowerCase()]);
+}
+
+/**
+ * Format share or network difficulty with SI suffix
+ * @param {number} difficulty - Difficulty
+ * @returns {string} Formatted difficulty string
+ */
+export function formatDifficulty(difficulty) {
+    if (difficulty === null || difficulty === undefined || isNaN(difficulty)) return '-';
+    
+    const units = ['', 'K', 'M', 'G', 'T', 'P', 'E'];
+    let size = Number(difficulty);
+    let unitIndex = 0;
+    
+    while (size >= 1000 && unitIndex < units.length - 1) {
+        size /= 1000;
+        unitIndex++;
+    }
+    
+    return unitIndex === 0 ? size.toFixed(size % 1 === 0 ? 0 : 2) : `${size.toFixed(2)} ${units[unitIndex]}`;
+}
+
 /**
  * Format uptime seconds to human readable format
  * @param {number} seconds - Uptime in seconds
@@ -69,12 +104,14 @@ export function formatElapsedTime(ms) {
 /**
  * Format timestamp label for charts
  * @param {number} ts - Timestamp in milliseconds
- * @param {string} period - Time period ('1h', '24h', '7d')
+ * @param {string} period - Time period ('1h', '24h', '7d', '30d', '90d')
  * @returns {string} Formatted label
  */
 export function formatLabel(ts, period) {
     const d = new Date(ts);
-    if (period === '7d') {
+    if (period === '30d' || period === '90d') {
+        return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    } else if (period === '7d') {
         return d.toLocaleDateString(undefined, { weekday: 'short' });
     } else if (period === '24h') {
         return d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
@@ -93,6 +130,8 @@ export function hashStats(stats) {
         h: stats.hashrate,
         w: stats.workersConnected,
         v: stats.sharesValid,
+        s: stats.sharesStale,
+        i: stats.sharesInvalid,
         b: stats.blocksFound
     });
 }
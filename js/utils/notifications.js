@@ -135,6 +135,49 @@ export function showInfo(message) {
     return showNotification(message, NotificationType.INFO);
 }
 
+// =====================
+// Browser Notifications
+// =====================
+
+/**
+ * Whether browser (system) notifications are permitted
+ * @returns {boolean} True if permission was granted
+ */
+export function canShowBrowserNotifications() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+/**
+ * Ask for browser notification permission
+ * @returns {Promise<boolean>} True if permission is granted
+ */
+export async function requestBrowserNotifications() {
+    if (typeof Notification === 'undefined') return false;
+    if (Notification.permission === 'granted') return true;
+    if (Notification.permission === 'denied') return false;
+    try {
+        return (await Notification.requestPermission()) === 'granted';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Show a browser (system) notification if permitted
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ * @param {string|null} tag - Replaces an earlier notification with the same tag
+ * @returns {Notification|null} Notification or null
+ */
+export function showBrowserNotification(title, body, tag = null) {
+    if (!canShowBrowserNotifications()) return null;
+    try {
+        return new Notification(title, { body, tag: tag || undefined, icon: 'quai-logo.png' });
+    } catch (e) {
+        return null;
+    }
+}
+
 // =====================
 // Loading States
 // =====================
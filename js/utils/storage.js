@@ -3,8 +3,9 @@
  * Functions for persisting data to localStorage
  */
 
-import { AppState } from '../state.js';
+import { AppState, setState } from '../state.js';
 import { Config } from '../config.js';
+import { seriesKey, appendPoints, appendPoint, appendSeries, getLastPoint, pruneExpired, deleteSeriesPrefix } from './timeseries.js';
 
 /**
  * Save server configuration to localStorage
@@ -67,83 +68,408 @@ export function clearServerConfig() {
     localStorage.removeItem(Config.storage.serverHost);
 }
 
+// =====================
+// Connection Profiles
+// =====================
+
 /**
- * Initialize chart history from localStorage
+ * Load saved connection profiles from localStorage
+ * @returns {Array<Object>} Profiles { id, label, host, port, protocol, proxy }
  */
-export function initHistory() {
+export function loadProfiles() {
     try {
-        const raw = localStorage.getItem(Config.storage.chartHistory);
-        if (raw) {
-            const parsed = JSON.parse(raw);
-            if (parsed && typeof parsed === 'object') {
-                AppState.history.chart.sha = Array.isArray(parsed.sha) ? parsed.sha : [];
-                AppState.history.chart.scrypt = Array.isArray(parsed.scrypt) ? parsed.scrypt : [];
-                AppState.history.chart.kawpow = Array.isArray(parsed.kawpow) ? parsed.kawpow : [];
-            }
-        }
+        const raw = localStorage.getItem(Config.storage.profiles);
+        const parsed = raw ? JSON.parse(raw) : [];
+        return Array.isArray(parsed) ? parsed.filter(p => p && p.id && p.host) : [];
     } catch (e) {
-        console.warn('Failed to load chart history:', e);
-        AppState.history.chart = { sha: [], scrypt: [], kawpow: [] };
+        console.warn('Failed to load connection profiles:', e);
+        return [];
     }
-    
-    // Load address history
+}
+
+/**
+ * Persist connection profiles to localStorage
+ * @param {Array<Object>} profiles - Profiles to save
+ */
+export function saveProfiles(profiles) {
+    try {
+        localStorage.setItem(Config.storage.profiles, JSON.stringify(profiles || []));
+    } catch (e) {
+        console.warn('Failed to persist connection profiles:', e);
+    }
+}
+
+/**
+ * Get a profile by id
+ * @param {string} profileId - Profile id
+ * @returns {Object|null} Profile or null
+ */
+export function getProfile(profileId) {
+    if (!profileId) return null;
+    return loadProfiles().find(p => p.id === profileId) || null;
+}
+
+/**
+ * Find a saved profile by host and port
+ * @param {string} host - Hostname
+ * @param {string} port - Port (empty for default)
+ * @returns {Object|null} Profile or null
+ */
+export function findProfileByHost(host, port = '') {
+    if (!host) return null;
+    return loadProfiles().find(p =>
+        p.host.toLowerCase() === host.toLowerCase() && String(p.port || '') === String(port || '')
+    ) || null;
+}
+
+/**
+ * Create or update a profile
+ * @param {Object} profile - Profile fields; a new id is generated when missing
+ * @returns {Object} Saved profile
+ */
+export function upsertProfile(profile) {
+    const profiles = loadProfiles();
+    const saved = {
+        id: profile.id || `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        label: (profile.label || profile.host || '').trim(),
+        host: (profile.host || '').trim(),
+        port: profile.port ? String(profile.port).trim() : '',
+        protocol: profile.protocol || 'auto',
+        proxy: profile.proxy || 'auto'
+    };
+    const idx = profiles.findIndex(p => p.id === saved.id);
+    if (idx >= 0) {
+        profiles[idx] = saved;
+    } else {
+        profiles.push(saved);
+    }
+    saveProfiles(profiles);
+    return saved;
+}
+
+/**
+ * Delete a profile together with its cached stats and history
+ * @param {string} profileId - Profile id
+ */
+export function deleteProfile(profileId) {
+    saveProfiles(loadProfiles().filter(p => p.id !== profileId));
+    try {
+        localStorage.removeItem(getProfileStorageKey(Config.storage.chartHistory, profileId));
+        localStorage.removeItem(getProfileStorageKey(Config.storage.addressHistory, profileId));
+        deleteSeriesPrefix(`${profileId}|`).catch(e => console.warn('Failed to delete profile history:', e));
+        const cache = readProfileCacheMap();
+        delete cache[profileId];
+        localStorage.setItem(Config.storage.profileCache, JSON.stringify(cache));
+    } catch (e) {}
+    if (getActiveProfileId() === profileId) setActiveProfileId('');
+}
+
+/**
+ * Get the active profile id
+ * @returns {string} Profile id or empty string
+ */
+export function getActiveProfileId() {
     try {
-        const addressRaw = localStorage.getItem(Config.storage.addressHistory);
-        if (addressRaw) {
-            AppState.history.address = JSON.parse(addressRaw) || {};
+        return localStorage.getItem(Config.storage.activeProfile) || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Set the active profile id (also mirrored in AppState)
+ * @param {string} profileId - Profile id or empty string to clear
+ */
+export function setActiveProfileId(profileId) {
+    setState('connection', { profileId: profileId || null });
+    try {
+        if (profileId) {
+            localStorage.setItem(Config.storage.activeProfile, profileId);
+        } else {
+            localStorage.removeItem(Config.storage.activeProfile);
         }
+    } catch (e) {}
+}
+
+/**
+ * Build the host string understood by the server input for a profile
+ * @param {Object} profile - Connection profile
+ * @returns {string} e.g. "host", "host:3336" or "https://host:3336"
+ */
+export function profileToHostString(profile) {
+    if (!profile || !profile.host) return '';
+    const hostPort = profile.port ? `${profile.host}:${profile.port}` : profile.host;
+    if (profile.protocol === 'http' || profile.protocol === 'https') {
+        return `${profile.protocol}://${hostPort}`;
+    }
+    return hostPort;
+}
+
+/**
+ * Get the localStorage key of a per-profile value
+ * @param {string} baseKey - Base key from Config.storage
+ * @param {string|null} profileId - Profile id (defaults to the active profile)
+ * @returns {string} Storage key
+ */
+export function getProfileStorageKey(baseKey, profileId = AppState.connection.profileId) {
+    return profileId ? `${baseKey}_${profileId}` : baseKey;
+}
+
+/**
+ * Create a first profile from the legacy single saved host (one-time migration)
+ * Legacy chart/address history is moved to the new profile keys.
+ */
+export function migrateLegacyServerConfig() {
+    if (loadProfiles().length > 0) return;
+    const legacy = loadServerConfig();
+    let host = legacy.host || legacy.ip;
+    if (!host) return;
+
+    let port = legacy.host ? '' : legacy.port;
+    let protocol = 'auto';
+    try {
+        const parsed = new URL(host.startsWith('http') ? host : `http://${host}`);
+        if (host.startsWith('http')) protocol = parsed.protocol.replace(':', '');
+        host = parsed.hostname;
+        port = parsed.port || port;
+    } catch (e) {}
+
+    const profile = upsertProfile({ label: host, host, port, protocol });
+    try {
+        [Config.storage.chartHistory, Config.storage.addressHistory].forEach(key => {
+            const raw = localStorage.getItem(key);
+            if (!raw) return;
+            localStorage.setItem(getProfileStorageKey(key, profile.id), raw);
+            // Keeping the original would double the storage use and migrate it again as unowned history
+            localStorage.removeItem(key);
+        });
+    } catch (e) {}
+    setActiveProfileId(profile.id);
+}
+
+function readProfileCacheMap() {
+    try {
+        const raw = localStorage.getItem(Config.storage.profileCache);
+        const parsed = raw ? JSON.parse(raw) : {};
+        return parsed && typeof parsed === 'object' ? parsed : {};
     } catch (e) {
-        console.warn('Failed to load address history:', e);
-        AppState.history.address = {};
+        return {};
     }
-    
-    pruneHistory();
 }
 
 /**
- * Prune old history data and save to localStorage
+ * Save a snapshot of the cached stats, workers and blocks for a profile
+ * @param {string} profileId - Profile id
  */
-export function pruneHistory() {
-    const cutoff = Date.now() - Config.limits.historyMaxDays * 24 * 60 * 60 * 1000;
-    
-    // Prune chart history
-    ['sha', 'scrypt', 'kawpow'].forEach(key => {
-        AppState.history.chart[key] = AppState.history.chart[key].filter(
-            p => p && typeof p.t === 'number' && p.t >= cutoff
-        );
-    });
-    
-    // Prune address history
-    Object.keys(AppState.history.address).forEach(addr => {
-        ['sha', 'scrypt', 'kawpow'].forEach(key => {
-            if (AppState.history.address[addr] && AppState.history.address[addr][key]) {
-                AppState.history.address[addr][key] = AppState.history.address[addr][key].filter(
-                    p => p && typeof p.t === 'number' && p.t >= cutoff
-                );
+export function saveProfileCache(profileId = AppState.connection.profileId) {
+    if (!profileId || !AppState.cache.poolStats) return;
+    const cache = readProfileCacheMap();
+    cache[profileId] = {
+        savedAt: Date.now(),
+        updatedAt: AppState.cache.updatedAt || Date.now(),
+        poolStats: AppState.cache.poolStats,
+        workers: AppState.cache.workers || [],
+        blocks: AppState.cache.blocks || [],
+        shareStats: AppState.cache.shareStats
+    };
+    try {
+        localStorage.setItem(Config.storage.profileCache, JSON.stringify(cache));
+    } catch (e) {
+        console.warn('Failed to persist profile cache:', e);
+    }
+}
+
+/**
+ * Load the cached snapshot of a profile
+ * @param {string} profileId - Profile id
+ * @returns {Object|null} Snapshot { savedAt, updatedAt, poolStats, workers, blocks, shareStats } or null
+ */
+export function loadProfileCache(profileId) {
+    if (!profileId) return null;
+    return readProfileCacheMap()[profileId] || null;
+}
+
+/**
+ * Get the series key of a history series for the active profile
+ * @param {string} scope - 'pool', 'addr:<address>' or 'worker:<address>|<name>'
+ * @param {string} algo - 'sha', 'scrypt' or 'kawpow'
+ * @param {string|null} profileId - Profile id (defaults to the active profile)
+ * @returns {string} Series key
+ */
+export function historySeries(scope, algo, profileId = AppState.connection.profileId) {
+    return seriesKey(profileId, scope, algo);
+}
+
+/**
+ * Move legacy localStorage chart/address history into the time-series store (one-time)
+ * Covers the unsuffixed keys and every per-profile suffixed key. The migration
+ * is only marked done once every key moved; failed keys are retried on the
+ * next start (re-appending a sample overwrites it, so partial moves are safe).
+ */
+async function migrateLegacyHistory() {
+    try {
+        if (localStorage.getItem(Config.storage.historyMigrated)) return;
+    } catch (e) {
+        return;
+    }
+
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && (key.startsWith(Config.storage.chartHistory) || key.startsWith(Config.storage.addressHistory))) {
+            keys.push(key);
+        }
+    }
+
+    const profileOf = (key, base) => key.length > base.length ? key.slice(base.length + 1) : null;
+    let failed = 0;
+
+    for (const key of keys) {
+        let parsed = null;
+        try {
+            parsed = JSON.parse(localStorage.getItem(key));
+        } catch (e) {}
+        if (!parsed || typeof parsed !== 'object') {
+            // Unreadable history can never migrate; drop it instead of retrying forever
+            console.warn(`Dropping unreadable legacy history ${key}`);
+            localStorage.removeItem(key);
+            continue;
+        }
+
+        try {
+            if (key.startsWith(Config.storage.chartHistory)) {
+                const profileId = profileOf(key, Config.storage.chartHistory);
+                for (const algo of ['sha', 'scrypt', 'kawpow']) {
+                    if (Array.isArray(parsed[algo])) {
+                        await appendPoints(seriesKey(profileId, 'pool', algo), parsed[algo]);
+                    }
+                }
+            } else {
+                const profileId = profileOf(key, Config.storage.addressHistory);
+                for (const [addr, hist] of Object.entries(parsed)) {
+                    for (const algo of ['sha', 'scrypt', 'kawpow']) {
+                        if (hist && Array.isArray(hist[algo])) {
+                            await appendPoints(seriesKey(profileId, `addr:${addr}`, algo), hist[algo]);
+                        }
+                    }
+                }
             }
-        });
-        
-        // Remove address if all arrays are empty
-        const addrHistory = AppState.history.address[addr];
-        if (addrHistory && 
-            (!addrHistory.sha || addrHistory.sha.length === 0) &&
-            (!addrHistory.scrypt || addrHistory.scrypt.length === 0) &&
-            (!addrHistory.kawpow || addrHistory.kawpow.length === 0)) {
-            delete AppState.history.address[addr];
+            localStorage.removeItem(key);
+        } catch (e) {
+            failed++;
+            console.warn(`Failed to migrate ${key}:`, e);
         }
-    });
-    
-    // Save to localStorage
+    }
+
+    if (failed) return;
     try {
-        localStorage.setItem(Config.storage.chartHistory, JSON.stringify(AppState.history.chart));
-        localStorage.setItem(Config.storage.addressHistory, JSON.stringify(AppState.history.address));
+        localStorage.setItem(Config.storage.historyMigrated, String(Date.now()));
+    } catch (e) {}
+}
+
+/**
+ * Initialize history for the active profile
+ * Runs the legacy localStorage migration once and prunes expired samples.
+ * @returns {Promise<void>}
+ */
+export async function initHistory() {
+    setState('history', { serverCache: {}, serverAvailable: null, lastRecord: 0 });
+
+    try {
+        await migrateLegacyHistory();
     } catch (e) {
-        console.warn('Failed to persist chart history:', e);
+        console.warn('Failed to migrate chart history:', e);
     }
+    await pruneHistory();
 }
 
 /**
- * Record current stats to history
+ * Delete samples older than the retention of their resolution
+ * Throttled to Config.history.pruneInterval unless forced.
+ * @param {boolean} force - Prune even if the interval hasn't elapsed
+ * @returns {Promise<void>}
+ */
+export async function pruneHistory(force = false) {
+    const now = Date.now();
+    if (!force && now - (AppState.history.lastPrune || 0) < Config.history.pruneInterval) return;
+    setState('history', { lastPrune: now });
+
+    try {
+        await pruneExpired(now);
+    } catch (e) {
+        console.warn('Failed to prune chart history:', e);
+    }
+}
+
+/**
+ * Merge externally sourced samples (e.g. server history) into the local store
+ * Samples already stored at the same timestamp are overwritten, not double counted.
+ * @param {string} scope - 'pool' or 'addr:<address>'
+ * @param {Object} history - Normalized history { sha, scrypt, kawpow } of { t, v }
+ * @returns {Promise<number>} Number of samples merged
+ */
+export async function mergeHistory(scope, history) {
+    let merged = 0;
+    for (const algo of ['sha', 'scrypt', 'kawpow']) {
+        const points = (history?.[algo] || []).filter(p => Number.isFinite(p.t) && Number.isFinite(p.v));
+        if (points.length === 0) continue;
+        await appendPoints(historySeries(scope, algo), points);
+        merged += points.length;
+    }
+    return merged;
+}
+
+/**
+ * Sum worker hashrate per algorithm
+ * @param {Array} workers - Workers array
+ * @returns {Object} { sha, scrypt, kawpow }
+ */
+export function sumByAlgorithm(workers) {
+    const totals = { sha: 0, scrypt: 0, kawpow: 0 };
+    workers.forEach(worker => {
+        const algo = (worker.algorithm || 'kawpow').toLowerCase();
+        const hashrate = worker.hashrate || 0;
+        if (algo.includes('sha') || algo === 'sha256' || algo === 'sha-256') {
+            totals.sha += hashrate;
+        } else if (algo.includes('scrypt')) {
+            totals.scrypt += hashrate;
+        } else {
+            totals.kawpow += hashrate;
+        }
+    });
+    return totals;
+}
+
+/**
+ * Get the identity key of a worker (address + worker name)
+ * @param {Object} worker - Worker object
+ * @returns {string} Worker key
+ */
+export function getWorkerKey(worker) {
+    const name = worker.name || worker.workerName || worker.worker || worker.rigName || worker.rig || '';
+    const address = worker.address || (name.includes('.') ? name.split('.')[0] : '');
+    return `${address}|${name}`;
+}
+
+/**
+ * Get the history scope of a worker
+ * @param {string} key - Worker key (see getWorkerKey)
+ * @returns {string} Scope 'worker:<address>|<name>'
+ */
+export function workerScope(key) {
+    return `worker:${key}`;
+}
+
+/**
+ * Get the history algorithm of a worker
+ * @param {Object} worker - Worker object
+ * @returns {string} 'sha', 'scrypt' or 'kawpow'
+ */
+export function workerHistoryAlgorithm(worker) {
+    const totals = sumByAlgorithm([{ algorithm: worker.algorithm, hashrate: 1 }]);
+    return Object.keys(totals).find(algo => totals[algo] > 0);
+}
+
 /**
  * Record current stats to history
  * @param {Object} stats - Pool stats object
@@ -153,21 +479,19 @@ export function recordHistory(stats) {
     
     // Throttle to 1 minute
     if (now - AppState.history.lastRecord < Config.intervals.historySample) return;
-    AppState.history.lastRecord = now;
+    setState('history', { lastRecord: now });
     
-    // Push values if present
-    if (stats.sha256 && typeof stats.sha256.hashrate === 'number') {
-        AppState.history.chart.sha.push({ t: now, v: stats.sha256.hashrate });
-    }
-    if (stats.scrypt && typeof stats.scrypt.hashrate === 'number') {
-        AppState.history.chart.scrypt.push({ t: now, v: stats.scrypt.hashrate });
-    }
-    if (stats.kawpow && typeof stats.kawpow.hashrate === 'number') {
-        AppState.history.chart.kawpow.push({ t: now, v: stats.kawpow.hashrate });
-    }
+    // Append values if present
+    [['sha', stats.sha256], ['scrypt', stats.scrypt], ['kawpow', stats.kawpow]].forEach(([algo, entry]) => {
+        if (entry && typeof entry.hashrate === 'number') {
+            appendPoint(historySeries('pool', algo), now, entry.hashrate)
+                .catch(e => console.warn('Failed to persist chart history:', e));
+        }
+    });
     
-    // Record per-address history
+    // Record per-address and per-worker history
     recordAddressHistory(now);
+    recordWorkerHistory(now);
     
     pruneHistory();
 }
@@ -179,85 +503,65 @@ export function recordHistory(stats) {
 function recordAddressHistory(now) {
     if (!AppState.cache.workers || AppState.cache.workers.length === 0) return;
     
-    // Group workers by address and algorithm
-    const addressStats = {};
+    // Group workers by address
+    const byAddress = {};
     AppState.cache.workers.forEach(worker => {
         const addr = worker.address || 'Unknown';
-        const algo = (worker.algorithm || 'kawpow').toLowerCase();
-        
-        if (!addressStats[addr]) {
-            addressStats[addr] = { sha: 0, scrypt: 0, kawpow: 0 };
-        }
-        
-        const hashrate = worker.hashrate || 0;
-        if (algo.includes('sha') || algo === 'sha256' || algo === 'sha-256') {
-            addressStats[addr].sha += hashrate;
-        } else if (algo.includes('scrypt')) {
-            addressStats[addr].scrypt += hashrate;
-        } else {
-            addressStats[addr].kawpow += hashrate;
-        }
+        (byAddress[addr] = byAddress[addr] || []).push(worker);
     });
     
     // Record history for each address
-    Object.keys(addressStats).forEach(addr => {
-        if (!AppState.history.address[addr]) {
-            AppState.history.address[addr] = { sha: [], scrypt: [], kawpow: [] };
-        }
-        
-        const stats = addressStats[addr];
-        if (stats.sha > 0) {
-            AppState.history.address[addr].sha.push({ t: now, v: stats.sha });
-        }
-        if (stats.scrypt > 0) {
-            AppState.history.address[addr].scrypt.push({ t: now, v: stats.scrypt });
-        }
-        if (stats.kawpow > 0) {
-            AppState.history.address[addr].kawpow.push({ t: now, v: stats.kawpow });
-        }
+    Object.entries(byAddress).forEach(([addr, workers]) => {
+        const totals = sumByAlgorithm(workers);
+        ['sha', 'scrypt', 'kawpow'].forEach(algo => {
+            if (totals[algo] > 0) {
+                appendPoint(historySeries(`addr:${addr}`, algo), now, totals[algo])
+                    .catch(e => console.warn('Failed to persist address history:', e));
+            }
+        });
+    });
+}
+
+/**
+ * Record hashrate history per worker from workers data
+ * Connected workers without hashrate record 0 so their charts show the drop.
+ * All workers are written in one transaction.
+ * @param {number} now - Current timestamp
+ */
+function recordWorkerHistory(now) {
+    const batch = {};
+    (AppState.cache.workers || []).forEach(worker => {
+        const key = getWorkerKey(worker);
+        const hashrate = Math.max(0, Number(worker.hashrate) || 0);
+        if (hashrate === 0 && worker.isConnected === false) return;
+        const series = historySeries(workerScope(key), workerHistoryAlgorithm(worker));
+        // Duplicate identities would overwrite each other's sample
+        if (batch[series]) return;
+        batch[series] = [{ t: now, v: hashrate }];
     });
+    appendSeries(batch).catch(e => console.warn('Failed to persist worker history:', e));
 }
 
 /**
  * Force record history for a specific address without throttle
  * @param {string} targetAddress - Address to record
+ * @returns {Promise<void>}
  */
-export function forceRecordAddressHistory(targetAddress) {
+export async function forceRecordAddressHistory(targetAddress) {
     const now = Date.now();
     const addressWorkers = AppState.cache.workers.filter(w => w.address === targetAddress);
     
     if (addressWorkers.length === 0) return;
     
-    if (!AppState.history.address[targetAddress]) {
-        AppState.history.address[targetAddress] = { sha: [], scrypt: [], kawpow: [] };
-    }
-    
-    // Calculate hashrate by algorithm
-    let sha = 0, scrypt = 0, kawpow = 0;
-    addressWorkers.forEach(w => {
-        const algo = (w.algorithm || 'kawpow').toLowerCase();
-        const hr = w.hashrate || 0;
-        if (algo.includes('sha') || algo === 'sha256' || algo === 'sha-256') {
-            sha += hr;
-        } else if (algo.includes('scrypt')) {
-            scrypt += hr;
-        } else {
-            kawpow += hr;
-        }
-    });
+    const totals = sumByAlgorithm(addressWorkers);
     
     // Add points if we don't have a recent one (within 30 seconds)
-    const history = AppState.history.address[targetAddress];
-    const addIfNeeded = (arr, value) => {
-        if (value > 0) {
-            const last = arr[arr.length - 1];
-            if (!last || (now - last.t) > 30000) {
-                arr.push({ t: now, v: value });
-            }
+    for (const algo of ['sha', 'scrypt', 'kawpow']) {
+        if (totals[algo] <= 0) continue;
+        const series = historySeries(`addr:${targetAddress}`, algo);
+        const last = await getLastPoint(series);
+        if (!last || (now - last.t) > 30000) {
+            await appendPoint(series, now, totals[algo]);
         }
-    };
-    
-    addIfNeeded(history.sha, sha);
-    addIfNeeded(history.scrypt, scrypt);
-    addIfNeeded(history.kawpow, kawpow);
+    }
 }
@@ -0,0 +1,536 @@
+/**
+ * Time-Series Store
+ * IndexedDB-backed storage for hashrate samples with per-series append
+ * and range queries. Every raw sample is also rolled up into 5-minute,
+ * hourly and daily min/avg/max buckets (Config.history.resolutions).
+ * Falls back to memory when IndexedDB is unavailable.
+ */
+
+import { Config } from '../config.js';
+
+const STORE = 'points';
+const DB_VERSION = 2;
+
+// Opened database (promise), or null until first use
+let dbPromise = null;
+
+// In-memory fallback { [series@resolution]: Array<{t, v, min, max, n}> }
+const memory = new Map();
+
+/**
+ * Build a series key
+ * @param {string|null} profileId - Connection profile id (null for no profile)
+ * @param {string} scope - 'pool', 'addr:<address>' or 'worker:<address>|<name>'
+ * @param {string} algo - 'sha', 'scrypt' or 'kawpow'
+ * @returns {string} Series key
+ */
+export function seriesKey(profileId, scope, algo) {
+    return `${profileId || 'default'}|${scope}|${algo}`;
+}
+
+/**
+ * Get the stored key of a series at a resolution
+ * @param {string} series - Series key
+ * @param {string} resolution - Resolution name
+ * @returns {string} Stored series key
+ */
+function resolutionKey(series, resolution) {
+    return resolution === 'raw' ? series : `${series}@${resolution}`;
+}
+
+/**
+ * Get rollup resolutions (every resolution except raw)
+ * @returns {Array<Array>} [name, { bucket, retentionDays }] pairs
+ */
+function getRollups() {
+    return Object.entries(Config.history.resolutions).filter(([, res]) => res.bucket > 0);
+}
+
+/**
+ * Merge samples into an aggregate bucket
+ * @param {Object|null} bucket - Existing bucket { t, v, min, max, n } or null
+ * @param {Object} sample - Sample { v, min, max, n }
+ * @returns {Object} Merged bucket
+ */
+function mergeBucket(bucket, sample) {
+    const n = sample.n || 1;
+    const min = sample.min ?? sample.v;
+    const max = sample.max ?? sample.v;
+    if (!bucket) return { v: sample.v, min, max, n };
+    const total = bucket.n + n;
+    return {
+        v: (bucket.v * bucket.n + sample.v * n) / total,
+        min: Math.min(bucket.min, min),
+        max: Math.max(bucket.max, max),
+        n: total
+    };
+}
+
+/**
+ * Replace overwritten raw values in an aggregate bucket
+ * The average is corrected exactly. Min/max can only widen: a bucket does
+ * not know whether the replaced value was its only bound.
+ * @param {Object|null} bucket - Existing bucket { t, v, min, max, n } or null
+ * @param {Array<Object>} changes - Overwritten samples { old, v }
+ * @returns {Object} Updated bucket
+ */
+function replaceInBucket(bucket, changes) {
+    if (!bucket) return changes.reduce((acc, change) => mergeBucket(acc, { v: change.v }), null);
+    const delta = changes.reduce((sum, change) => sum + change.v - change.old, 0);
+    const values = changes.map(change => change.v);
+    return {
+        v: bucket.v + delta / bucket.n,
+        min: Math.min(bucket.min, ...values),
+        max: Math.max(bucket.max, ...values),
+        n: bucket.n
+    };
+}
+
+/**
+ * Group overwritten samples by rollup bucket
+ * @param {Array<Object>} changes - Overwritten samples { t, old, v }
+ * @param {number} bucketMs - Bucket size
+ * @returns {Map<number, Array<Object>>} Changes keyed by bucket start time
+ */
+function groupChanges(changes, bucketMs) {
+    const groups = new Map();
+    changes.forEach(change => {
+        const start = Math.floor(change.t / bucketMs) * bucketMs;
+        if (!groups.has(start)) groups.set(start, []);
+        groups.get(start).push(change);
+    });
+    return groups;
+}
+
+/**
+ * Aggregate raw samples into rollup buckets
+ * @param {Array<Object>} points - Raw samples { t, v }
+ * @param {number} bucketMs - Bucket size
+ * @returns {Map<number, Object>} Buckets keyed by start time
+ */
+function bucketize(points, bucketMs) {
+    const buckets = new Map();
+    points.forEach(p => {
+        const start = Math.floor(p.t / bucketMs) * bucketMs;
+        buckets.set(start, mergeBucket(buckets.get(start) || null, p));
+    });
+    return buckets;
+}
+
+/**
+ * Open the time-series database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when using the memory fallback
+ */
+export function openTimeSeriesDB() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const req = indexedDB.open(Config.history.dbName, DB_VERSION);
+            req.onupgradeneeded = (event) => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    // Keyed by [series, t] so a series range is one contiguous key range
+                    const store = db.createObjectStore(STORE, { keyPath: ['s', 't'] });
+                    store.createIndex('rt', ['r', 't']);
+                    return;
+                }
+                if (event.oldVersion < 2) upgradeToRollups(req.transaction.objectStore(STORE));
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                console.warn('IndexedDB unavailable, history kept in memory:', req.error);
+                resolve(null);
+            };
+            req.onblocked = () => resolve(null);
+        } catch (e) {
+            console.warn('IndexedDB unavailable, history kept in memory:', e);
+            resolve(null);
+        }
+    });
+    return dbPromise;
+}
+
+/**
+ * Tag version 1 samples as raw and build their rollups (runs in the upgrade transaction)
+ * @param {IDBObjectStore} store - Points store
+ */
+function upgradeToRollups(store) {
+    if (store.indexNames.contains('t')) store.deleteIndex('t');
+    store.createIndex('rt', ['r', 't']);
+
+    const rollups = getRollups();
+    const buckets = new Map();
+    const cursorReq = store.openCursor();
+    cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (cursor) {
+            const rec = cursor.value;
+            cursor.update({ ...rec, r: 'raw' });
+            rollups.forEach(([name, res]) => {
+                const start = Math.floor(rec.t / res.bucket) * res.bucket;
+                const key = `${resolutionKey(rec.s, name)}\n${start}`;
+                buckets.set(key, { s: resolutionKey(rec.s, name), t: start, r: name, ...mergeBucket(buckets.get(key) || null, rec) });
+            });
+            cursor.continue();
+            return;
+        }
+        buckets.forEach(bucket => store.put(bucket));
+    };
+}
+
+function txDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Append samples to a series and update its rollups
+ * A sample with an already stored timestamp overwrites the raw value, and
+ * its rollup buckets swap the old value for the new one.
+ * @param {string} series - Series key
+ * @param {Array<Object>} points - Samples { t, v }
+ * @returns {Promise<void>}
+ */
+export function appendPoints(series, points) {
+    return appendSeries({ [series]: points });
+}
+
+/**
+ * Append samples to several series in one transaction
+ * @param {Object} batch - Samples per series { [series]: Array<{ t, v }> }
+ * @returns {Promise<void>}
+ */
+export async function appendSeries(batch) {
+    const entries = Object.entries(batch || {})
+        .map(([series, points]) => [series, lastPerTime(points)])
+        .filter(([, valid]) => valid.length > 0);
+    if (entries.length === 0) return;
+
+    const db = await openTimeSeriesDB();
+    if (!db) {
+        entries.forEach(([series, valid]) => appendToMemory(series, valid));
+        return;
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    entries.forEach(([series, valid]) => putSamples(store, series, valid));
+    await txDone(tx);
+}
+
+/**
+ * Drop invalid samples and keep the last sample per timestamp
+ * @param {Array<Object>} points - Samples { t, v }
+ * @returns {Array<Object>} Valid samples
+ */
+function lastPerTime(points) {
+    const byTime = new Map();
+    (points || []).forEach(p => {
+        if (p && typeof p.t === 'number' && typeof p.v === 'number') byTime.set(p.t, p);
+    });
+    return [...byTime.values()];
+}
+
+/**
+ * Write raw samples of one series, then roll up new and overwritten ones
+ * @param {IDBObjectStore} store - Points store (readwrite)
+ * @param {string} series - Series key
+ * @param {Array<Object>} valid - Samples { t, v }, one per timestamp
+ */
+function putSamples(store, series, valid) {
+    const fresh = [];
+    const changed = [];
+    let pending = valid.length;
+
+    valid.forEach(p => {
+        const getReq = store.get([series, p.t]);
+        getReq.onsuccess = () => {
+            const stored = getReq.result;
+            if (stored === undefined) fresh.push(p);
+            else if (stored.v !== p.v) changed.push({ t: p.t, old: stored.v, v: p.v });
+            store.put({ s: series, t: p.t, v: p.v, r: 'raw' });
+            if (--pending === 0) rollUp(store, series, fresh, changed);
+        };
+    });
+}
+
+/**
+ * Merge new and overwritten raw samples into the stored rollup buckets
+ * @param {IDBObjectStore} store - Points store (readwrite)
+ * @param {string} series - Series key
+ * @param {Array<Object>} fresh - New raw samples
+ * @param {Array<Object>} changed - Overwritten raw samples { t, old, v }
+ */
+function rollUp(store, series, fresh, changed = []) {
+    if (fresh.length === 0 && changed.length === 0) return;
+    getRollups().forEach(([name, res]) => {
+        const key = resolutionKey(series, name);
+        const added = bucketize(fresh, res.bucket);
+        const replaced = groupChanges(changed, res.bucket);
+        new Set([...added.keys(), ...replaced.keys()]).forEach(start => {
+            const getReq = store.get([key, start]);
+            getReq.onsuccess = () => {
+                let bucket = getReq.result || null;
+                if (replaced.has(start)) bucket = replaceInBucket(bucket, replaced.get(start));
+                if (added.has(start)) bucket = mergeBucket(bucket, added.get(start));
+                store.put({ s: key, t: start, r: name, v: bucket.v, min: bucket.min, max: bucket.max, n: bucket.n });
+            };
+        });
+    });
+}
+
+function appendToMemory(series, points) {
+    const raw = memory.get(series) || [];
+    const fresh = [];
+    const changed = [];
+    points.forEach(p => {
+        const idx = raw.findIndex(x => x.t === p.t);
+        if (idx >= 0) {
+            if (raw[idx].v !== p.v) changed.push({ t: p.t, old: raw[idx].v, v: p.v });
+            raw[idx] = { t: p.t, v: p.v };
+        } else {
+            raw.push({ t: p.t, v: p.v });
+            fresh.push(p);
+        }
+    });
+    raw.sort((a, b) => a.t - b.t);
+    memory.set(series, raw);
+
+    getRollups().forEach(([name, res]) => {
+        const key = resolutionKey(series, name);
+        const stored = memory.get(key) || [];
+        const added = bucketize(fresh, res.bucket);
+        const replaced = groupChanges(changed, res.bucket);
+        new Set([...added.keys(), ...replaced.keys()]).forEach(start => {
+            const idx = stored.findIndex(x => x.t === start);
+            let bucket = idx >= 0 ? stored[idx] : null;
+            if (replaced.has(start)) bucket = replaceInBucket(bucket, replaced.get(start));
+            if (added.has(start)) bucket = mergeBucket(bucket, added.get(start));
+            const merged = { t: start, v: bucket.v, min: bucket.min, max: bucket.max, n: bucket.n };
+            if (idx >= 0) stored[idx] = merged;
+            else stored.push(merged);
+        });
+        stored.sort((a, b) => a.t - b.t);
+        memory.set(key, stored);
+    });
+}
+
+/**
+ * Append one sample to a series
+ * @param {string} series - Series key
+ * @param {number} t - Timestamp in ms
+ * @param {number} v - Value
+ * @returns {Promise<void>}
+ */
+export function appendPoint(series, t, v) {
+    return appendPoints(series, [{ t, v }]);
+}
+
+/**
+ * Read the samples of a series within a time range
+ * Raw samples have min = max = v; rollup buckets carry their aggregates.
+ * @param {string} series - Series key
+ * @param {number} from - Start timestamp (inclusive)
+ * @param {number} to - End timestamp (inclusive)
+ * @param {string} resolution - 'raw' or a rollup name from Config.history.resolutions
+ * @returns {Promise<Array<Object>>} Samples { t, v, min, max, n } sorted by time
+ */
+export async function queryRange(series, from = 0, to = Date.now(), resolution = 'raw') {
+    const key = resolutionKey(series, resolution);
+    const toPoint = r => ({ t: r.t, v: r.v, min: r.min ?? r.v, max: r.max ?? r.v, n: r.n || 1 });
+
+    const db = await openTimeSeriesDB();
+    if (!db) {
+        return (memory.get(key) || []).filter(p => p.t >= from && p.t <= to).map(toPoint);
+    }
+
+    return new Promise((resolve) => {
+        try {
+            const tx = db.transaction(STORE, 'readonly');
+            const req = tx.objectStore(STORE).getAll(IDBKeyRange.bound([key, from], [key, to]));
+            req.onsuccess = () => resolve((req.result || []).map(toPoint));
+            req.onerror = () => {
+                console.warn('History query failed:', req.error);
+                resolve([]);
+            };
+        } catch (e) {
+            console.warn('History query failed:', e);
+            resolve([]);
+        }
+    });
+}
+
+/**
+ * Get the latest raw sample of a series
+ * @param {string} series - Series key
+ * @returns {Promise<Object|null>} Sample { t, v } or null
+ */
+export async function getLastPoint(series) {
+    const db = await openTimeSeriesDB();
+    if (!db) {
+        const arr = memory.get(series) || [];
+        return arr.length > 0 ? arr[arr.length - 1] : null;
+    }
+
+    return new Promise((resolve) => {
+        try {
+            const tx = db.transaction(STORE, 'readonly');
+            const range = IDBKeyRange.bound([series, -Infinity], [series, Infinity]);
+            const req = tx.objectStore(STORE).openCursor(range, 'prev');
+            req.onsuccess = () => resolve(req.result ? { t: req.result.value.t, v: req.result.value.v } : null);
+            req.onerror = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Delete samples past the retention of their resolution (all series)
+ * @param {number} now - Current timestamp in ms
+ * @returns {Promise<void>}
+ */
+export async function pruneExpired(now = Date.now()) {
+    const cutoffs = Object.entries(Config.history.resolutions)
+        .map(([name, res]) => [name, now - res.retentionDays * 24 * 60 * 60 * 1000]);
+
+    const db = await openTimeSeriesDB();
+    if (!db) {
+        memory.forEach((arr, key) => {
+            const name = key.includes('@') ? key.slice(key.lastIndexOf('@') + 1) : 'raw';
+            const cutoff = (cutoffs.find(([n]) => n === name) || [name, 0])[1];
+            const kept = arr.filter(p => p.t >= cutoff);
+            if (kept.length > 0) memory.set(key, kept);
+            else memory.delete(key);
+        });
+        return;
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const index = tx.objectStore(STORE).index('rt');
+    cutoffs.forEach(([name, cutoff]) => {
+        const req = index.openKeyCursor(IDBKeyRange.bound([name, -Infinity], [name, cutoff], false, true));
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            tx.objectStore(STORE).delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    });
+    await txDone(tx);
+}
+
+/**
+ * Delete every series whose key starts with a prefix (all resolutions)
+ * @param {string} prefix - Series key prefix (e.g. a profile id followed by '|')
+ * @returns {Promise<void>}
+ */
+export async function deleteSeriesPrefix(prefix) {
+    const db = await openTimeSeriesDB();
+    if (!db) {
+        [...memory.keys()].filter(k => k.startsWith(prefix)).forEach(k => memory.delete(k));
+        return;
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(IDBKeyRange.bound([prefix, -Infinity], [prefix + '\uffff', Infinity]));
+    await txDone(tx);
+}
+
+/**
+ * Get the resolution of a stored series key
+ * @param {string} key - Stored series key
+ * @returns {string} 'raw' or a rollup name
+ */
+function getKeyResolution(key) {
+    const at = key.lastIndexOf('@');
+    const name = at >= 0 ? key.slice(at + 1) : 'raw';
+    return name !== 'raw' && Config.history.resolutions[name] ? name : 'raw';
+}
+
+/**
+ * Dump every stored series (all resolutions) for a backup
+ * @returns {Promise<Object>} { [storedKey]: Array<[t, v]> for raw, Array<[t, v, min, max, n]> for rollups }
+ */
+export async function dumpSeries() {
+    const dump = {};
+    const add = (key, r) => {
+        if (!dump[key]) dump[key] = [];
+        dump[key].push(getKeyResolution(key) === 'raw' ? [r.t, r.v] : [r.t, r.v, r.min ?? r.v, r.max ?? r.v, r.n || 1]);
+    };
+
+    const db = await openTimeSeriesDB();
+    if (!db) {
+        memory.forEach((arr, key) => arr.forEach(p => add(key, p)));
+        return dump;
+    }
+
+    const tx = db.transaction(STORE, 'readonly');
+    const req = tx.objectStore(STORE).getAll();
+    await txDone(tx);
+    (req.result || []).forEach(r => add(r.s, r));
+    return dump;
+}
+
+/**
+ * Merge dumped series into the store
+ * Raw samples are only added where no sample exists at that time; a rollup
+ * bucket replaces the stored one only when it covers more samples. Imported
+ * raw samples are not rolled up again since the dump carries its rollups.
+ * @param {Object} dump - Result of dumpSeries()
+ * @returns {Promise<number>} Number of samples and buckets written
+ */
+export async function mergeSeries(dump) {
+    const records = [];
+    Object.entries(dump || {}).forEach(([key, points]) => {
+        if (!Array.isArray(points)) return;
+        const r = getKeyResolution(key);
+        points.forEach(p => {
+            if (!Array.isArray(p) || !Number.isFinite(p[0]) || !Number.isFinite(p[1])) return;
+            records.push(r === 'raw'
+                ? { s: key, t: p[0], v: p[1], r }
+                : { s: key, t: p[0], v: p[1], min: p[2] ?? p[1], max: p[3] ?? p[1], n: p[4] || 1, r });
+        });
+    });
+    if (records.length === 0) return 0;
+
+    const wins = (stored, incoming) => !stored || (incoming.r !== 'raw' && (stored.n || 1) < incoming.n);
+    let written = 0;
+
+    const db = await openTimeSeriesDB();
+    if (!db) {
+        const touched = new Set();
+        records.forEach(({ s, r, ...point }) => {
+            const arr = memory.get(s) || [];
+            const idx = arr.findIndex(x => x.t === point.t);
+            if (!wins(idx >= 0 ? arr[idx] : null, { ...point, r })) return;
+            if (idx >= 0) arr[idx] = point;
+            else arr.push(point);
+            memory.set(s, arr);
+            touched.add(s);
+            written++;
+        });
+        touched.forEach(s => memory.get(s).sort((a, b) => a.t - b.t));
+        return written;
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    records.forEach(record => {
+        const getReq = store.get([record.s, record.t]);
+        getReq.onsuccess = () => {
+            if (!wins(getReq.result, record)) return;
+            store.put(record);
+            written++;
+        };
+    });
+    await txDone(tx);
+    return written;
+}
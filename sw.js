@@ -0,0 +1,268 @@
+/**
+ * Service Worker
+ * Caches the app shell so the dashboard opens without network (the last
+ * known pool data comes from the profile cache in localStorage), shows the
+ * dashboard's system notifications, focuses the dashboard when one is
+ * clicked and, on periodic background sync, checks the pool for new blocks
+ * and connection loss while no dashboard tab is open
+ */
+
+// App shell cache; bump the version when files are added or removed
+const SHELL_CACHE = 'quai-dashboard-shell-v1';
+
+// Files needed to start offline (paths relative to this file, keep in sync with js/)
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'site.webmanifest',
+    'quai-logo.ico',
+    'apple-touch-icon.svg',
+    'icons/favicon-16.png',
+    'icons/favicon-32.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/load-libs.js',
+    'vendor/chart.min.js',
+    'vendor/decimal.min.js',
+    'js/main.js',
+    'js/config.js',
+    'js/state.js',
+    'js/router.js',
+    'js/api/client.js',
+    'js/api/nodeRpc.js',
+    'js/api/poolApi.js',
+    'js/api/routes.js',
+    'js/components/alerts.js',
+    'js/components/backup.js',
+    'js/components/blockDetail.js',
+    'js/components/blocks.js',
+    'js/components/charts.js',
+    'js/components/diagnostics.js',
+    'js/components/earnings.js',
+    'js/components/exports.js',
+    'js/components/fleet.js',
+    'js/components/luck.js',
+    'js/components/modals.js',
+    'js/components/offline.js',
+    'js/components/profiles.js',
+    'js/components/shares.js',
+    'js/components/systemNotifications.js',
+    'js/components/watchlist.js',
+    'js/components/webhooks.js',
+    'js/components/websocket.js',
+    'js/components/workerHistory.js',
+    'js/components/workerMonitor.js',
+    'js/components/workers.js',
+    'js/utils/earnings.js',
+    'js/utils/export.js',
+    'js/utils/formatters.js',
+    'js/utils/notifications.js',
+    'js/utils/storage.js',
+    'js/utils/timeseries.js'
+];
+
+// Page loads wait this long for the network before falling back to the cached shell (ms)
+const NAVIGATION_TIMEOUT = 4000;
+
+// Cache holding what the dashboard asked to watch (see syncServiceWorkerWatch)
+const WATCH_CACHE = 'quai-dashboard-watch';
+const WATCH_KEY = './__watch';
+
+// Timeout of a background pool check (ms)
+const CHECK_TIMEOUT = 10000;
+
+self.addEventListener('install', (event) => {
+    // One missing file (e.g. vendor libs not downloaded) must not block the rest
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => Promise.all(APP_SHELL.map(path => cache.add(path).catch(() => {}))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('quai-dashboard-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Whether a request is for a static file of the dashboard
+ * Pool API and proxy requests are never cached here, even on the same origin.
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for app shell files
+ */
+function isAppAsset(url) {
+    return url.origin === self.location.origin
+        && (url.pathname.endsWith('/') || /\.(?:html|js|css|png|ico|svg|webmanifest)$/.test(url.pathname));
+}
+
+/**
+ * Load a page from the network, falling back to the cached shell
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), NAVIGATION_TIMEOUT);
+    try {
+        const response = await fetch(request, { signal: controller.signal });
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true }) || await cache.match('index.html');
+        if (cached) return cached;
+        throw e;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Answer from the cache at once and refresh the cached copy in the background
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request).then(response => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (isAppAsset(url)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Load the watch settings
+ * @returns {Promise<Object>} { url, blocks, connection, lastBlockHeight, reachable }
+ */
+async function loadWatch() {
+    try {
+        const cache = await caches.open(WATCH_CACHE);
+        const response = await cache.match(WATCH_KEY);
+        return response ? await response.json() : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Save the watch settings
+ * @param {Object} watch - Watch settings
+ * @returns {Promise<void>}
+ */
+async function saveWatch(watch) {
+    const cache = await caches.open(WATCH_CACHE);
+    await cache.put(WATCH_KEY, new Response(JSON.stringify(watch), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'watch') return;
+    event.waitUntil(loadWatch().then(previous => saveWatch({ ...previous, ...event.data.watch, reachable: true })));
+});
+
+/**
+ * Whether a dashboard tab is visible (it notifies by itself then)
+ * @returns {Promise<boolean>} True if a visible client exists
+ */
+async function hasVisibleClient() {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    return clients.some(client => client.visibilityState === 'visible');
+}
+
+/**
+ * Get the highest block height of a blocks payload
+ * @param {Object|Array} data - Blocks payload (array, { blocks } or status buckets)
+ * @returns {number|null} Height or null
+ */
+function getMaxHeight(data) {
+    const lists = Array.isArray(data)
+        ? [data]
+        : ['blocks', 'pending', 'immature', 'matured'].map(key => data?.[key]).filter(Array.isArray);
+    const heights = lists.flat().map(block => Number(block?.height)).filter(Number.isFinite);
+    return heights.length > 0 ? Math.max(...heights) : null;
+}
+
+/**
+ * Check the watched pool once and notify about changes
+ * @returns {Promise<void>}
+ */
+async function checkPool() {
+    const watch = await loadWatch();
+    if (!watch.url || (!watch.blocks && !watch.connection)) return;
+    if (await hasVisibleClient()) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CHECK_TIMEOUT);
+    let data = null;
+    try {
+        const response = await fetch(watch.url, { signal: controller.signal, cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        data = await response.json();
+    } catch (e) {
+        data = null;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!data) {
+        if (watch.connection && watch.reachable !== false) {
+            await self.registration.showNotification('Pool connection lost', {
+                body: 'The pool did not answer the background check', tag: 'connection', icon: 'icons/icon-192.png'
+            });
+        }
+        await saveWatch({ ...watch, reachable: false });
+        return;
+    }
+
+    if (watch.connection && watch.reachable === false) {
+        await self.registration.showNotification('Pool connection restored', {
+            body: 'The pool answers again', tag: 'connection', icon: 'icons/icon-192.png'
+        });
+    }
+
+    const height = getMaxHeight(data);
+    if (watch.blocks && height !== null && watch.lastBlockHeight && height > watch.lastBlockHeight) {
+        await self.registration.showNotification(`🎉 Block found #${height}`, {
+            body: height - watch.lastBlockHeight > 1 ? `${height - watch.lastBlockHeight} new blocks` : 'New block found by the pool',
+            tag: `block:#${height}`,
+            icon: 'icons/icon-192.png'
+        });
+    }
+    await saveWatch({ ...watch, reachable: true, lastBlockHeight: height ?? watch.lastBlockHeight });
+}
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'pool-check') event.waitUntil(checkPool());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data?.url || self.registration.scope;
+    event.waitUntil((async () => {
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = clients.find(c => c.url.startsWith(self.registration.scope));
+        if (client) return client.focus();
+        return self.clients.openWindow(url);
+    })());
+});
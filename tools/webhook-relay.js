@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Webhook Relay
+ * Small local HTTP server for the dashboard's webhook sink. Browsers can't
+ * POST to most chat webhooks (no CORS), so the dashboard posts here and the
+ * relay forwards the body to the real webhook. Without a target it acts as a
+ * stand-in that prints every event, for testing the dashboard side.
+ *
+ * Usage (Node 18+, no dependencies):
+ *   node tools/webhook-relay.js --target https://discord.com/api/webhooks/... --origin https://dashboard.example.com
+ *   node tools/webhook-relay.js                 # stand-in: log events
+ *   node tools/webhook-relay.js --fail 2        # stand-in: answer 500 twice (tests retries)
+ *
+ * Options: --port <n> (default 8787), --host <addr> (default 127.0.0.1),
+ * --target <url> (or WEBHOOK_TARGET), --origin <origin> (the dashboard's
+ * origin; required with a target, default * for the stand-in), --fail <n>
+ * Only the given origin may post, so other open websites can't use the
+ * relay to reach the webhook.
+ * Then use http://localhost:8787 as the webhook URL in the dashboard.
+ */
+
+'use strict';
+
+const http = require('node:http');
+
+const MAX_BODY = 64 * 1024;
+const FORWARD_TIMEOUT = 10000;
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { port, host, target, origin, fail }
+ */
+function parseArgs(argv) {
+    const options = {
+        port: 8787,
+        host: '127.0.0.1',
+        target: process.env.WEBHOOK_TARGET || '',
+        origin: '',
+        fail: 0
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (!(name in options) || value === undefined) {
+            console.error(`Unknown or incomplete option: ${argv[i]}`);
+            process.exit(1);
+        }
+        options[name] = name === 'port' || name === 'fail' ? Number(value) : value;
+        i++;
+    }
+    return options;
+}
+
+/**
+ * Read a request body up to MAX_BODY bytes
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ */
+function reply(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Forward a body to the target webhook
+ * @param {string} target - Webhook URL
+ * @param {string} body - JSON body
+ * @returns {Promise<number>} Upstream status
+ */
+async function forward(target, body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FORWARD_TIMEOUT);
+    try {
+        const response = await fetch(target, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            signal: controller.signal
+        });
+        return response.status;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    // Forwarding for any origin would let every open website post to the webhook
+    if (options.target && (!options.origin || options.origin === '*')) {
+        console.error('--origin <dashboard origin> is required with --target (e.g. --origin https://dashboard.example.com)');
+        process.exit(1);
+    }
+    const allowedOrigin = options.origin || '*';
+    let failuresLeft = options.fail;
+
+    const server = http.createServer(async (req, res) => {
+        const origin = req.headers.origin;
+        // Requests without an Origin don't come from a web page (e.g. curl)
+        if (origin && allowedOrigin !== '*' && origin !== allowedOrigin) {
+            reply(res, 403, { error: 'Origin not allowed' });
+            return;
+        }
+        res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        // Lets the dashboard reach this localhost server when served over the internet (Chrome private network access)
+        if (allowedOrigin !== '*') res.setHeader('Access-Control-Allow-Private-Network', 'true');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            reply(res, 405, { error: 'POST only' });
+            return;
+        }
+
+        let body;
+        try {
+            body = await readBody(req);
+            JSON.parse(body);
+        } catch (e) {
+            reply(res, 400, { error: e.message });
+            return;
+        }
+
+        const time = new Date().toISOString();
+        if (!options.target) {
+            if (failuresLeft > 0) {
+                failuresLeft--;
+                console.log(`${time} answering 500 (${failuresLeft} failures left): ${body}`);
+                reply(res, 500, { error: 'Simulated failure' });
+                return;
+            }
+            console.log(`${time} ${body}`);
+            reply(res, 200, { ok: true });
+            return;
+        }
+
+        try {
+            const status = await forward(options.target, body);
+            console.log(`${time} forwarded (${status})`);
+            // Pass failures through so the dashboard retries them
+            reply(res, status >= 200 && status < 300 ? 200 : status, { ok: status >= 200 && status < 300, status });
+        } catch (e) {
+            console.error(`${time} forward failed: ${e.message}`);
+            reply(res, 502, { error: 'Target unreachable' });
+        }
+    });
+
+    server.listen(options.port, options.host, () => {
+        const mode = options.target ? `forwarding to ${new URL(options.target).host}` : 'stand-in (logging events)';
+        console.log(`Webhook relay on http://${options.host}:${options.port}, ${mode}, for origin ${allowedOrigin}`);
+    });
+}
+
+main();